@@ -0,0 +1,55 @@
+/*!
+ * Parse and stringify benchmark for snbt.js | MIT License
+ * https://github.com/AjaxGb/snbt.js
+ *
+ * Usage: node bench/parse.js [megabytes=2] [runs=5]
+ * Times SNBT.parse and SNBT.stringify on structure-like inputs that double in size up to the given size, so the
+ * time per megabyte should stay flat. Reports the best of several runs for each.
+ */
+
+"use strict";
+
+var SNBT = require("../snbt.js");
+
+var maxSize = +(process.argv[2] || 2) * 1024 * 1024,
+    runs = +(process.argv[3] || 5);
+
+// Something like a structure file: a palette, then many blocks with positions, states and some block entities
+function generate(size) {
+	var parts = [], length = 0, i = 0, block;
+	while (length < size) {
+		block = "{pos:[" + (i % 48) + "," + (i >> 12) + "," + (i >> 6 & 63) + "],state:" + (i % 17) +
+			(i % 9 ? "" : ",nbt:{id:\"minecraft:chest\",Items:[{Slot:0b,id:\"minecraft:stone\",Count:64b}]," +
+				"CustomName:'{\"text\":\"Chest " + i + "\"}'}") + "}";
+		parts.push(block);
+		length += block.length + 1;
+		++i;
+	}
+	return "{DataVersion:3465,size:[48,48,64],palette:[{Name:\"minecraft:stone\"},{Name:\"minecraft:oak_stairs\"," +
+		"Properties:{facing:\"north\",half:\"bottom\"}}],blocks:[" + parts.join(",") + "],entities:[]}";
+}
+
+function time(fn) {
+	var best = Infinity, start, result;
+	for (var i = 0; i < runs; ++i) {
+		start = process.hrtime.bigint();
+		result = fn();
+		best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+	}
+	return {ms: best, result: result};
+}
+
+console.log("size (KiB)\tparse (ms)\tparse (ms/MiB)\tstringify (ms)\tstringify (ms/MiB)");
+for (var size = Math.min(maxSize, 128 * 1024); size <= maxSize; size *= 2) {
+	var text = generate(size),
+	    megabytes = text.length / 1024 / 1024,
+	    parse = time(function() { return SNBT.parse(text); }),
+	    stringify = time(function() { return SNBT.stringify(parse.result); });
+	console.log([
+		(text.length / 1024).toFixed(0),
+		parse.ms.toFixed(1),
+		(parse.ms / megabytes).toFixed(1),
+		stringify.ms.toFixed(1),
+		(stringify.ms / megabytes).toFixed(1),
+	].join("\t\t"));
+}
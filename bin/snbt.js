@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/*!
+ * "snbt" Command-line tool for snbt.js | MIT License
+ * https://github.com/AjaxGb/snbt.js
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    SNBT = require("../snbt.js");
+
+var usage = [
+	"Usage: snbt [options] [files...]",
+	"",
+	"Format, check or convert SNBT, binary NBT and JSON files. Reads stdin if no files are given, or for '-'.",
+	"",
+	"Modes:",
+	"  (default)                  Print each file, formatted, to stdout.",
+	"  -w, --write                Rewrite each file in place. Converted files get the new format's extension.",
+	"  -c, --check                Print nothing, but fail if a file doesn't parse, or isn't formatted as --write",
+	"                             would leave it. Binary and JSON files are only checked for parsing.",
+	"  -h, --help                 Show this message.",
+	"",
+	"Conversion:",
+	"  --from snbt|nbt|json       The format of the input. Detected from the extension or content by default.",
+	"  --to snbt|nbt|json         The format of the output. Defaults to snbt when printing, and the input's",
+	"                             format otherwise.",
+	"  --compression gzip|zlib|none  How to compress binary output. Defaults to the input's compression, if it's",
+	"                             binary, and gzip otherwise.",
+	"  --variant java|bedrock|bedrock-network  Which binary codec to use, for reading and writing.",
+	"                             With bedrock, the header of level.dat files is detected and kept.",
+	"                             JSON loses Tag types: numbers become ints or doubles when read back.",
+	"",
+	"Parsing:",
+	"  --root compound|any        What SNBT input may hold. Defaults to compound.",
+	"  --dialect legacy|modern    Which SNBT grammar to read and write. Defaults to legacy.",
+	"",
+	"Formatting (see SNBT.stringify):",
+	"  --indent N|tab             Indent with N spaces, or a tab (the default).",
+	"  -m, --minify, --deflate    Remove all unnecessary whitespace.",
+	"  --sort alpha|type|type-alpha  Sort compound keys with SNBT.compareAlpha, compareType or compareTypeAlpha.",
+	"  --nl-brackets              Place brackets on a new line.",
+	"  --collapse-brackets        Collapse adjacent brackets to the same line.",
+	"  --expand-primitives        Put each item in a list of primitives on its own line.",
+	"  --trailing-comma           Add a trailing comma before newlines, when valid.",
+	"  --quote-keys               Quote every key.",
+	"  --unquote-strings          Avoid quoting strings when possible.",
+	"  --quote-style S            double, single, minimal or prefer-single.",
+	"  --capitalize-suffix LIST   Number suffixes to capitalize, like 'l,b', or 'all'.",
+	"  --max-width N              Put compounds and lists on one line when they fit in N columns.",
+	"  --align-values             Line up the values in each compound.",
+	"  --vanilla compact|pretty   Print exactly as the game does.",
+	"  --preserve-format          Keep the source text of each Tag where possible.",
+].join("\n");
+
+// Flags that set an SNBT.stringify option to true
+var flags = {
+	"nl-brackets": "nlBrackets",
+	"collapse-brackets": "collapseBrackets",
+	"expand-primitives": "expandPrimitives",
+	"trailing-comma": "trailingComma",
+	"quote-keys": "quoteKeys",
+	"unquote-strings": "unquoteStrings",
+	"align-values": "alignValues",
+	"preserve-format": "preserveFormat",
+	"minify": "deflate",
+	"deflate": "deflate",
+	"m": "deflate",
+};
+// Options that take a value, and the values they allow
+var valued = {
+	"from": ["snbt", "nbt", "json"],
+	"to": ["snbt", "nbt", "json"],
+	"compression": ["gzip", "zlib", "none"],
+	"variant": null,
+	"root": ["compound", "any"],
+	"dialect": ["legacy", "modern"],
+	"indent": null,
+	"sort": ["alpha", "type", "type-alpha"],
+	"quote-style": ["double", "single", "minimal", "prefer-single"],
+	"capitalize-suffix": null,
+	"max-width": null,
+	"vanilla": ["compact", "pretty"],
+};
+var comparators = {
+	"alpha": SNBT.compareAlpha,
+	"type": SNBT.compareType,
+	"type-alpha": SNBT.compareTypeAlpha,
+};
+var extensions = {
+	snbt: "snbt",
+	json: "json",
+	nbt: "nbt", dat: "nbt", dat_old: "nbt", schem: "nbt", schematic: "nbt", litematic: "nbt", mcstructure: "nbt",
+};
+
+function fail(message) {
+	throw {error: "usage", message: message};
+}
+
+/**
+ * Read the command-line arguments.
+ * @param {string[]} argv - The arguments, without node and the script.
+ * @returns {Object} - {mode, files, values, stringify}, where values holds the options that take a value.
+ */
+function parseArgs(argv) {
+	var args = {mode: "print", files: [], values: {}, stringify: {}},
+	    i, arg, name, value, equals;
+	for (i = 0; i < argv.length; ++i) {
+		arg = argv[i];
+		if (arg === "--") {
+			args.files = args.files.concat(argv.slice(i + 1));
+			break;
+		}
+		if (arg === "-" || arg[0] !== "-") {
+			args.files.push(arg);
+			continue;
+		}
+		name = arg.replace(/^--?/, "");
+		value = undefined;
+		equals = name.indexOf("=");
+		if (equals >= 0) {
+			value = name.substring(equals + 1);
+			name = name.substring(0, equals);
+		}
+		
+		if (name === "h" || name === "help") {
+			args.mode = "help";
+		} else if (name === "w" || name === "write" || name === "c" || name === "check") {
+			args.mode = name[0] === "w" ? "write" : "check";
+		} else if (flags.hasOwnProperty(name)) {
+			args.stringify[flags[name]] = true;
+		} else if (valued.hasOwnProperty(name)) {
+			if (value === undefined) {
+				if (i + 1 >= argv.length) fail("--" + name + " needs a value");
+				value = argv[++i];
+			}
+			if (valued[name] && valued[name].indexOf(value) < 0) {
+				fail("--" + name + " must be one of " + valued[name].join(", ") + ", not '" + value + "'");
+			}
+			args.values[name] = value;
+		} else {
+			fail("Unknown option " + arg);
+		}
+		if (value !== undefined && !valued.hasOwnProperty(name)) fail("--" + name + " doesn't take a value");
+	}
+	if (!args.files.length) args.files.push("-");
+	return args;
+}
+
+/**
+ * Turn the formatting arguments into SNBT.stringify's space and options.
+ * @param {Object} args - From parseArgs.
+ * @returns {Object} - {space, options}
+ */
+function stringifyOptions(args) {
+	var options = Object.assign({}, args.stringify),
+	    values = args.values,
+	    space;
+	if (values.indent === "tab" || values.indent === undefined) {
+		space = "\t";
+	} else if (/^[0-9]+$/.test(values.indent)) {
+		space = new Array(+values.indent + 1).join(" ");
+	} else {
+		fail("--indent must be a number of spaces or 'tab', not '" + values.indent + "'");
+	}
+	if (options.deflate) space = "";
+	if (values["max-width"] !== undefined) {
+		if (!/^[0-9]+$/.test(values["max-width"])) fail("--max-width must be a number, not '" + values["max-width"] + "'");
+		options.maxWidth = +values["max-width"];
+	}
+	if (values.sort) options.sort = comparators[values.sort];
+	if (values["quote-style"]) options.quoteStyle = values["quote-style"];
+	if (values.vanilla) options.vanilla = values.vanilla;
+	if (values.dialect) options.dialect = values.dialect;
+	if (values["capitalize-suffix"] !== undefined) {
+		options.capitalizeSuffix = {};
+		values["capitalize-suffix"].split(",").forEach(function(suffix) {
+			suffix = suffix.trim().toLowerCase();
+			if (suffix === "all") {
+				options.capitalizeSuffix["default"] = true;
+			} else {
+				options.capitalizeSuffix[suffix] = true;
+			}
+		});
+	}
+	// The vanilla printer has its own default indentation
+	if (values.vanilla && values.indent === undefined) space = undefined;
+	return {space: space, options: options};
+}
+
+// Whether the bytes hold an uncompressed root compound from the offset on: its type, a name length (in either byte
+// order) that fits, and the end of the compound as the last byte. A newline before some SNBT won't pass.
+function isBinaryRoot(bytes, offset) {
+	var high = bytes[offset + 1], low = bytes[offset + 2];
+	return bytes.length >= offset + 4 && bytes[offset] === 0x0A && bytes[bytes.length - 1] === 0 &&
+		Math.min(high << 8 | low, low << 8 | high) <= bytes.length - offset - 4;
+}
+// Whether the bytes start with the 8-byte header of a Bedrock level.dat file: a version, then the length of the rest
+function hasLevelHeader(bytes) {
+	return bytes.length >= 12 && bytes.readUInt32LE(4) === bytes.length - 8 && isBinaryRoot(bytes, 8);
+}
+
+// Work out a file's format from its name, or failing that its first bytes
+function detectFormat(file, bytes) {
+	var extension = path.extname(file).substring(1).toLowerCase();
+	if (extensions.hasOwnProperty(extension)) return extensions[extension];
+	// Gzip, zlib, or uncompressed
+	if (bytes[0] === 0x1F && bytes[1] === 0x8B) return "nbt";
+	if (bytes[0] === 0x78 && (bytes[0] << 8 | bytes[1]) % 31 === 0) return "nbt";
+	if (isBinaryRoot(bytes, 0) || hasLevelHeader(bytes)) return "nbt";
+	return "snbt";
+}
+
+// JSON can't hold BigInts or typed arrays, so longs become numbers (or strings, if they're too big) and arrays become lists
+function toJSON(tag, space) {
+	return JSON.stringify(SNBT.toJS(tag), function(key, value) {
+		if (typeof value === "bigint") return jsonLong(value);
+		if (ArrayBuffer.isView(value)) return Array.from(value, function(n) { return typeof n === "bigint" ? jsonLong(n) : n; });
+		return value;
+	}, space);
+}
+function jsonLong(value) {
+	return value >= -Number.MAX_SAFE_INTEGER && value <= Number.MAX_SAFE_INTEGER ? Number(value) : String(value);
+}
+
+/**
+ * Read, convert and format one file.
+ * @param {string} file - The file name, or '-' for stdin.
+ * @param {Object} args - From parseArgs.
+ * @param {Object} format - From stringifyOptions.
+ * @returns {Object} - {input, output, from, to}, where input and output are Buffers or strings.
+ */
+function processFile(file, args, format) {
+	var input = file === "-" ? fs.readFileSync(0) : fs.readFileSync(file),
+	    from = args.values.from || detectFormat(file, input),
+	    to = args.values.to || (args.mode === "print" ? "snbt" : from),
+	    parseOptions = {dialect: args.values.dialect, root: args.values.root, preserveFormat: format.options.preserveFormat},
+	    // What to keep when writing binary NBT back out: the root name, compression and level.dat header
+	    binary = {name: "", compression: "gzip", storageVersion: undefined},
+	    tag, output;
+	switch (from) {
+	case "nbt":
+		binary = SNBT.readBinary(input, {
+			variant: args.values.variant,
+			named: true,
+			header: args.values.variant === "bedrock" && hasLevelHeader(input),
+		});
+		tag = binary.tag;
+		break;
+	case "json":
+		input = input.toString("utf8");
+		tag = SNBT.fromJS(JSON.parse(input));
+		break;
+	default:
+		input = input.toString("utf8");
+		tag = SNBT.parse(input, parseOptions);
+	}
+	
+	switch (to) {
+	case "nbt":
+		output = Buffer.from(SNBT.writeBinary(tag, {
+			name: binary.name,
+			variant: args.values.variant,
+			compression: args.values.compression || binary.compression,
+			storageVersion: binary.storageVersion,
+		}));
+		break;
+	case "json":
+		output = toJSON(tag, format.options.deflate ? "" : format.space) + "\n";
+		break;
+	default:
+		output = SNBT.stringify(tag, format.space, Object.assign({}, format.options)) + "\n";
+	}
+	return {input: input, output: output, from: from, to: to};
+}
+
+// Whether the output is the same as the input, byte for byte
+function unchanged(result) {
+	if (Buffer.isBuffer(result.output)) return Buffer.isBuffer(result.input) && result.input.equals(result.output);
+	return result.input === result.output;
+}
+
+// Describe an error, with where it happened if it's a syntax error
+function describeError(file, error) {
+	var name = file === "-" ? "<stdin>" : file;
+	if (error instanceof SNBT.SNBTSyntaxError) {
+		return name + ":" + error.line + ":" + error.column + ": " + error.reason;
+	}
+	if (error instanceof SyntaxError) return name + ": Invalid JSON: " + error.message;
+	return name + ": " + (error && error.message || error);
+}
+
+function main(argv) {
+	var args, format, status = 0;
+	try {
+		args = parseArgs(argv);
+		format = stringifyOptions(args);
+		if (args.mode === "help") {
+			process.stdout.write(usage + "\n");
+			return 0;
+		}
+		if (args.mode === "write" && args.files.indexOf("-") >= 0) fail("--write needs file names, not stdin");
+		if (args.mode === "print" && args.files.length > 1 && args.values.to === "nbt") {
+			fail("Can only print one binary file at a time; use --write for more");
+		}
+	} catch (e) {
+		process.stderr.write("snbt: " + (e.message || e) + "\nRun 'snbt --help' for usage.\n");
+		return 2;
+	}
+	
+	args.files.forEach(function(file) {
+		var result, target;
+		try {
+			result = processFile(file, args, format);
+		} catch (e) {
+			process.stderr.write(describeError(file, e) + "\n");
+			status = 1;
+			return;
+		}
+		switch (args.mode) {
+		case "check":
+			if (result.from === "snbt" && result.to === "snbt" && result.input !== result.output) {
+				process.stderr.write((file === "-" ? "<stdin>" : file) + ": Not formatted\n");
+				status = 1;
+			}
+			break;
+		case "write":
+			target = file;
+			if (result.from !== result.to) {
+				target = file.substring(0, file.length - path.extname(file).length) + "." + result.to;
+			}
+			if (target !== file || !unchanged(result)) fs.writeFileSync(target, result.output);
+			break;
+		default:
+			process.stdout.write(result.output);
+		}
+	});
+	return status;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,537 @@
+/*!
+ * "snbt-region.js" Region file add-on for snbt.js | MIT License
+ * https://github.com/AjaxGb/snbt.js
+ */
+
+(function() {
+"use strict";
+
+var root = this,
+    SNBT = typeof require !== "undefined" && typeof module !== "undefined" ? require("./snbt.js") : root.SNBT;
+
+//////////////////
+// Region files //
+//////////////////
+
+/**
+ * A region file (.mca, or .mcr from before 1.2), which holds a 32x32 area of chunks.
+ * Chunks are read from, and written into, a copy of the file in memory.
+ * @constructor
+ * @param {ArrayBuffer|Uint8Array} [bytes] - The file's contents. If missing or empty, the region starts empty.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {number} [options.x=0] - The region's x coordinate, as in its file name, r.<x>.<z>.mca.
+ * @param {number} [options.z=0] - The region's z coordinate.
+ */
+SNBT.Region = function(bytes, options) {
+	options = options || {};
+	this.x = options.x || 0;
+	this.z = options.z || 0;
+	/**
+	 * Oversized chunks written by setChunk, by file name (c.<x>.<z>.mcc). They must be saved next to the region
+	 * file. A null value means the file is no longer needed.
+	 */
+	this.externalFiles = Object.create(null);
+	
+	bytes = bytes ? SNBT._toBytes(bytes) : new Uint8Array(0);
+	if (bytes.length && bytes.length < SNBT.Region.headerSize) {
+		throw {error: "region_error", message: "Region file is too short to have a header"};
+	}
+	// Copied, and padded to a whole number of sectors, so chunks can be written in place
+	this.data = new Uint8Array(Math.max(SNBT.Region.headerSize,
+		Math.ceil(bytes.length / SNBT.Region.sectorSize) * SNBT.Region.sectorSize));
+	this.data.set(bytes);
+	this.view = new DataView(this.data.buffer);
+};
+SNBT.Region.sectorSize = 4096;
+SNBT.Region.headerSize = 2 * 4096;
+// A location table entry only has a byte for the sector count
+SNBT.Region.maxSectors = 255;
+// The compression type byte before each chunk's data
+SNBT.Region.compressionTypes = {1: "gzip", 2: "zlib", 3: "none", 4: "lz4", 127: "custom"};
+// Set in the compression type when the chunk is in its own .mcc file
+SNBT.Region.externalFlag = 0x80;
+
+// The compression type byte for a compression name
+SNBT.Region._compressionType = function(name) {
+	for (var type in SNBT.Region.compressionTypes) {
+		if (SNBT.Region.compressionTypes[type] === name) return +type;
+	}
+	return null;
+};
+/**
+ * Find a chunk's entries in the header tables.
+ * @param {number} x - The chunk's x coordinate. Only the lowest 5 bits are used, so it can be absolute or local.
+ * @param {number} z - The chunk's z coordinate.
+ * @returns {number} - The index into the location and timestamp tables.
+ */
+SNBT.Region.prototype._index = function(x, z) {
+	return (x & 31) + (z & 31) * 32;
+};
+/**
+ * Get where and how a chunk is stored, without reading it.
+ * @param {number} x - The chunk's x coordinate, absolute or within the region.
+ * @param {number} z - The chunk's z coordinate.
+ * @returns {Object} - {x, z, offset, sectors, timestamp, length, compression, external}, or null if there's no chunk.
+ *                     x and z are absolute, offset and sectors count 4 KiB sectors, and length counts bytes.
+ */
+SNBT.Region.prototype.getChunkInfo = function(x, z) {
+	var index = this._index(x, z),
+	    location = this.view.getUint32(index * 4),
+	    offset = location >>> 8,
+	    sectors = location & 0xFF;
+	if (!location) return null;
+	if (offset < 2 || (offset + sectors) * SNBT.Region.sectorSize > this.data.length) {
+		throw {error: "region_error", message: "Chunk " + x + ", " + z + " is outside the region file"};
+	}
+	var start = offset * SNBT.Region.sectorSize,
+	    length = this.view.getUint32(start),
+	    type = this.data[start + 4];
+	if (length < 1 || length + 4 > sectors * SNBT.Region.sectorSize) {
+		throw {error: "region_error", message: "Chunk " + x + ", " + z + " has an invalid length"};
+	}
+	return {
+		x: this.x * 32 + (index & 31),
+		z: this.z * 32 + (index >> 5),
+		offset: offset,
+		sectors: sectors,
+		timestamp: this.view.getUint32(4096 + index * 4),
+		length: length - 1,
+		compression: SNBT.Region.compressionTypes[type & ~SNBT.Region.externalFlag] || "unknown",
+		external: !!(type & SNBT.Region.externalFlag),
+	};
+};
+/**
+ * Check whether a chunk is in the region.
+ * @param {number} x - The chunk's x coordinate, absolute or within the region.
+ * @param {number} z - The chunk's z coordinate.
+ * @returns {boolean}
+ */
+SNBT.Region.prototype.hasChunk = function(x, z) {
+	return this.view.getUint32(this._index(x, z) * 4) !== 0;
+};
+/**
+ * Read a chunk.
+ * @param {number} x - The chunk's x coordinate, absolute or within the region.
+ * @param {number} z - The chunk's z coordinate.
+ *
+ * @param {Object}   [options] - Extra options, also passed on to SNBT.readBinary.
+ * @param {Function} [options.readExternal] - Called with the file name (c.<x>.<z>.mcc) and absolute x and z of a chunk
+ *                                            that's too big for the region file. Should return the file's contents.
+ *
+ * @throws {Object} - {error: "region_error", message} if the chunk is external and can't be read, or is corrupt.
+ * @returns {TagCompound} - The chunk, or null if there isn't one.
+ */
+SNBT.Region.prototype.getChunk = function(x, z, options) {
+	options = options || {};
+	var info = this.getChunkInfo(x, z), bytes;
+	if (!info) return null;
+	if (info.external) {
+		var name = SNBT.Region.externalName(info.x, info.z);
+		if (name in this.externalFiles) {
+			bytes = this.externalFiles[name];
+		} else if (options.readExternal) {
+			bytes = options.readExternal(name, info.x, info.z);
+		}
+		if (!bytes) {
+			throw {error: "region_error", message: "Chunk " + info.x + ", " + info.z + " is stored in " + name};
+		}
+		bytes = SNBT._toBytes(bytes);
+	} else {
+		var start = info.offset * SNBT.Region.sectorSize + 5;
+		bytes = this.data.subarray(start, start + info.length);
+	}
+	
+	switch (info.compression) {
+	case "gzip":
+	case "zlib":
+	case "none":
+		bytes = SNBT._Compression.decompress(bytes, info.compression);
+		break;
+	case "lz4":
+		bytes = SNBT._LZ4.decompress(bytes);
+		break;
+	default:
+		throw {error: "region_error", message: "Chunk " + info.x + ", " + info.z + " uses unsupported compression"};
+	}
+	return SNBT.readBinary(bytes, Object.assign({}, options, {compression: "none", named: false}));
+};
+/**
+ * Write a chunk into the region, replacing any that was there. Its sectors are allocated like the game does:
+ * in the first gap that fits, or at the end of the file. Chunks too big for the region go in externalFiles.
+ * @param {number} x - The chunk's x coordinate, absolute or within the region.
+ * @param {number} z - The chunk's z coordinate.
+ * @param {TagCompound} tag - The chunk.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {string} [options.compression="zlib"] - "gzip", "zlib", "none" or "lz4".
+ * @param {number} [options.timestamp] - When the chunk was saved, in seconds since 1970. Defaults to now.
+ */
+SNBT.Region.prototype.setChunk = function(x, z, tag, options) {
+	options = options || {};
+	var compression = options.compression || "zlib",
+	    type = compression === "custom" ? null : SNBT.Region._compressionType(compression),
+	    bytes = SNBT.writeBinary(tag);
+	if (!type) throw {error: "invalid_compression", message: "Unknown compression type: " + compression};
+	bytes = compression === "lz4" ? SNBT._LZ4.compress(bytes) : SNBT._Compression.compress(bytes, compression);
+	
+	var index = this._index(x, z),
+	    name = SNBT.Region.externalName(this.x * 32 + (index & 31), this.z * 32 + (index >> 5)),
+	    sectors = Math.ceil((bytes.length + 5) / SNBT.Region.sectorSize),
+	    external = sectors > SNBT.Region.maxSectors;
+	// Only the length and type are left in the region file
+	if (external) sectors = 1;
+	
+	this.removeChunk(x, z);
+	var offset = this._allocate(sectors),
+	    start = offset * SNBT.Region.sectorSize;
+	this.data.fill(0, start, start + sectors * SNBT.Region.sectorSize);
+	if (external) {
+		this.externalFiles[name] = bytes;
+		this.view.setUint32(start, 1);
+		this.data[start + 4] = type | SNBT.Region.externalFlag;
+	} else {
+		this.view.setUint32(start, bytes.length + 1);
+		this.data[start + 4] = type;
+		this.data.set(bytes, start + 5);
+	}
+	this.view.setUint32(index * 4, offset << 8 | sectors);
+	this.view.setUint32(4096 + index * 4,
+		options.timestamp == null ? Math.floor(Date.now() / 1000) : options.timestamp);
+};
+/**
+ * Remove a chunk from the region, freeing its sectors.
+ * @param {number} x - The chunk's x coordinate, absolute or within the region.
+ * @param {number} z - The chunk's z coordinate.
+ * @returns {boolean} - Whether there was a chunk to remove.
+ */
+SNBT.Region.prototype.removeChunk = function(x, z) {
+	var info = this.getChunkInfo(x, z), index = this._index(x, z);
+	if (!info) return false;
+	if (info.external) this.externalFiles[SNBT.Region.externalName(info.x, info.z)] = null;
+	this.view.setUint32(index * 4, 0);
+	this.view.setUint32(4096 + index * 4, 0);
+	return true;
+};
+/**
+ * Find room for a chunk.
+ * @param {number} sectors - How many sectors it needs.
+ * @returns {number} - The first sector to use. The file is grown if needed.
+ */
+SNBT.Region.prototype._allocate = function(sectors) {
+	var total = this.data.length / SNBT.Region.sectorSize,
+	    used = new Uint8Array(total),
+	    location, i, j, start, grown;
+	used[0] = used[1] = 1;
+	for (i = 0; i < 1024; ++i) {
+		location = this.view.getUint32(i * 4);
+		for (j = location >>> 8; j < (location >>> 8) + (location & 0xFF) && j < total; ++j) used[j] = 1;
+	}
+	for (start = 2; start < total; ++start) {
+		for (j = start; j < total && j - start < sectors && !used[j]; ++j);
+		if (j - start === sectors) return start;
+		if (j === total) break;
+		start = j;
+	}
+	if (start + sectors > total) {
+		grown = new Uint8Array((start + sectors) * SNBT.Region.sectorSize);
+		grown.set(this.data);
+		this.data = grown;
+		this.view = new DataView(grown.buffer);
+	}
+	return start;
+};
+/**
+ * Get the contents of the region file, without any free sectors at the end.
+ * @returns {Uint8Array}
+ */
+SNBT.Region.prototype.toBytes = function() {
+	var end = 2, location, i;
+	for (i = 0; i < 1024; ++i) {
+		location = this.view.getUint32(i * 4);
+		if (location) end = Math.max(end, (location >>> 8) + (location & 0xFF));
+	}
+	return this.data.slice(0, end * SNBT.Region.sectorSize);
+};
+/**
+ * Go through every chunk in the region, in the order of the header tables.
+ * @param {Object} [options] - Extra options, as for getChunk.
+ * @returns {Iterator} - Yields {x, z, timestamp, tag}, with absolute coordinates.
+ */
+SNBT.Region.prototype.chunks = function(options) {
+	var region = this, index = 0, iterator = {
+		next: function() {
+			for (; index < 1024; ++index) {
+				if (!region.view.getUint32(index * 4)) continue;
+				var info = region.getChunkInfo(index & 31, index >> 5);
+				++index;
+				return {done: false, value: {
+					x: info.x,
+					z: info.z,
+					timestamp: info.timestamp,
+					tag: region.getChunk(info.x, info.z, options),
+				}};
+			}
+			return {done: true, value: undefined};
+		},
+	};
+	if (typeof Symbol !== "undefined") iterator[Symbol.iterator] = function() { return this; };
+	return iterator;
+};
+if (typeof Symbol !== "undefined") {
+	SNBT.Region.prototype[Symbol.iterator] = function() {
+		return this.chunks();
+	};
+}
+/**
+ * The name of the file that holds a chunk too big for its region file.
+ * @param {number} x - The chunk's absolute x coordinate.
+ * @param {number} z - The chunk's absolute z coordinate.
+ * @returns {string}
+ */
+SNBT.Region.externalName = function(x, z) {
+	return "c." + x + "." + z + ".mcc";
+};
+
+/////////
+// LZ4 //
+/////////
+
+// The LZ4 block stream format of lz4-java's LZ4BlockOutputStream, which the game uses for compression type 4
+SNBT._LZ4 = {
+	magic: [0x4C, 0x5A, 0x34, 0x42, 0x6C, 0x6F, 0x63, 0x6B], // "LZ4Block"
+	headerLength: 21,
+	methodRaw: 0x10,
+	methodLZ4: 0x20,
+	blockSize: 1 << 16,
+	checksumSeed: 0x9747B28C,
+	exception: function(message) {
+		return {error: "compression_error", message: message};
+	},
+	/**
+	 * Decompress an LZ4 block stream.
+	 * @param {Uint8Array} bytes - The compressed data.
+	 * @returns {Uint8Array}
+	 */
+	decompress: function(bytes) {
+		var blocks = [], total = 0, pos = 0, view, method, compressedLength, length, checksum, block, i;
+		while (pos < bytes.length) {
+			if (bytes.length - pos < this.headerLength) throw this.exception("Truncated LZ4 block header");
+			for (i = 0; i < 8; ++i) {
+				if (bytes[pos + i] !== this.magic[i]) throw this.exception("Not an LZ4 block stream");
+			}
+			view = new DataView(bytes.buffer, bytes.byteOffset + pos + 9, 12);
+			method = bytes[pos + 8] & 0xF0;
+			compressedLength = view.getInt32(0, true);
+			length = view.getInt32(4, true);
+			checksum = view.getInt32(8, true);
+			pos += this.headerLength;
+			// An empty block ends the stream
+			if (length === 0) break;
+			if (compressedLength < 0 || length < 0 || pos + compressedLength > bytes.length) {
+				throw this.exception("Invalid LZ4 block lengths");
+			}
+			if (method === this.methodRaw) {
+				if (compressedLength !== length) throw this.exception("Invalid LZ4 block lengths");
+				block = bytes.slice(pos, pos + length);
+			} else if (method === this.methodLZ4) {
+				block = this.decompressBlock(bytes.subarray(pos, pos + compressedLength), length);
+			} else {
+				throw this.exception("Unknown LZ4 block compression method");
+			}
+			if ((this.xxhash32(block, this.checksumSeed) & 0x0FFFFFFF) !== checksum) {
+				throw this.exception("LZ4 block checksum mismatch");
+			}
+			blocks.push(block);
+			total += length;
+			pos += compressedLength;
+		}
+		var output = new Uint8Array(total);
+		for (i = 0, pos = 0; i < blocks.length; ++i) {
+			output.set(blocks[i], pos);
+			pos += blocks[i].length;
+		}
+		return output;
+	},
+	/**
+	 * Compress data as an LZ4 block stream.
+	 * @param {Uint8Array} bytes - The data to compress.
+	 * @returns {Uint8Array}
+	 */
+	compress: function(bytes) {
+		var parts = [], total = 0, start, block, compressed, method, header, view, i;
+		// Past the end, the block is empty, which ends the stream
+		for (start = 0; ; start += this.blockSize) {
+			block = bytes.subarray(start, start + this.blockSize);
+			compressed = block.length ? this.compressBlock(block) : block;
+			method = this.methodLZ4;
+			// Store it as it is if that's smaller, and for the empty block at the end
+			if (compressed.length >= block.length) {
+				compressed = block;
+				method = this.methodRaw;
+			}
+			header = new Uint8Array(this.headerLength);
+			header.set(this.magic);
+			// The low bits are the compression level, which is worked out from the block size
+			header[8] = method | (32 - Math.clz32(this.blockSize - 1) - 10);
+			view = new DataView(header.buffer);
+			view.setInt32(9, compressed.length, true);
+			view.setInt32(13, block.length, true);
+			view.setInt32(17, block.length ? this.xxhash32(block, this.checksumSeed) & 0x0FFFFFFF : 0, true);
+			parts.push(header, compressed);
+			total += header.length + compressed.length;
+			if (!block.length) break;
+		}
+		var output = new Uint8Array(total);
+		for (i = 0, start = 0; i < parts.length; ++i) {
+			output.set(parts[i], start);
+			start += parts[i].length;
+		}
+		return output;
+	},
+	/**
+	 * Decompress one raw LZ4 block.
+	 * @param {Uint8Array} input - The compressed block.
+	 * @param {number} length - The decompressed length.
+	 * @returns {Uint8Array}
+	 */
+	decompressBlock: function(input, length) {
+		var output = new Uint8Array(length), ip = 0, op = 0, token, count, b, offset, from;
+		function extend() {
+			do {
+				if (ip >= input.length) throw SNBT._LZ4.exception("Truncated LZ4 block");
+				b = input[ip++];
+				count += b;
+			} while (b === 255);
+		}
+		while (ip < input.length) {
+			token = input[ip++];
+			count = token >> 4;
+			if (count === 15) extend();
+			if (ip + count > input.length || op + count > length) throw this.exception("Corrupt LZ4 block");
+			output.set(input.subarray(ip, ip + count), op);
+			ip += count;
+			op += count;
+			// The last sequence has no match
+			if (ip === input.length) break;
+			
+			if (ip + 2 > input.length) throw this.exception("Truncated LZ4 block");
+			offset = input[ip] | input[ip + 1] << 8;
+			ip += 2;
+			count = token & 15;
+			if (count === 15) extend();
+			count += 4;
+			from = op - offset;
+			if (!offset || from < 0 || op + count > length) throw this.exception("Corrupt LZ4 block");
+			// Byte by byte, since the match can overlap what it's copying to
+			while (count--) output[op++] = output[from++];
+		}
+		if (op !== length) throw this.exception("LZ4 block is the wrong length");
+		return output;
+	},
+	/**
+	 * Compress one raw LZ4 block, greedily taking the first match found by a hash of the next 4 bytes.
+	 * @param {Uint8Array} input - The data to compress.
+	 * @returns {Uint8Array}
+	 */
+	compressBlock: function(input) {
+		var n = input.length,
+		    output = new Uint8Array(n + Math.ceil(n / 255) + 16),
+		    table = new Int32Array(4096).fill(-1),
+		    // Matches have to start 12 bytes and end 5 bytes before the end
+		    matchStartLimit = n - 12,
+		    matchEndLimit = n - 5,
+		    op = 0, anchor = 0, i = 0,
+		    hash, candidate, length;
+		function read32(j) {
+			return input[j] | input[j + 1] << 8 | input[j + 2] << 16 | input[j + 3] << 24;
+		}
+		function putLength(count) {
+			for (; count >= 255; count -= 255) output[op++] = 255;
+			output[op++] = count;
+		}
+		function putSequence(literals, matchLength, offset) {
+			var matchCode = matchLength - 4;
+			output[op++] = Math.min(literals, 15) << 4 | (offset ? Math.min(matchCode, 15) : 0);
+			if (literals >= 15) putLength(literals - 15);
+			output.set(input.subarray(anchor, anchor + literals), op);
+			op += literals;
+			if (!offset) return;
+			output[op++] = offset & 0xFF;
+			output[op++] = offset >> 8;
+			if (matchCode >= 15) putLength(matchCode - 15);
+		}
+		while (i < matchStartLimit) {
+			hash = Math.imul(read32(i), 2654435761) >>> 20;
+			candidate = table[hash];
+			table[hash] = i;
+			if (candidate < 0 || i - candidate > 65535 || read32(candidate) !== read32(i)) {
+				++i;
+				continue;
+			}
+			for (length = 4; i + length < matchEndLimit && input[candidate + length] === input[i + length]; ++length);
+			putSequence(i - anchor, length, i - candidate);
+			i += length;
+			anchor = i;
+		}
+		putSequence(n - anchor, 0, 0);
+		return output.slice(0, op);
+	},
+	/**
+	 * Hash some bytes with xxHash32.
+	 * @param {Uint8Array} bytes - The data to hash.
+	 * @param {number} seed - The seed.
+	 * @returns {number} - The hash, as an unsigned 32-bit number.
+	 */
+	xxhash32: function(bytes, seed) {
+		var P1 = 0x9E3779B1, P2 = 0x85EBCA77, P3 = 0xC2B2AE3D, P4 = 0x27D4EB2F, P5 = 0x165667B1,
+		    n = bytes.length, i = 0, h, v1, v2, v3, v4;
+		function rotl(x, r) {
+			return x << r | x >>> (32 - r);
+		}
+		function lane(j) {
+			return bytes[j] | bytes[j + 1] << 8 | bytes[j + 2] << 16 | bytes[j + 3] << 24;
+		}
+		function round(v, j) {
+			return Math.imul(rotl(v + Math.imul(lane(j), P2) | 0, 13), P1);
+		}
+		if (n >= 16) {
+			v1 = seed + P1 + P2 | 0;
+			v2 = seed + P2 | 0;
+			v3 = seed | 0;
+			v4 = seed - P1 | 0;
+			for (; i + 16 <= n; i += 16) {
+				v1 = round(v1, i);
+				v2 = round(v2, i + 4);
+				v3 = round(v3, i + 8);
+				v4 = round(v4, i + 12);
+			}
+			h = rotl(v1, 1) + rotl(v2, 7) + rotl(v3, 12) + rotl(v4, 18) | 0;
+		} else {
+			h = seed + P5 | 0;
+		}
+		h = h + n | 0;
+		for (; i + 4 <= n; i += 4) {
+			h = Math.imul(rotl(h + Math.imul(lane(i), P3) | 0, 17), P4);
+		}
+		for (; i < n; ++i) {
+			h = Math.imul(rotl(h + Math.imul(bytes[i], P5) | 0, 11), P1);
+		}
+		h = Math.imul(h ^ h >>> 15, P2);
+		h = Math.imul(h ^ h >>> 13, P3);
+		return (h ^ h >>> 16) >>> 0;
+	},
+};
+
+/////////////////
+// Export code //
+/////////////////
+
+if (typeof exports !== 'undefined') {
+	if (typeof module !== 'undefined' && module.exports) {
+		exports = module.exports = SNBT;
+	}
+	exports.SNBT = SNBT;
+}
+
+}).call(this);
@@ -0,0 +1,556 @@
+/*!
+ * "snbt-structure.js" Structure and schematic add-on for snbt.js | MIT License
+ * https://github.com/AjaxGb/snbt.js
+ */
+
+(function() {
+"use strict";
+
+var root = this,
+    SNBT = typeof require !== "undefined" && typeof module !== "undefined" ? require("./snbt.js") : root.SNBT;
+
+///////////////////
+// Block volumes //
+///////////////////
+
+/**
+ * A box of blocks, with their block entities and the entities inside it. It can be read from and written to
+ * vanilla structure files (.nbt), Sponge schematics (.schem, versions 2 and 3) and Litematica schematics (.litematic).
+ * Positions are relative to the box's lowest corner. Blocks are stored as indices into a palette of block states.
+ * @constructor
+ * @param {number} width  - The size along the x axis.
+ * @param {number} height - The size along the y axis.
+ * @param {number} length - The size along the z axis.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {number} [options.dataVersion] - The data version of the game the blocks are from.
+ */
+SNBT.BlockVolume = function(width, height, length, options) {
+	options = options || {};
+	this.width = width;
+	this.height = height;
+	this.length = length;
+	this.dataVersion = options.dataVersion == null ? null : options.dataVersion;
+	/** The block states in the volume, as {name, properties}. */
+	this.palette = [];
+	/** The palette index of each block, in x, then z, then y order. -1 means no block, like structure void. */
+	this.blocks = new Int32Array(width * height * length).fill(-1);
+	/** The block entities, as {pos: [x, y, z], nbt}. The nbt has the block entity's id, but not its position. */
+	this.blockEntities = [];
+	/** The entities, as {pos: [x, y, z], nbt}. The position can be fractional. The nbt has the entity's id. */
+	this.entities = [];
+	this._paletteIndex = Object.create(null);
+};
+/**
+ * Read a structure or schematic, working out its format from the keys it has.
+ * @param {TagCompound} tag - The root Tag of the file.
+ * @returns {BlockVolume}
+ */
+SNBT.BlockVolume.read = function(tag) {
+	var map = tag.map;
+	if (map.Regions) return SNBT.BlockVolume.fromLitematic(tag);
+	if (map.Schematic || map.BlockData || map.Width) return SNBT.BlockVolume.fromSponge(tag);
+	if (map.size && map.blocks) return SNBT.BlockVolume.fromStructure(tag);
+	throw {error: "structure_error", message: "Not a structure, Sponge schematic or Litematica schematic"};
+};
+
+/**
+ * Parse a block state like 'minecraft:chest[facing=north,type=single]'.
+ * @param {string} state - The block state.
+ * @returns {Object} - {name, properties}, where properties maps property names to values as strings.
+ */
+SNBT.BlockVolume.parseState = function(state) {
+	var match = /^([^\[]*)(?:\[(.*)\])?$/.exec(state),
+	    properties = {};
+	if (match[2]) {
+		match[2].split(",").forEach(function(property) {
+			var equals = property.indexOf("=");
+			if (equals < 0) throw {error: "structure_error", message: "Invalid block state: " + state};
+			properties[property.substring(0, equals).trim()] = property.substring(equals + 1).trim();
+		});
+	}
+	return {name: match[1].trim(), properties: properties};
+};
+/**
+ * Write a block state like 'minecraft:chest[facing=north,type=single]'.
+ * @param {Object|string} state - The block state, as {name, properties} or a string.
+ * @returns {string}
+ */
+SNBT.BlockVolume.stateString = function(state) {
+	if (typeof state === "string") return state;
+	var properties = Object.keys(state.properties || {}).map(function(key) {
+		return key + "=" + state.properties[key];
+	});
+	return state.name + (properties.length ? "[" + properties.join(",") + "]" : "");
+};
+
+/**
+ * Get the palette index of a block state, adding it to the palette if needed.
+ * @param {Object|string} state - The block state, as {name, properties} or a string.
+ * @returns {number}
+ */
+SNBT.BlockVolume.prototype.paletteIndex = function(state) {
+	var key = SNBT.BlockVolume.stateString(state);
+	if (!(key in this._paletteIndex)) {
+		this._paletteIndex[key] = this.palette.length;
+		this.palette.push(typeof state === "string" ? SNBT.BlockVolume.parseState(state) : {
+			name: state.name,
+			properties: Object.assign({}, state.properties),
+		});
+	}
+	return this._paletteIndex[key];
+};
+SNBT.BlockVolume.prototype._index = function(x, y, z) {
+	if (x < 0 || y < 0 || z < 0 || x >= this.width || y >= this.height || z >= this.length) {
+		throw {error: "structure_error", message: "Position " + x + ", " + y + ", " + z + " is outside the volume"};
+	}
+	return (y * this.length + z) * this.width + x;
+};
+/**
+ * Get the block at a position.
+ * @returns {Object} - The block state, as {name, properties}, or null if there's no block.
+ */
+SNBT.BlockVolume.prototype.getBlock = function(x, y, z) {
+	var index = this.blocks[this._index(x, y, z)];
+	if (index < 0) return null;
+	return {name: this.palette[index].name, properties: Object.assign({}, this.palette[index].properties)};
+};
+/**
+ * Set the block at a position.
+ * @param {Object|string} state - The block state, as {name, properties} or a string, or null for no block.
+ */
+SNBT.BlockVolume.prototype.setBlock = function(x, y, z, state) {
+	this.blocks[this._index(x, y, z)] = state == null ? -1 : this.paletteIndex(state);
+};
+/**
+ * Get the block entity at a position.
+ * @returns {TagCompound} - Its NBT, or null if there isn't one.
+ */
+SNBT.BlockVolume.prototype.getBlockEntity = function(x, y, z) {
+	for (var i = 0; i < this.blockEntities.length; ++i) {
+		var pos = this.blockEntities[i].pos;
+		if (pos[0] === x && pos[1] === y && pos[2] === z) return this.blockEntities[i].nbt;
+	}
+	return null;
+};
+
+/////////////////////////////////
+// Vanilla structure files (.nbt)
+
+/**
+ * Read a vanilla structure file. Only the first palette is used, for structures with several.
+ * @param {TagCompound} tag - The root Tag of the file.
+ * @returns {BlockVolume}
+ */
+SNBT.BlockVolume.fromStructure = function(tag) {
+	var map = tag.map,
+	    size = SNBT._numbers(SNBT._required(map, "size")),
+	    palette = map.palette || (map.palettes && map.palettes.list[0]),
+	    volume = new SNBT.BlockVolume(size[0], size[1], size[2], {dataVersion: SNBT._number(map.DataVersion)}),
+	    indices;
+	if (!palette) throw {error: "structure_error", message: "Structure has no palette"};
+	indices = palette.list.map(function(entry) {
+		return volume.paletteIndex(SNBT._readPaletteEntry(entry));
+	});
+	SNBT._required(map, "blocks").list.forEach(function(block) {
+		var pos = SNBT._numbers(block.map.pos),
+		    state = SNBT._number(block.map.state);
+		if (indices[state] == null) throw {error: "structure_error", message: "Block uses missing palette index " + state};
+		volume.blocks[volume._index(pos[0], pos[1], pos[2])] = indices[state];
+		if (block.map.nbt) volume.blockEntities.push({pos: pos, nbt: SNBT.clone(block.map.nbt)});
+	});
+	if (map.entities) map.entities.list.forEach(function(entity) {
+		volume.entities.push({pos: SNBT._numbers(entity.map.pos), nbt: SNBT.clone(entity.map.nbt)});
+	});
+	return volume;
+};
+/**
+ * Write the volume as a vanilla structure file. Positions with no block are left out, like structure void.
+ * @returns {TagCompound}
+ */
+SNBT.BlockVolume.prototype.toStructure = function() {
+	var blocks = new SNBT.TagList(SNBT.TagCompound),
+	    entities = new SNBT.TagList(SNBT.TagCompound),
+	    blockEntities = SNBT._blockEntityMap(this),
+	    result = new SNBT.TagCompound(),
+	    x, y, z, i, block, entity;
+	for (y = 0; y < this.height; ++y) for (z = 0; z < this.length; ++z) for (x = 0; x < this.width; ++x) {
+		i = this._index(x, y, z);
+		if (this.blocks[i] < 0) continue;
+		block = new SNBT.TagCompound();
+		block.add("pos", SNBT._intList([x, y, z]));
+		block.add("state", new SNBT.TagInteger(this.blocks[i]));
+		if (blockEntities[i]) block.add("nbt", SNBT.clone(blockEntities[i].nbt));
+		blocks.push(block);
+	}
+	this.entities.forEach(function(e) {
+		entity = new SNBT.TagCompound();
+		entity.add("pos", SNBT._doubleList(e.pos));
+		entity.add("blockPos", SNBT._intList(e.pos.map(Math.floor)));
+		entity.add("nbt", SNBT.clone(e.nbt));
+		entities.push(entity);
+	});
+	if (this.dataVersion != null) result.add("DataVersion", new SNBT.TagInteger(this.dataVersion));
+	result.add("size", SNBT._intList([this.width, this.height, this.length]));
+	result.add("palette", new SNBT.TagList(SNBT.TagCompound, this.palette.map(SNBT._writePaletteEntry)));
+	result.add("blocks", blocks);
+	result.add("entities", entities);
+	return result;
+};
+
+/////////////////////////////////////////
+// Sponge schematics (.schem, v2 and v3)
+
+/**
+ * Read a Sponge schematic, version 2 or 3.
+ * @param {TagCompound} tag - The root Tag of the file. For version 3, this holds the 'Schematic' compound.
+ * @returns {BlockVolume}
+ */
+SNBT.BlockVolume.fromSponge = function(tag) {
+	var schematic = tag.map.Schematic || tag,
+	    map = schematic.map,
+	    version = SNBT._number(map.Version) || 1,
+	    blocks = version >= 3 ? SNBT._required(map, "Blocks").map : map,
+	    // The sizes are unsigned shorts
+	    volume = new SNBT.BlockVolume(SNBT._number(map.Width) & 0xFFFF, SNBT._number(map.Height) & 0xFFFF,
+	    	SNBT._number(map.Length) & 0xFFFF, {dataVersion: SNBT._number(map.DataVersion)}),
+	    palette = SNBT._required(blocks, "Palette"),
+	    indices = [],
+	    data = SNBT._required(blocks, version >= 3 ? "Data" : "BlockData").list,
+	    pos = 0, i, value, shift, b;
+	palette.pairs.forEach(function(pair) {
+		indices[SNBT._number(pair[1])] = volume.paletteIndex(pair[0].value);
+	});
+	// Each block's palette index is an unsigned LEB128 varint
+	for (i = 0; i < volume.blocks.length; ++i) {
+		value = 0;
+		shift = 0;
+		do {
+			if (pos >= data.length) throw {error: "structure_error", message: "Block data is too short"};
+			b = data[pos++].value & 0xFF;
+			value |= (b & 0x7F) << shift;
+			shift += 7;
+		} while (b & 0x80);
+		if (indices[value] == null) throw {error: "structure_error", message: "Block data uses missing palette index " + value};
+		volume.blocks[i] = indices[value];
+	}
+
+	var blockEntities = version >= 3 ? blocks.BlockEntities : map.BlockEntities || map.TileEntities;
+	if (blockEntities) blockEntities.list.forEach(function(entry) {
+		volume.blockEntities.push({
+			pos: SNBT._numbers(entry.map.Pos),
+			nbt: SNBT._spongeData(entry, version),
+		});
+	});
+	if (map.Entities) map.Entities.list.forEach(function(entry) {
+		volume.entities.push({
+			pos: SNBT._numbers(entry.map.Pos),
+			nbt: SNBT._spongeData(entry, version),
+		});
+	});
+	return volume;
+};
+/**
+ * Write the volume as a Sponge schematic. Positions with no block become air.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {number} [options.version=3] - The version of the format, 2 or 3.
+ *
+ * @returns {TagCompound} - The root Tag of the file. For version 3, this holds the 'Schematic' compound.
+ */
+SNBT.BlockVolume.prototype.toSponge = function(options) {
+	options = options || {};
+	var version = options.version || 3,
+	    schematic = new SNBT.TagCompound(),
+	    palette = new SNBT.TagCompound(),
+	    bytes = [],
+	    indices = [],
+	    air = -1,
+	    i, value;
+	if (version !== 2 && version !== 3) {
+		throw {error: "invalid_option", message: "Unknown Sponge schematic version " + version + ", expected 2 or 3"};
+	}
+	if (Math.max(this.width, this.height, this.length) > 0xFFFF) {
+		throw {error: "structure_error", message: "Sponge schematics can't be more than 65535 blocks across"};
+	}
+	for (i = 0; i < this.blocks.length; ++i) {
+		value = this.blocks[i];
+		if (value < 0) {
+			if (air < 0) air = this.paletteIndex("minecraft:air");
+			value = air;
+		}
+		if (indices[value] == null) {
+			indices[value] = palette.pairs.length;
+			palette.add(SNBT.BlockVolume.stateString(this.palette[value]), new SNBT.TagInteger(indices[value]));
+		}
+		for (value = indices[value]; value >= 0x80; value >>>= 7) {
+			bytes.push(new SNBT.TagByte((value & 0x7F | 0x80) << 24 >> 24));
+		}
+		bytes.push(new SNBT.TagByte(value));
+	}
+	var data = new SNBT.TagArrayByte(bytes),
+	    blockEntities = new SNBT.TagList(SNBT.TagCompound, this.blockEntities.map(function(blockEntity) {
+	    	return SNBT._writeSpongeData(blockEntity.nbt, version, "Pos", new SNBT.TagArrayInt(blockEntity.pos.map(function(n) {
+	    		return new SNBT.TagInteger(n);
+	    	})));
+	    })),
+	    entities = new SNBT.TagList(SNBT.TagCompound, this.entities.map(function(entity) {
+	    	return SNBT._writeSpongeData(entity.nbt, version, "Pos", SNBT._doubleList(entity.pos));
+	    }));
+
+	schematic.add("Version", new SNBT.TagInteger(version));
+	if (this.dataVersion != null) schematic.add("DataVersion", new SNBT.TagInteger(this.dataVersion));
+	// The sizes are unsigned shorts, stored in signed ones
+	schematic.add("Width", new SNBT.TagShort(this.width << 16 >> 16));
+	schematic.add("Height", new SNBT.TagShort(this.height << 16 >> 16));
+	schematic.add("Length", new SNBT.TagShort(this.length << 16 >> 16));
+	schematic.add("Offset", new SNBT.TagArrayInt([new SNBT.TagInteger(0), new SNBT.TagInteger(0), new SNBT.TagInteger(0)]));
+	if (version === 2) {
+		schematic.add("PaletteMax", new SNBT.TagInteger(palette.pairs.length));
+		schematic.add("Palette", palette);
+		schematic.add("BlockData", data);
+		schematic.add("BlockEntities", blockEntities);
+		schematic.add("Entities", entities);
+		return schematic;
+	}
+	var blocks = new SNBT.TagCompound(),
+	    result = new SNBT.TagCompound();
+	blocks.add("Palette", palette);
+	blocks.add("Data", data);
+	blocks.add("BlockEntities", blockEntities);
+	schematic.add("Blocks", blocks);
+	schematic.add("Entities", entities);
+	result.add("Schematic", schematic);
+	return result;
+};
+
+////////////////////////////////////////
+// Litematica schematics (.litematic)
+
+/**
+ * Read a Litematica schematic. All of its regions are put in one volume, which encloses them.
+ * @param {TagCompound} tag - The root Tag of the file.
+ * @returns {BlockVolume}
+ */
+SNBT.BlockVolume.fromLitematic = function(tag) {
+	var regions = SNBT._required(tag.map, "Regions").pairs.map(function(pair) {
+		var map = pair[1].map,
+		    position = SNBT._xyz(SNBT._required(map, "Position")),
+		    size = SNBT._xyz(SNBT._required(map, "Size"));
+		// A negative size goes the other way from the position
+		return {
+			map: map,
+			min: position.map(function(n, i) { return size[i] < 0 ? n + size[i] + 1 : n; }),
+			size: size.map(Math.abs),
+		};
+	});
+	var min = [0, 1, 2].map(function(i) {
+		return Math.min.apply(null, regions.map(function(region) { return region.min[i]; }));
+	});
+	var max = [0, 1, 2].map(function(i) {
+		return Math.max.apply(null, regions.map(function(region) { return region.min[i] + region.size[i]; }));
+	});
+	var volume = new SNBT.BlockVolume(max[0] - min[0], max[1] - min[1], max[2] - min[2],
+		{dataVersion: SNBT._number(tag.map.MinecraftDataVersion)});
+
+	regions.forEach(function(region) {
+		var map = region.map,
+		    size = region.size,
+		    offset = region.min.map(function(n, i) { return n - min[i]; }),
+		    indices = SNBT._required(map, "BlockStatePalette").list.map(function(entry) {
+		    	return volume.paletteIndex(SNBT._readPaletteEntry(entry));
+		    }),
+		    count = size[0] * size[1] * size[2],
+		    bits = SNBT.PackedArray.bitsFor(indices.length, 2),
+		    states = new SNBT.PackedArray(SNBT._required(map, "BlockStates"), bits, {length: count, padded: false}).toArray(),
+		    x, y, z, i = 0;
+		for (y = 0; y < size[1]; ++y) for (z = 0; z < size[2]; ++z) for (x = 0; x < size[0]; ++x) {
+			if (indices[states[i]] == null) throw {error: "structure_error", message: "Block uses missing palette index " + states[i]};
+			volume.blocks[volume._index(x + offset[0], y + offset[1], z + offset[2])] = indices[states[i++]];
+		}
+		if (map.TileEntities) map.TileEntities.list.forEach(function(entry) {
+			var nbt = SNBT.clone(entry);
+			["x", "y", "z"].forEach(function(key) { nbt.remove(key); });
+			volume.blockEntities.push({pos: SNBT._xyz(entry).map(function(n, i) { return n + offset[i]; }), nbt: nbt});
+		});
+		if (map.Entities) map.Entities.list.forEach(function(entry) {
+			var nbt = SNBT.clone(entry);
+			nbt.remove("Pos");
+			volume.entities.push({pos: SNBT._numbers(entry.map.Pos).map(function(n, i) { return n + offset[i]; }), nbt: nbt});
+		});
+	});
+	return volume;
+};
+/**
+ * Write the volume as a Litematica schematic, with one region. Positions with no block become air.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {string} [options.name="Unnamed"] - The name of the schematic and its region.
+ * @param {string} [options.author=""]      - Who made the schematic.
+ * @param {number} [options.version=6]      - The version of the format.
+ *
+ * @returns {TagCompound}
+ */
+SNBT.BlockVolume.prototype.toLitematic = function(options) {
+	options = options || {};
+	var name = options.name || "Unnamed",
+	    air = SNBT.BlockVolume.parseState("minecraft:air"),
+	    palette = [air],
+	    indices = [],
+	    states = new Uint32Array(this.blocks.length),
+	    totalBlocks = 0,
+	    i, value;
+	// Air is always first in the palette, so it's where empty positions go
+	if ("minecraft:air" in this._paletteIndex) indices[this._paletteIndex["minecraft:air"]] = 0;
+	for (i = 0; i < this.blocks.length; ++i) {
+		value = this.blocks[i];
+		if (value < 0) continue;
+		if (indices[value] == null) {
+			indices[value] = palette.length;
+			palette.push(this.palette[value]);
+		}
+		if (indices[value] !== 0) ++totalBlocks;
+		states[i] = indices[value];
+	}
+
+	var bits = SNBT.PackedArray.bitsFor(palette.length, 2),
+	    region = new SNBT.TagCompound(),
+	    metadata = new SNBT.TagCompound(),
+	    regions = new SNBT.TagCompound(),
+	    result = new SNBT.TagCompound(),
+	    now = new SNBT.TagLong(Date.now()),
+	    size = SNBT._xyzCompound([this.width, this.height, this.length]);
+	region.add("Position", SNBT._xyzCompound([0, 0, 0]));
+	region.add("Size", size);
+	region.add("BlockStatePalette", new SNBT.TagList(SNBT.TagCompound, palette.map(SNBT._writePaletteEntry)));
+	region.add("BlockStates", SNBT.PackedArray.from(states, bits, {padded: false}).tag);
+	region.add("TileEntities", new SNBT.TagList(SNBT.TagCompound, this.blockEntities.map(function(blockEntity) {
+		var nbt = SNBT.clone(blockEntity.nbt);
+		["x", "y", "z"].forEach(function(key, i) { nbt.set(key, new SNBT.TagInteger(blockEntity.pos[i])); });
+		return nbt;
+	})));
+	region.add("Entities", new SNBT.TagList(SNBT.TagCompound, this.entities.map(function(entity) {
+		var nbt = SNBT.clone(entity.nbt);
+		nbt.set("Pos", SNBT._doubleList(entity.pos));
+		return nbt;
+	})));
+	region.add("PendingBlockTicks", new SNBT.TagList(SNBT.TagCompound));
+	region.add("PendingFluidTicks", new SNBT.TagList(SNBT.TagCompound));
+	regions.add(name, region);
+
+	metadata.add("Name", new SNBT.TagString(name));
+	metadata.add("Author", new SNBT.TagString(options.author || ""));
+	metadata.add("Description", new SNBT.TagString(""));
+	metadata.add("RegionCount", new SNBT.TagInteger(1));
+	metadata.add("TotalVolume", new SNBT.TagInteger(this.blocks.length));
+	metadata.add("TotalBlocks", new SNBT.TagInteger(totalBlocks));
+	metadata.add("TimeCreated", now);
+	metadata.add("TimeModified", SNBT.clone(now));
+	metadata.add("EnclosingSize", SNBT.clone(size));
+
+	if (this.dataVersion != null) result.add("MinecraftDataVersion", new SNBT.TagInteger(this.dataVersion));
+	result.add("Version", new SNBT.TagInteger(options.version || 6));
+	result.add("Metadata", metadata);
+	result.add("Regions", regions);
+	return result;
+};
+
+/////////////
+// Helpers //
+/////////////
+
+SNBT._required = function(map, key) {
+	if (!map[key]) throw {error: "structure_error", message: "Missing " + key};
+	return map[key];
+};
+SNBT._number = function(tag) {
+	return tag ? Number(tag.value) : null;
+};
+// The values of a list or array of numbers
+SNBT._numbers = function(tag) {
+	return tag.list.map(function(element) { return Number(element.value); });
+};
+// The values of a compound with x, y and z keys
+SNBT._xyz = function(tag) {
+	return [SNBT._number(tag.map.x), SNBT._number(tag.map.y), SNBT._number(tag.map.z)];
+};
+SNBT._xyzCompound = function(values) {
+	var compound = new SNBT.TagCompound();
+	["x", "y", "z"].forEach(function(key, i) { compound.add(key, new SNBT.TagInteger(values[i])); });
+	return compound;
+};
+SNBT._intList = function(values) {
+	return new SNBT.TagList(SNBT.TagInteger, values.map(function(n) { return new SNBT.TagInteger(n); }));
+};
+SNBT._doubleList = function(values) {
+	return new SNBT.TagList(SNBT.TagDouble, values.map(function(n) { return new SNBT.TagDouble(n); }));
+};
+// Read a {Name, Properties} palette entry
+SNBT._readPaletteEntry = function(entry) {
+	var properties = {};
+	if (entry.map.Properties) entry.map.Properties.pairs.forEach(function(pair) {
+		properties[pair[0].value] = String(pair[1].value);
+	});
+	return {name: entry.map.Name.value, properties: properties};
+};
+SNBT._writePaletteEntry = function(state) {
+	var entry = new SNBT.TagCompound(),
+	    keys = Object.keys(state.properties);
+	entry.add("Name", new SNBT.TagString(state.name));
+	if (keys.length) {
+		entry.add("Properties", new SNBT.TagCompound());
+		keys.forEach(function(key) {
+			entry.map.Properties.add(key, new SNBT.TagString(state.properties[key]));
+		});
+	}
+	return entry;
+};
+// The block entities of a volume, by block index
+SNBT._blockEntityMap = function(volume) {
+	var byIndex = [];
+	volume.blockEntities.forEach(function(blockEntity) {
+		var pos = blockEntity.pos;
+		byIndex[volume._index(pos[0], pos[1], pos[2])] = blockEntity;
+	});
+	return byIndex;
+};
+/**
+ * Get the NBT of a Sponge block entity or entity, in the game's form, with an 'id' and no position.
+ * Version 3 keeps it under 'Data'; version 2 has it next to 'Id' and 'Pos'.
+ */
+SNBT._spongeData = function(entry, version) {
+	var nbt = version >= 3 ? SNBT.clone(entry.map.Data || new SNBT.TagCompound()) : SNBT.clone(entry);
+	if (version < 3) {
+		["Id", "Pos"].forEach(function(key) { nbt.remove(key); });
+	}
+	if (entry.map.Id && !nbt.map.id) nbt.add("id", SNBT.clone(entry.map.Id));
+	return nbt;
+};
+SNBT._writeSpongeData = function(nbt, version, posKey, pos) {
+	var entry = new SNBT.TagCompound(),
+	    data = SNBT.clone(nbt);
+	entry.add(posKey, pos);
+	if (data.map.id) {
+		entry.add("Id", SNBT.clone(data.map.id));
+		data.remove("id");
+	}
+	if (version >= 3) {
+		entry.add("Data", data);
+	} else {
+		data.pairs.forEach(function(pair) { entry.set(pair[0].value, pair[1]); });
+	}
+	return entry;
+};
+
+/////////////////
+// Export code //
+/////////////////
+
+if (typeof exports !== 'undefined') {
+	if (typeof module !== 'undefined' && module.exports) {
+		exports = module.exports = SNBT;
+	}
+	exports.SNBT = SNBT;
+}
+
+}).call(this);
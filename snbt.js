@@ -20,106 +20,103 @@ var SNBT = {
 	TagString: function(value, isKey) {
 		this.value = value;
 		this.isKey = !!isKey;
-		this.needQuotes = SNBT.quotedCharRE.test(value);
-		if (!this.needQuotes && !isKey) {
-			var num;
-			try {
-				num = SNBT._Parser.parseNumber(value);
-			} catch (e) {
-				return;
-			}
-			if (num) this.needQuotes = true;
-		}
 	},
 	/**
-	 * A generic NBT number tag
+	 * A generic NBT integer tag
 	 * @constructor
 	 * @abstract
-	 * @param {number} value - The tag's value
+	 * @param {number} value - The tag's value. Must be a whole number.
+	 * @param {boolean} [round=false] - Round the value to the nearest whole number, rather than rejecting fractions.
 	 */
-	TagNumberBase: function(value) {
+	TagNumberBase: function(value, round) {
+		if (typeof value !== "number") throw {error: "invalid_format", message: "Expected a number but got " + typeof value};
+		if (round) value = Math.round(value);
+		if (Math.floor(value) !== value) {
+			throw {error: "not_an_integer", type: this.constructor, message: "Expected a whole number but got " + value};
+		}
 		if (value > this.maxValue) throw {error: "value_too_high", type: this.constructor, max: this.maxValue};
 		if (value < this.minValue) throw {error: "value_too_low",  type: this.constructor, min: this.minValue};
-		this.value = value;
+		this.value = value + 0; // No negative zero
 	},
 	/**
 	 * An NBT Byte tag
 	 * @constructor
-	 * @param {number} value - The tag's value. Must be a whole number (not enforced).
+	 * @param {number} value - The tag's value. Must be a whole number.
+	 * @param {boolean} [round=false] - Round the value to the nearest whole number, rather than rejecting fractions.
 	 */
-	TagByte: function(value) {
-		SNBT.TagNumberBase.call(this, value);
+	TagByte: function(value, round) {
+		SNBT.TagNumberBase.call(this, value, round);
 	},
 	/**
 	 * An NBT Short tag
 	 * @constructor
-	 * @param {number} value - The tag's value. Must be a whole number (not enforced).
+	 * @param {number} value - The tag's value. Must be a whole number.
+	 * @param {boolean} [round=false] - Round the value to the nearest whole number, rather than rejecting fractions.
 	 */
-	TagShort: function(value) {
-		SNBT.TagNumberBase.call(this, value);
+	TagShort: function(value, round) {
+		SNBT.TagNumberBase.call(this, value, round);
 	},
 	/**
 	 * An NBT Integer tag
 	 * @constructor
-	 * @param {number} value - The tag's value. Must be a whole number (not enforced).
+	 * @param {number} value - The tag's value. Must be a whole number.
+	 * @param {boolean} [round=false] - Round the value to the nearest whole number, rather than rejecting fractions.
 	 */
-	TagInteger: function(value) {
-		SNBT.TagNumberBase.call(this, value);
+	TagInteger: function(value, round) {
+		SNBT.TagNumberBase.call(this, value, round);
 	},
 	/**
-	 * An NBT Long tag
+	 * An NBT Long tag. Its value is a BigInt.
 	 * @constructor
-	 * @param {string} value - The tag's value. NOT A NUMBER! Must be a string matching /^[-+]?(0|[1-9][0-9]*)$/
+	 * @param {bigint|number|string} value - The tag's value. Numbers must be whole, and strings must match
+	 *                                       /^[-+]?(0|[1-9][0-9]*)$/.
+	 * @param {boolean} [round=false] - Round a number value to the nearest whole number, rather than rejecting fractions.
 	 */
-	TagLong: function(value) {
-		var sign = value[0];
-		if (sign === "+" || sign === "-") {
-			value = value.substr(1);
-		}
-		
-		if (value === "0") return this.value = 0;
-		if (!/^[1-9][0-9]*$/.test(value)) throw {error: "invalid_format", message: "Badly formatted TagLong string"};
-		if (value.length > 19) {
-			if (sign === "-") throw {error: "value_too_low", type: SNBT.TagLong, min: this.minValue};
-			throw {error: "value_too_high", type: SNBT.TagLong, max: this.maxValue};
-		}
-		if (value.length < 19) {
-			if (sign === "-") return this.value = sign + value;
-			return this.value = value;
-		}
-		
-		var limit = (sign === "-") ? this.minValueSignless : this.maxValue;
-		for (var i = 0; i < limit.length; ++i) {
-			if (value[i] !== limit[i]) {
-				if (value[i] < limit[i]) break;
-				if (sign === "-") throw {error: "value_too_low", type: SNBT.TagLong, min: this.minValue};
-				throw {error: "value_too_high", type: SNBT.TagLong, max: this.maxValue};
+	TagLong: function(value, round) {
+		switch (typeof value) {
+		case "bigint":
+			break;
+		case "number":
+			if (round) value = Math.round(value);
+			if (Math.floor(value) !== value) {
+				throw {error: "not_an_integer", type: SNBT.TagLong, message: "Expected a whole number but got " + value};
 			}
+			value = BigInt(value);
+			break;
+		case "string":
+			if (!/^[-+]?(?:0|[1-9][0-9]*)$/.test(value)) throw {error: "invalid_format", message: "Badly formatted TagLong string"};
+			value = BigInt(value);
+			break;
+		default:
+			throw {error: "invalid_format", message: "Expected a BigInt, number or string but got " + typeof value};
 		}
-		
-		if (sign === "-") return this.value = sign + value;
-		return this.value = value;
+		if (value > this.maxValue) throw {error: "value_too_high", type: SNBT.TagLong, max: this.maxValue};
+		if (value < this.minValue) throw {error: "value_too_low",  type: SNBT.TagLong, min: this.minValue};
+		this.value = value;
 	},
 	/**
-	 * An NBT Float tag
+	 * An NBT Float tag. The value is rounded to 32 bits, so it's exactly what the game would store.
+	 * NaN is allowed, since binary NBT can hold it, but SNBT can't: it's printed as NaNf, like the game does, which
+	 * doesn't parse back as a float. Use strict to reject it.
 	 * @constructor
-	 * @param {number} value - The tag's value.
+	 * @param {number} value - The tag's value. Values too big for a float become Infinity, like in Java.
+	 * @param {boolean} [strict=false] - Throw if the value is NaN or too big for a float, rather than making it Infinity.
 	 */
-	TagFloat: function(value) {
-		value = value;
-		if (value > this.maxValue) value =  "9e99";
-		if (value < this.minValue) value = "-9e99";
-		this.value = value;
+	TagFloat: function(value, strict) {
+		if (typeof value !== "number") throw {error: "invalid_format", message: "Expected a number but got " + typeof value};
+		SNBT._checkOverflow(SNBT.TagFloat, value, Math.fround(value), strict);
+		this.value = Math.fround(value);
 	},
 	/**
-	 * An NBT Double tag
+	 * An NBT Double tag. NaN is allowed, since binary NBT can hold it, but SNBT can't: it's printed as NaNd, like the
+	 * game does, which doesn't parse back as a double. Use strict to reject it.
 	 * @constructor
 	 * @param {number} value - The tag's value.
+	 * @param {boolean} [strict=false] - Throw if the value is NaN or infinite, as it is when parsing a literal that's too big.
 	 */
-	TagDouble: function(value) {
-		value = value;
-		if (value > this.maxValue) value =  "9e999";
-		if (value < this.minValue) value = "-9e999";
+	TagDouble: function(value, strict) {
+		if (typeof value !== "number") throw {error: "invalid_format", message: "Expected a number but got " + typeof value};
+		SNBT._checkOverflow(SNBT.TagDouble, value, value, strict);
 		this.value = value;
 	},
 	/**
@@ -139,9 +136,11 @@ var SNBT = {
 	 * @constructor
 	 * @param {Function} [type=undefined] - The type of the list. Leave undefined to auto-detect, or specify a TagBase constructor.
 	 * @param {TagBase[]} [values] - An array of Tags to insert into the list.
+	 * @param {boolean} [mixed=false] - Allow Tags of different types, as Minecraft 1.21.5+ does. Mixed lists have no type.
 	 */
-	TagList: function(type, values) {
-		this.type = type ? type : undefined;
+	TagList: function(type, values, mixed) {
+		this.mixed = !!mixed;
+		this.type = type && !mixed ? type : undefined;
 		this.list = [];
 		if (values) for (var i = 0; i < values.length; ++i) {
 			this.push(values[i]);
@@ -171,6 +170,37 @@ var SNBT = {
 	TagArrayLong: function(values) {
 		SNBT.TagList.call(this, SNBT.TagLong, values);
 	},
+	/**
+	 * An error in the syntax of some SNBT or an NBT path.
+	 * @constructor
+	 * @extends Error
+	 * @param {string} code - A stable identifier for the kind of error, e.g. "unexpected_end" or "duplicate_key".
+	 * @param {string} message - The full error message.
+	 * @param {Object} details - Where and what the problem is.
+	 * @param {string}   details.reason     - The error message, without the excerpt of the input.
+	 * @param {number}   details.start      - The offset where the problem starts.
+	 * @param {number}   details.end        - The offset where the problem ends (exclusive).
+	 * @param {number}   details.line       - The line of the start, counting from 1.
+	 * @param {number}   details.column     - The column of the start, counting from 1.
+	 * @param {number}   details.endLine    - The line of the end, counting from 1.
+	 * @param {number}   details.endColumn  - The column of the end, counting from 1.
+	 * @param {string[]} details.expected   - The tokens that would have been valid here, if known.
+	 * @param {string}   [details.suggestion] - How to fix the problem.
+	 */
+	SNBTSyntaxError: function(code, message, details) {
+		this.code = code;
+		this.message = message;
+		// The old error objects were {error: "parsing_error", message}
+		this.error = "parsing_error";
+		for (var k in details) {
+			if (details[k] !== undefined) this[k] = details[k];
+		}
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, SNBT.SNBTSyntaxError);
+		} else {
+			this.stack = new Error(message).stack;
+		}
+	},
 	/**
 	 * Convert a TagBase to a textual representation
 	 * @param {TagBase} value - The Tag to stringify.
@@ -188,22 +218,147 @@ var SNBT = {
 	 * @param {boolean}  [options.deflate=false]          - Remove all unnecessary whitespace in the result.
 	 * @param {Object}   [options.capitalizeSuffix]       - Which number suffixes to capitalize (keys: 'l', 'b', '', etc.).
 	 * @param {TagBase}  [options.capitalizeSuffix.default=false] - Whether to capitalize unmentioned suffixes.
+	 * @param {boolean}  [options.preserveFormat=false]   - Reuse the source text of Tags parsed with options.preserveFormat,
+	 *                                                      where they haven't changed. The other options only apply to the
+	 *                                                      rest, and the default indentation is copied from the source.
+	 * @param {string}   [options.dialect="legacy"]       - 'legacy' for SNBT that any version can read, or 'modern' for the
+	 *                                                      1.21.5+ grammar, which escapes control characters in strings.
+	 * @param {number}   [options.maxWidth]               - Put each compound and list on one line if it fits in this many
+	 *                                                      columns (tabs count as 4), and break it up otherwise. Lists of
+	 *                                                      primitives that don't fit are wrapped, several values per line.
+	 * @param {boolean}  [options.alignValues=false]      - Line up the values of the keys in each compound, with spaces.
+	 * @param {string}   [options.quoteStyle="double"]    - Which quotes to put around strings: 'double', 'single', 'minimal'
+	 *                                                      for the game's choice (whichever the first quote in the string
+	 *                                                      isn't, so it needn't be escaped), or 'prefer-single' for single
+	 *                                                      quotes unless the string has some and no double quotes.
+	 * @param {string}   [options.vanilla]                - Print exactly as the game does, ignoring the other options except
+	 *                                                      dialect: 'compact' as in Tag.toString and commands, or 'pretty' as
+	 *                                                      in structure .snbt files (where space defaults to four spaces).
 	 *
 	 * @returns {string}
 	 */
 	stringify: function(value, space, options) {
-		if (space == null) space = "\t";
 		options = options || {};
 		options.capitalizeSuffix = options.capitalizeSuffix || {};
+		SNBT._isModern(options.dialect);
+		// Check the quote style, even if there are no strings to quote
+		SNBT._quoteString("", options.quoteStyle);
+		if (options.vanilla === "compact" || options.vanilla === "pretty") {
+			return SNBT._printVanilla(value, space == null ? "    " : space, options.vanilla === "pretty",
+				options.dialect === "modern");
+		}
+		if (options.vanilla != null) {
+			throw {error: "invalid_option", message: "Unknown vanilla print mode '" + options.vanilla + "', expected 'compact' or 'pretty'"};
+		}
+		if (options.preserveFormat) {
+			if (space == null) space = value.cst && value.cst.space || "\t";
+			return SNBT._printPreserved(value, space, options);
+		}
+		if (space == null) space = "\t";
 		return SNBT._printValue(value, space, "", false, options);
 	},
 	/**
 	 * Parse the textual representation of an NBT Tag.
 	 * @param {string} value - The string to parse.
-	 * @returns {TagBase} - The parsed Tag.
+	 *
+	 * @param {Object}  [options] - Extra options.
+	 * @param {boolean} [options.recover=false]        - Keep going after errors, and return {tag, errors} rather than throwing.
+	 *                                                   The tag is a best guess at what was meant, or null if nothing was found.
+	 * @param {boolean} [options.preserveFormat=false] - Remember the source text of each Tag, as its "cst" property, so that
+	 *                                                   stringifying with options.preserveFormat can reproduce it.
+	 * @param {string}  [options.root="compound"]      - What the string may contain: 'compound' for a compound, as in
+	 *                                                   files and /data merge, or 'any' for any Tag, as in /data modify.
+	 * @param {string}  [options.dialect="legacy"]     - 'legacy' for the grammar before 1.21.5, or 'modern' to also allow
+	 *                                                   string escapes like '\n' and '\N{SECTION SIGN}', hex and binary
+	 *                                                   numbers, '_' in numbers, 'u'/'s' suffixes like 0xFFub, and the
+	 *                                                   bool(...) and uuid(...) operations.
+	 * @param {boolean} [options.mixedLists]           - Read every list as a mixed TagList, which can hold any types.
+	 *                                                   Defaults to true for the modern dialect, false otherwise.
+	 * @param {boolean} [options.strictNumbers=false]  - Fail on numbers too big for their type. Otherwise, the legacy
+	 *                                                   dialect reads whole numbers that are too big as strings, and
+	 *                                                   floats and doubles that are too big become infinite.
+	 * @param {number}  [options.maxDepth=512]         - How deeply compounds, lists and arrays may be nested, as in the game.
+	 * @param {number}  [options.maxTags=Infinity]     - How many Tags there may be in total.
+	 * @param {number}  [options.maxStringLength=Infinity] - How long strings and keys may be.
+	 * @param {number}  [options.maxLength=Infinity]   - How long the whole input may be.
+	 *                                                   Going over any of these limits throws an SNBTSyntaxError with the
+	 *                                                   code 'limit_exceeded', even if recovering. Its limit property is
+	 *                                                   the name of the option, and max is its value.
+	 *
+	 * @throws {SNBTSyntaxError} - If the string is not valid SNBT.
+	 * @returns {TagBase|Object} - The parsed Tag.
+	 */
+	parse: function(value, options) {
+		return SNBT._Parser.parse(value, options);
+	},
+	/**
+	 * Parse one Tag from part of a string, such as an argument in the middle of a command.
+	 * Whitespace before the Tag is skipped, and anything after it is left alone.
+	 * @param {string} value    - The string to parse from.
+	 * @param {number} [offset=0] - Where to start reading.
+	 *
+	 * @param {Object}  [options] - Extra options, as for SNBT.parse. options.root defaults to 'any'.
+	 *
+	 * @throws {SNBTSyntaxError} - If no valid SNBT starts at the offset.
+	 * @throws {Object} - {error: "invalid_option"} if the offset isn't inside the string (or just after it).
+	 * @returns {Object} - {tag, end}, where end is the index just after the Tag. Also has errors if recovering.
+	 */
+	parsePartial: function(value, offset, options) {
+		return SNBT._Parser.parsePartial(value, offset, options);
+	},
+	/**
+	 * Parse an NBT path, as used by the /data command (e.g. 'Inventory[{Slot:0b}].tag.display.Name').
+	 * @param {string} value - The path to parse.
+	 * @returns {NbtPath} - The parsed path.
+	 */
+	parsePath: function(value) {
+		return SNBT._Parser.parsePath(value);
+	},
+	/**
+	 * Make a deep copy of a Tag.
+	 * @param {TagBase} value - The Tag to copy.
+	 * @returns {TagBase} - The copy.
+	 */
+	clone: function(value) {
+		var copy, list, i;
+		switch (value.constructor) {
+		case SNBT.TagString:
+			return new SNBT.TagString(value.value, value.isKey);
+		case SNBT.TagCompound:
+			copy = new SNBT.TagCompound();
+			list = value.pairs;
+			for (i = 0; i < list.length; ++i) {
+				copy.add(list[i][0].value, SNBT.clone(list[i][1]));
+			}
+			return copy;
+		case SNBT.TagList:
+		case SNBT.TagArrayByte:
+		case SNBT.TagArrayInt:
+		case SNBT.TagArrayLong:
+			copy = new value.constructor();
+			copy.type = value.type;
+			copy.mixed = value.mixed;
+			list = value.list;
+			for (i = 0; i < list.length; ++i) {
+				copy.push(SNBT.clone(list[i]));
+			}
+			return copy;
+		}
+		return new value.constructor(value.value);
+	},
+	/**
+	 * Find the line and column of an offset into a string.
+	 * @param {string} string - The string.
+	 * @param {number} offset - The offset.
+	 * @returns {Object} - The position, as {line, column}. Both count from 1.
 	 */
-	parse: function(value) {
-		return SNBT._Parser.parse(value);
+	_lineColumn: function(string, offset) {
+		var line = 1, lineStart = 0, i = -1;
+		while ((i = string.indexOf("\n", i + 1)) >= 0 && i < offset) {
+			++line;
+			lineStart = i + 1;
+		}
+		return {line: line, column: offset - lineStart + 1};
 	},
 	/**
 	 * Compare two key-value compound member pairs alphabetically.
@@ -232,8 +387,8 @@ var SNBT = {
 		if (orderA < orderB) return -1;
 		if (orderA > orderB) return  1;
 		if (a[1].constructor !== SNBT.TagList) return 0;
-		orderA = a[1].type.prototype.sortOrder;
-		orderB = b[1].type.prototype.sortOrder;
+		orderA = SNBT._listOrder(a[1]);
+		orderB = SNBT._listOrder(b[1]);
 		if (orderA < orderB) return -1;
 		if (orderA > orderB) return  1;
 		return 0;
@@ -247,6 +402,12 @@ var SNBT = {
 	compareTypeAlpha: function(a, b) {
 		return SNBT.compareType(a, b) || SNBT.compareAlpha(a, b);
 	},
+	// Where a list goes among other lists: by its element type, with empty lists first and mixed ones last
+	_listOrder: function(list) {
+		var type = list.mixed ? SNBT._mixedListType(list) : list.type;
+		if (type === null) return Infinity;
+		return type ? type.prototype.sortOrder : -1;
+	},
 	/**
 	 * Sort a list while ensuring that items which compare equal stay in the same order relative to each other.
 	 * @param {Array} list - The list to sort.
@@ -265,7 +426,65 @@ var SNBT = {
 		});
 		return indexed.map(function(e) { return e[0] });
 	},
+	/**
+	 * Print a Tag. Compounds and lists are printed with an explicit stack rather than by recursion,
+	 * so there's no limit on how deeply they can be nested.
+	 * @param {TagBase} value - The Tag to print.
+	 * @param {string} space - The string to use for indentation.
+	 * @param {string} indent - The indentation of the line the Tag starts on.
+	 * @param {boolean} hasName - Whether the Tag comes after a key.
+	 * @param {Object} options - Extra options, as for SNBT.stringify.
+	 * @returns {string}
+	 */
 	_printValue: function(value, space, indent, hasName, options) {
+		var out = "", stack = [], startIndent = indent, pad = "", frame, item, key, line, text;
+		for (;;) {
+			if (options.maxWidth && !options.deflate && !value.isPrimitive) {
+				// Work out how much of the line is already used
+				line = out.lastIndexOf("\n");
+				line = (line < 0 ? startIndent + out : out.substring(line + 1)) + pad;
+				frame = SNBT._printFitted(value, space, indent, hasName, SNBT._textWidth(line), options) ||
+					SNBT._printOpen(value, space, indent, hasName, options);
+			} else {
+				frame = SNBT._printOpen(value, space, indent, hasName, options);
+			}
+			text = typeof frame === "string" ? frame : frame.open;
+			// Values put on the next line by options.nlBrackets don't need lining up
+			if (text[0] !== "\n") out += pad;
+			out += text;
+			pad = "";
+			if (typeof frame !== "string") stack.push(frame);
+			
+			// Finish off the containers that have no children left, and find the next child to print
+			for (;;) {
+				frame = stack[stack.length - 1];
+				if (!frame) return out;
+				if (frame.i > 0) out += SNBT._printAfter(frame, options);
+				if (frame.i < frame.children.length) break;
+				out += frame.isCompound ? "}" : "]";
+				stack.pop();
+			}
+			item = frame.children[frame.i];
+			if (frame.isCompound) {
+				if (!options.deflate) out += frame.indent;
+				key = SNBT._printString(item[0], options);
+				out += key + ":";
+				if (frame.keyWidth) pad = new Array(frame.keyWidth - key.length + 1).join(" ");
+				value = item[1];
+			} else {
+				if (!(options.deflate || frame.i === 0 && frame.collapseBr)) out += frame.indent;
+				value = item;
+			}
+			indent = frame.indent;
+			hasName = frame.isCompound;
+			++frame.i;
+		}
+	},
+	/**
+	 * Start printing a Tag.
+	 * @returns {string|Object} - The whole Tag, or the start of a compound or list with children still to print.
+	 */
+	_printOpen: function(value, space, indent, hasName, options) {
 		var str;
 		switch (value.constructor) {
 		case SNBT.TagString:
@@ -291,17 +510,147 @@ var SNBT = {
 		return str;
 	},
 	_printString: function(str, options) {
-		if (str.needQuotes || (str.isKey ? options.quoteKeys : !options.unquoteStrings)) {
-			return '"' + str.value
-				.replace(/\\/g, '\\\\')
-				.replace(/"/g, '\\"') + '"';
+		var modern = options.dialect === "modern";
+		if (str.needQuotes || !str.value || (str.isKey ? options.quoteKeys : !options.unquoteStrings) ||
+				// The modern grammar reads anything starting like a number as one
+				(modern && !str.isKey && SNBT._Parser.numberStartRE.test(str.value))) {
+			return SNBT._quoteString(str.value, options.quoteStyle, modern ? /[\x00-\x1F\x7F-\x9F]/g : null);
 		}
 		return str.value;
 	},
+	/**
+	 * Quote and escape a string.
+	 * @param {string} value - The string.
+	 * @param {string} [quoteStyle="double"] - Which quotes to use, as for SNBT.stringify.
+	 * @param {RegExp} [controlRE] - The characters to escape with \x, \n, etc., if any.
+	 * @returns {string}
+	 */
+	_quoteString: function(value, quoteStyle, controlRE) {
+		var quote = '"', first;
+		switch (quoteStyle || "double") {
+		case "double":
+			break;
+		case "single":
+			quote = "'";
+			break;
+		case "minimal":
+			// Like the game: whichever quote the first quote in the string isn't
+			first = /["']/.exec(value);
+			if (first && first[0] === '"') quote = "'";
+			break;
+		case "prefer-single":
+			if (value.indexOf('"') >= 0 || value.indexOf("'") < 0) quote = "'";
+			break;
+		default:
+			throw {
+				error: "invalid_option",
+				message: "Unknown quote style '" + quoteStyle + "', expected 'double', 'single', 'minimal' or 'prefer-single'",
+			};
+		}
+		var quoted = value.replace(quote === '"' ? /[\\"]/g : /[\\']/g, "\\$&");
+		if (controlRE) quoted = quoted.replace(controlRE, SNBT._escapeControl);
+		return quote + quoted + quote;
+	},
+	_controlEscapes: {"\b": "\\b", "\t": "\\t", "\n": "\\n", "\f": "\\f", "\r": "\\r"},
+	_escapeControl: function(c) {
+		return SNBT._controlEscapes[c] || "\\x" + (c.charCodeAt(0) < 16 ? "0" : "") + c.charCodeAt(0).toString(16).toUpperCase();
+	},
+	/**
+	 * Check the name of an SNBT dialect.
+	 * @param {string} [dialect="legacy"] - 'legacy' or 'modern'.
+	 * @returns {boolean} - Whether it's the modern dialect.
+	 */
+	_isModern: function(dialect) {
+		if (dialect == null || dialect === "legacy") return false;
+		if (dialect === "modern") return true;
+		throw {error: "invalid_option", message: "Unknown SNBT dialect '" + dialect + "', expected 'legacy' or 'modern'"};
+	},
+	/**
+	 * Characters that can be named in modern \N{...} escapes. Names are upper case.
+	 * JavaScript has no built-in list of Unicode names, so only common ones are here; add more as needed.
+	 */
+	unicodeNames: {
+		"NULL": "\0",
+		"CHARACTER TABULATION": "\t",
+		"LINE FEED": "\n",
+		"CARRIAGE RETURN": "\r",
+		"SPACE": " ",
+		"QUOTATION MARK": '"',
+		"APOSTROPHE": "'",
+		"REVERSE SOLIDUS": "\\",
+		"NO-BREAK SPACE": "\u00A0",
+		"SECTION SIGN": "\u00A7",
+		"DEGREE SIGN": "\u00B0",
+		"MULTIPLICATION SIGN": "\u00D7",
+		"ZERO WIDTH SPACE": "\u200B",
+		"BULLET": "\u2022",
+		"HORIZONTAL ELLIPSIS": "\u2026",
+		"LEFTWARDS ARROW": "\u2190",
+		"UPWARDS ARROW": "\u2191",
+		"RIGHTWARDS ARROW": "\u2192",
+		"DOWNWARDS ARROW": "\u2193",
+		"FULL BLOCK": "\u2588",
+		"BLACK STAR": "\u2605",
+		"BLACK HEART SUIT": "\u2665",
+		"CHECK MARK": "\u2713",
+		"REPLACEMENT CHARACTER": "\uFFFD",
+	},
 	_printNumber: function(number, options) {
 		var cap = options.capitalizeSuffix[number.suffix];
 		if (cap == null) cap = options.capitalizeSuffix["default"];
-		return number.value + (cap ? number.suffix.toUpperCase() : number.suffix);
+		return SNBT._numberString(number) + (cap ? number.suffix.toUpperCase() : number.suffix);
+	},
+	/**
+	 * Write a number Tag's value, without its suffix. Floats and doubles use the fewest digits that read back exactly.
+	 * @param {TagNumberBase} number - The Tag to write.
+	 * @returns {string}
+	 */
+	_numberString: function(number) {
+		var value = number.value;
+		if (number.constructor !== SNBT.TagFloat && number.constructor !== SNBT.TagDouble) return String(value);
+		// SNBT has no infinity, but the game reads numbers too big for the type as infinity
+		if (value === Infinity) return number.overflowLiteral;
+		if (value === -Infinity) return "-" + number.overflowLiteral;
+		if (value === 0 && 1 / value < 0) return "-0";
+		if (number.constructor === SNBT.TagDouble) return String(value);
+		for (var digits = 1; digits < 9; ++digits) {
+			var shorter = +value.toPrecision(digits);
+			if (Math.fround(shorter) === value) return String(shorter);
+		}
+		return String(+value.toPrecision(9));
+	},
+	/**
+	 * Write a number Tag's value as Java's toString would, e.g. "1.0" or "1.0E-5" for floats and doubles.
+	 * @param {TagNumberBase} number - The Tag to write.
+	 * @returns {string}
+	 */
+	_javaNumberString: function(number) {
+		var value = number.value;
+		if (number.constructor !== SNBT.TagFloat && number.constructor !== SNBT.TagDouble) return String(value);
+		if (isNaN(value)) return "NaN";
+		if (!isFinite(value)) return value > 0 ? "Infinity" : "-Infinity";
+		if (value === 0) return 1 / value < 0 ? "-0.0" : "0.0";
+		// The shortest digits that read back exactly, as Java uses
+		var re = /^(-?)(\d)(?:\.(\d+))?e([-+]\d+)$/,
+			match = re.exec((+SNBT._numberString(number)).toExponential());
+		// Java always shows two digits, so if one would do, it picks the two closest to the exact value: 4.9E-324, not 5.0E-324
+		if (!match[3]) match = re.exec(value.toExponential(1).replace(/\.0e/, "e"));
+		var digits = match[2] + (match[3] || ""),
+			exponent = +match[4],
+			abs = Math.abs(value);
+		if (abs < 1e-3 || abs >= 1e7) {
+			return match[1] + digits[0] + "." + (digits.substring(1) || "0") + "E" + exponent;
+		}
+		if (exponent < 0) return match[1] + "0." + SNBT._repeat("0", -exponent - 1) + digits;
+		while (digits.length <= exponent) digits += "0";
+		return match[1] + digits.substring(0, exponent + 1) + "." + (digits.substring(exponent + 1) || "0");
+	},
+	// Handle a float or double that's too big for its type, or NaN, which SNBT can't write
+	_checkOverflow: function(type, value, stored, strict) {
+		if (!strict || isFinite(stored)) return;
+		if (isNaN(stored)) throw {error: "not_a_number", type: type, message: "NaN can't be written as SNBT"};
+		if (stored > 0) throw {error: "value_too_high", type: type, max: type.prototype.maxValue};
+		throw {error: "value_too_low", type: type, min: type.prototype.minValue};
 	},
 	_printCompound: function(value, space, indent, hasName, options) {
 		if (value.pairs.length === 0) {
@@ -310,8 +659,7 @@ var SNBT = {
 		var oldIndent = indent,
 			indent = oldIndent + space,
 			list = value.pairs,
-			l = list.length,
-			i, str;
+			str;
 		if (options.deflate) {
 			str = "{";
 		} else if (hasName) {
@@ -326,27 +674,22 @@ var SNBT = {
 		if (options.sort) {
 			list = SNBT.stableSorted(list, options.sort);
 		}
-		for (i = 0; i < l; ++i) {
-			if (!options.deflate) str += indent;
-			str += SNBT._printString(list[i][0], options) + ":";
-			str += SNBT._printValue(list[i][1], space, indent, true, options);
-			if (i !== l - 1) {
-				str += options.deflate ? "," : ",\n";
-			} else if (!options.deflate) {
-				if (options.trailingComma) str += ",";
-				str += "\n" + oldIndent;
-			}
+		var keyWidth = 0;
+		if (options.alignValues && !options.deflate) {
+			list.forEach(function(pair) {
+				keyWidth = Math.max(keyWidth, SNBT._printString(pair[0], options).length);
+			});
 		}
-		return str + "}";
+		return {open: str, children: list, i: 0, isCompound: true, indent: indent, oldIndent: oldIndent, keyWidth: keyWidth};
 	},
 	_printList: function(value, space, indent, hasName, options) {
-		if (value.list.length === 0) return (options.deflate ? "[" : " [") + value.arrayPrefix + "]";
-		var isPrimitive = value.list[0].isPrimitive,
+		if (value.list.length === 0) return (options.deflate || !hasName ? "[" : " [") + value.arrayPrefix + "]";
+		var isPrimitive = value.mixed ? value.list.every(function(v) { return v.isPrimitive; }) : value.list[0].isPrimitive,
 		    l = value.list.length,
 		    i, str;
 		if (!options.expandPrimitives && isPrimitive) {
 			// One line
-			str = (options.deflate ? "[" : " [") + value.arrayPrefix;
+			str = (options.deflate || !hasName ? "[" : " [") + value.arrayPrefix;
 			if (value.arrayPrefix && !options.deflate) str += " ";
 			for (i = 0; i < l; ++i) {
 				str += SNBT._printValue(value.list[i], "", "", false, options)
@@ -373,44 +716,402 @@ var SNBT = {
 			}
 			if (!collapseBr) str += "\n";
 		}
+		return {open: str, children: value.list, i: 0, collapseBr: collapseBr, indent: indent, oldIndent: oldIndent};
+	},
+	/**
+	 * Print a compound or list for options.maxWidth: on one line if it fits, or for lists of primitives,
+	 * wrapped onto as few lines as will fit.
+	 * @param {number} column - How much of the line is already used.
+	 * @returns {string} - The printed Tag, or null if it should be broken up like normal.
+	 */
+	_printFitted: function(value, space, indent, hasName, column, options) {
+		// Leave room for the space after the key and a comma after the value
+		var width = options.maxWidth - column - (hasName ? 1 : 0) - 1,
+			str = SNBT._printFlat(value, width, options);
+		if (str != null) return (hasName ? " " : "") + str;
+		if (value.constructor === SNBT.TagCompound || options.expandPrimitives ||
+				!value.list.every(function(v) { return v.isPrimitive; })) {
+			return null;
+		}
+		
+		var inner = indent + space,
+			l = value.list.length,
+			line = inner,
+			text, i;
+		if (!hasName) {
+			str = "";
+		} else if (options.nlBrackets) {
+			str = "\n" + indent;
+		} else {
+			str = " ";
+		}
+		str += "[" + value.arrayPrefix + "\n";
 		for (i = 0; i < l; ++i) {
-			if (!(options.deflate || i === 0 && collapseBr)) str += indent;
-			str += SNBT._printValue(value.list[i], space, indent, false, options);
-			if (i !== l - 1) {
-				str += options.deflate ? "," : ",\n";
-			} else if (!(collapseBr || options.deflate)) {
-				if (options.trailingComma) str += ",";
-				str += "\n" + oldIndent;
+			text = SNBT._printOpen(value.list[i], "", "", false, options);
+			if (i !== l - 1 || options.trailingComma) text += ",";
+			if (line === inner) {
+				line += text;
+			} else if (SNBT._textWidth(line + " " + text) > options.maxWidth) {
+				str += line + "\n";
+				line = inner + text;
+			} else {
+				line += " " + text;
+			}
+		}
+		return str + line + "\n" + indent + "]";
+	},
+	/**
+	 * Print a Tag on one line, as options.maxWidth does when it fits.
+	 * @param {TagBase} value - The Tag to print.
+	 * @param {number} width - The most characters to use.
+	 * @param {Object} options - Extra options, as for SNBT.stringify.
+	 * @returns {string} - The printed Tag, or null if it's wider than width.
+	 */
+	_printFlat: function(value, width, options) {
+		var out = "", stack = [], frame, children;
+		for (;;) {
+			if (value.isPrimitive) {
+				out += SNBT._printOpen(value, "", "", false, options);
+			} else {
+				if (value.constructor === SNBT.TagCompound) {
+					children = options.sort ? SNBT.stableSorted(value.pairs, options.sort) : value.pairs;
+					out += "{";
+				} else {
+					children = value.list;
+					out += "[" + value.arrayPrefix + (value.arrayPrefix && children.length ? " " : "");
+				}
+				stack.push({children: children, i: 0, isCompound: value.constructor === SNBT.TagCompound});
+			}
+			if (out.length > width) return null;
+			
+			for (;;) {
+				frame = stack[stack.length - 1];
+				if (!frame) return out;
+				if (frame.i < frame.children.length) break;
+				out += frame.isCompound ? "}" : "]";
+				stack.pop();
+			}
+			if (frame.i > 0) out += ", ";
+			value = frame.children[frame.i++];
+			if (frame.isCompound) {
+				out += SNBT._printString(value[0], options) + ": ";
+				value = value[1];
+			}
+		}
+	},
+	// How many columns some text takes up, counting tabs as 4
+	_textWidth: function(text) {
+		return text.length + 3 * (text.split("\t").length - 1);
+	},
+	// Print what comes after a child of a compound or list: a comma, or if it's the last one, the closing indentation
+	_printAfter: function(frame, options) {
+		var str = "";
+		if (frame.i !== frame.children.length) {
+			str = options.deflate ? "," : ",\n";
+		} else if (!(frame.collapseBr || options.deflate)) {
+			if (options.trailingComma) str += ",";
+			str += "\n" + frame.oldIndent;
+		}
+		return str;
+	},
+	_printPreserved: function(root, space, options) {
+		var out = "";
+		
+		// The indentation of the line being printed
+		function indent() {
+			return /^[ \t]*/.exec(out.substring(out.lastIndexOf("\n") + 1))[0];
+		}
+		function printFresh(value) {
+			// The separator before a value is always reused, so drop any space the printer adds
+			out += SNBT._printValue(value, space, indent(), false, options).replace(/^ /, "");
+		}
+		// Print a Tag, or just the start of it if it has children to print
+		function start(value) {
+			var cst = value.cst;
+			if (!cst) return printFresh(value);
+			if (value.isPrimitive) {
+				if (value.value === cst.value) {
+					out += cst.text;
+				} else {
+					printFresh(value);
+				}
+				return;
+			}
+			
+			var items = cst.items,
+				isCompound = value.constructor === SNBT.TagCompound,
+				current = isCompound ? value.pairs : value.list,
+				l = current.length,
+				i;
+			if (!l && !items.length) {
+				out += cst.prefix + cst.suffix;
+				return;
+			}
+			if (!l || !items.length) return printFresh(value);
+			
+			// Find where each child was in the source
+			var lookup = new Map();
+			for (i = 0; i < items.length; ++i) {
+				lookup.set(isCompound ? items[i].key : items[i].value, i);
+			}
+			out += cst.prefix;
+			return {
+				cst: cst,
+				isCompound: isCompound,
+				current: current,
+				lookup: lookup,
+				lastTail: items[items.length - 1].tail,
+				separator: items.length > 1 ? items[items.length - 2].tail :
+					"," + (/\s*$/.exec(cst.prefix)[0] || (/ $/.test(items[0].sep) ? " " : "")),
+				i: 0,
+			};
+		}
+		// Print a Tag, keeping track of the compounds and lists being printed on a stack rather than by recursion
+		function print(value) {
+			var stack = [], frame, items, child, j;
+			for (;;) {
+				frame = start(value);
+				if (frame) stack.push(frame);
+				
+				for (;;) {
+					frame = stack[stack.length - 1];
+					if (!frame) return;
+					if (frame.i === frame.current.length) {
+						out += frame.lastTail + frame.cst.suffix;
+						stack.pop();
+						continue;
+					}
+					if (frame.i > 0) {
+						out += frame.item && frame.j < frame.cst.items.length - 1 ? frame.item.tail : frame.separator;
+					}
+					break;
+				}
+				
+				items = frame.cst.items;
+				child = frame.current[frame.i];
+				j = frame.lookup.get(frame.isCompound ? child[0].value : child);
+				frame.j = j;
+				frame.item = j == null ? null : items[j];
+				if (frame.isCompound) {
+					out += frame.item ? frame.item.keyText + frame.item.sep : SNBT._printString(child[0], options) + items[0].sep;
+					child = child[1];
+				}
+				value = child;
+				++frame.i;
+			}
+		}
+		
+		if (root.cst && root.cst.leading != null) out += root.cst.leading;
+		print(root);
+		if (root.cst && root.cst.trailing != null) out += root.cst.trailing;
+		return out;
+	},
+	/**
+	 * Print a Tag exactly as the game does.
+	 * @param {TagBase} root - The Tag to print.
+	 * @param {string} indentation - The string to use for indentation, in pretty mode.
+	 * @param {boolean} pretty - Print like SnbtPrinterTagVisitor, as for structure files, rather than like
+	 *                           StringTagVisitor, as for Tag.toString and commands.
+	 * @param {boolean} modern - Escape control characters, like 1.21.5+.
+	 * @returns {string}
+	 */
+	_printVanilla: function(root, indentation, pretty, modern) {
+		var out = "", stack = [], path = [], value = root, frame, parent, ind, keys, key;
+		for (;;) {
+			if (value.isPrimitive || value.arrayPrefix || !(value.pairs || value.list).length) {
+				out += SNBT._printVanillaLeaf(value, pretty, modern);
+			} else {
+				parent = stack[stack.length - 1];
+				path.push(value.constructor === SNBT.TagCompound ? "{}" : "[]");
+				// Below a Tag that isn't indented, nothing is
+				ind = pretty && (parent ? parent.ind : indentation);
+				if (SNBT._vanillaNoIndentation.indexOf(path.join(".")) >= 0) ind = "";
+				if (value.constructor === SNBT.TagCompound) {
+					keys = SNBT._vanillaKeys(value, pretty ? SNBT._vanillaKeyOrder[path.join(".")] : null);
+				}
+				out += value.constructor === SNBT.TagCompound ? "{" : "[";
+				if (ind) out += "\n";
+				stack.push({
+					tag: value,
+					keys: value.constructor === SNBT.TagCompound ? keys : null,
+					length: value.constructor === SNBT.TagCompound ? keys.length : value.list.length,
+					i: 0,
+					ind: ind || "",
+					depth: parent ? parent.depth + 1 : 0,
+				});
+			}
+			
+			for (;;) {
+				frame = stack[stack.length - 1];
+				if (!frame) return out;
+				// The key of the last child
+				if (frame.keys && frame.i > 0) path.pop();
+				if (frame.i < frame.length) break;
+				if (frame.ind) out += "\n" + SNBT._repeat(frame.ind, frame.depth);
+				out += frame.keys ? "}" : "]";
+				stack.pop();
+				path.pop();
+			}
+			if (frame.i > 0) out += pretty ? (frame.ind ? ",\n" : ", ") : ",";
+			out += SNBT._repeat(frame.ind, frame.depth + 1);
+			if (frame.keys) {
+				key = frame.keys[frame.i];
+				path.push(key);
+				out += (SNBT._vanillaSimpleRE.test(key) ? key : SNBT._quoteString(key, "minimal", modern ? /[\x00-\x1F]/g : null)) +
+					(pretty ? ": " : ":");
+				value = frame.tag.map[key];
+			} else {
+				value = frame.tag.list[frame.i];
 			}
+			++frame.i;
+		}
+	},
+	// Print a Tag with no children to print, as the game does
+	_printVanillaLeaf: function(value, pretty, modern) {
+		if (value.constructor === SNBT.TagString) {
+			return SNBT._quoteString(value.value, "minimal", modern ? /[\x00-\x1F]/g : null);
 		}
+		if (value.isPrimitive) return SNBT._javaNumberString(value) + SNBT._vanillaSuffixes[value.suffix];
+		if (value.constructor === SNBT.TagCompound) return "{}";
+		if (!value.arrayPrefix) return "[]";
+		var str = "[" + value.arrayPrefix,
+			suffix = SNBT._vanillaSuffixes[value.type.prototype.suffix].toUpperCase();
+		value.list.forEach(function(element, i) {
+			if (i) str += ",";
+			if (pretty) str += " ";
+			str += element.value + suffix;
+		});
 		return str + "]";
 	},
+	_vanillaSuffixes: {"b": "b", "s": "s", "": "", "l": "L", "f": "f", "d": "d"},
+	// What the game writes as keys without quotes
+	_vanillaSimpleRE: /^[A-Za-z0-9._+\-]+$/,
+	// Where SnbtPrinterTagVisitor puts some keys first, in structure files. Paths join "{}" for compounds, "[]" for lists and keys with '.'.
+	_vanillaKeyOrder: {
+		"{}": ["DataVersion", "author", "size", "data", "entities", "palette", "palettes"],
+		"{}.data.[].{}": ["pos", "state", "nbt"],
+		"{}.entities.[].{}": ["blockPos", "pos"],
+	},
+	// Where SnbtPrinterTagVisitor puts everything on one line
+	_vanillaNoIndentation: ["{}.size.[]", "{}.data.[].{}", "{}.palette.[].{}", "{}.entities.[].{}"],
+	// The keys of a compound in the order the game prints them: some in a fixed order, then the rest sorted
+	_vanillaKeys: function(compound, order) {
+		var keys = compound.pairs.map(function(pair) { return pair[0].value; }),
+			first = [];
+		if (order) {
+			order.forEach(function(key) {
+				var i = keys.indexOf(key);
+				if (i >= 0) first.push(keys.splice(i, 1)[0]);
+			});
+		}
+		return first.concat(keys.sort());
+	},
+	_repeat: function(string, count) {
+		return new Array(count + 1).join(string);
+	},
 	_Parser: {
 		/**
 		 * Parse the textual representation of an NBT Tag.
 		 * @param {string} value - The string to parse.
-		 * @returns {TagBase} - The parsed Tag.
+		 * @param {Object} [options] - Extra options, as for SNBT.parse.
+		 * @returns {TagBase|Object} - The parsed Tag, or {tag, errors} if recovering.
 		 */
-		parse: function(value) {
-			this.string = value;
-			this.cursor = 0;
-			
-			var compound = this.readCompound();
+		parse: function(value, options) {
+			options = options || {};
+			var root = this.readRoot(value, 0, options, "compound");
 			this.skipWhitespace();
 			
 			if (this.canRead()) {
-				++this.cursor;
-				throw this.exception("Trailing data found");
+				this.report(this.exception("trailing_data", "Trailing data found",
+					this.cursor, this.string.length, null,
+					"Remove everything after the end of the " + (root && root.constructor === SNBT.TagCompound ? "compound" : "value")));
+			}
+			
+			if (root && root.cst) {
+				var cst = root.cst,
+					indentation = /\n([ \t]+)\S/.exec(value);
+				cst.leading = value.substring(0, cst.start);
+				cst.trailing = value.substring(cst.end);
+				if (indentation) cst.space = indentation[1];
+			}
+			
+			if (this.errors) return {tag: root, errors: this.errors};
+			return root;
+		},
+		/**
+		 * Parse one Tag from part of a string.
+		 * @param {string} value - The string to parse from.
+		 * @param {number} [offset=0] - Where to start reading.
+		 * @param {Object} [options] - Extra options, as for SNBT.parsePartial.
+		 * @returns {Object} - {tag, end}, plus errors if recovering.
+		 */
+		parsePartial: function(value, offset, options) {
+			options = options || {};
+			offset = offset || 0;
+			if (typeof offset !== "number" || Math.floor(offset) !== offset || offset < 0 || offset > value.length) {
+				throw {
+					error: "invalid_option",
+					message: "Offset " + offset + " must be a whole number from 0 to " + value.length + ", the length of the string",
+				};
+			}
+			var tag = this.readRoot(value, offset, options, "any"),
+				result = {tag: tag, end: this.cursor};
+			if (this.errors) result.errors = this.errors;
+			return result;
+		},
+		/**
+		 * Set up the parser and read the root Tag.
+		 * @param {string} value - The string to parse from.
+		 * @param {number} offset - Where to start reading.
+		 * @param {Object} options - Extra options, as for SNBT.parse.
+		 * @param {string} defaultRoot - The kind of root to allow if options.root is missing.
+		 * @returns {TagBase} - The root Tag, or null if recovering and nothing was found.
+		 */
+		readRoot: function(value, offset, options, defaultRoot) {
+			var rootKind = options.root || defaultRoot;
+			if (rootKind !== "compound" && rootKind !== "any") {
+				throw {
+					error: "invalid_option",
+					message: "Unknown root kind '" + rootKind + "', expected 'compound' or 'any'",
+				};
 			}
+			this.string = value;
+			this.cursor = offset;
+			this.errors = options.recover ? [] : null;
+			this.closers = [];
+			this.preserve = !!options.preserveFormat;
+			this.modern = SNBT._isModern(options.dialect);
+			this.mixedLists = options.mixedLists == null ? this.modern : !!options.mixedLists;
+			this.strictNumbers = !!options.strictNumbers;
+			this.setLimits(options);
 			
-			return compound;
+			try {
+				if (value.length > this.maxLength) {
+					throw this.limitExceeded("maxLength", "Input is longer than " + this.maxLength + " characters",
+						this.maxLength, value.length);
+				}
+				return rootKind === "any" ? this.readValue() : this.readCompound();
+			} catch (e) {
+				this.record(e);
+				this.cursor = this.string.length;
+				return null;
+			}
 		},
 		canRead: function() {
 			return this.cursor < this.string.length;
 		},
-		whitespaceRE: /^\s*/,
+		/**
+		 * Match a sticky regex at the cursor, without copying the rest of the string.
+		 * @param {RegExp} re - The regex, which must have the "y" flag.
+		 * @returns {Array} - The match, or null.
+		 */
+		matchHere: function(re) {
+			re.lastIndex = this.cursor;
+			return re.exec(this.string);
+		},
+		whitespaceRE: /\s*/y,
 		skipWhitespace: function() {
-			this.cursor += this.string.substr(this.cursor).match(this.whitespaceRE)[0].length;
+			this.cursor += this.matchHere(this.whitespaceRE)[0].length;
 		},
 		hasElementSeparator: function() {
 			this.skipWhitespace();
@@ -423,15 +1124,10 @@ var SNBT = {
 		},
 		expect: function(expected) {
 			this.skipWhitespace();
-			var canRead = this.canRead();
-
-			if (canRead && this.peek() === expected) {
+			if (this.canRead() && this.peek() === expected) {
 				++this.cursor;
 			} else {
-				var message = "Expected '" + expected + "' but got '" +
-					(canRead ? this.peek() : "<EOF>") + "'";
-				++this.cursor;
-				throw this.exception(message);
+				throw this.unexpected("'" + expected + "'", [expected]);
 			}
 		},
 		peek: function(offset) {
@@ -440,83 +1136,249 @@ var SNBT = {
 		pop: function() {
 			return this.string[this.cursor++];
 		},
-		exception: function(message, suggestion) {
-			var end = Math.min(this.string.length, this.cursor),
-				exception;
-			if (end > 35) {
-				exception = "...";
-			} else {
-				exception = "";
+		isCloser: function(c) {
+			return c === "}" || c === "]";
+		},
+		/**
+		 * Create an SNBTSyntaxError for a range of the input.
+		 * @param {string} code - The error code.
+		 * @param {string} message - A description of the error.
+		 * @param {number} start - The offset where the problem starts.
+		 * @param {number} end - The offset where the problem ends (exclusive).
+		 * @param {string[]} [expected] - The tokens that would have been valid.
+		 * @param {string} [suggestion] - How to fix the problem.
+		 * @returns {SNBTSyntaxError}
+		 */
+		exception: function(code, message, start, end, expected, suggestion) {
+			var string = this.string,
+				snippetEnd = Math.min(string.length, end > start ? start + 1 : start),
+				snippet = "",
+				startPos = SNBT._lineColumn(string, start),
+				endPos = SNBT._lineColumn(string, end);
+			if (snippetEnd > 35) snippet = "...";
+			snippet += string.substring(Math.max(0, snippetEnd - 35), snippetEnd).replace(/\n/g, "\u21B5");
+			snippet += "<--[HERE]";
+			return new SNBT.SNBTSyntaxError(code, message + " at: " + snippet, {
+				reason: message,
+				start: start,
+				end: end,
+				line: startPos.line,
+				column: startPos.column,
+				endLine: endPos.line,
+				endColumn: endPos.column,
+				expected: expected || [],
+				suggestion: suggestion,
+			});
+		},
+		/**
+		 * Create an error for finding something other than what was expected at the cursor.
+		 * @param {string} description - What was expected, for the message.
+		 * @param {string[]} expected - The tokens that would have been valid.
+		 * @param {string} [suggestion] - How to fix the problem.
+		 * @returns {SNBTSyntaxError}
+		 */
+		unexpected: function(description, expected, suggestion) {
+			if (!this.canRead()) {
+				return this.exception("unexpected_end", "Expected " + description + " but got '<EOF>'",
+					this.cursor, this.cursor, expected, suggestion);
 			}
-			exception += this.string.substring(Math.max(0, end - 35), end).replace(/\n/g, "\u21B5");
-			exception += "<--[HERE]";
-			exception = message + " at: " + exception;
-			if (suggestion) return {error: "parsing_error", message: exception, suggestion: suggestion};
-			return {error: "parsing_error", message: exception};
+			return this.exception("expected_token", "Expected " + description + " but got '" + this.peek() + "'",
+				this.cursor, this.cursor + 1, expected, suggestion);
 		},
-		readCompound: function() {
-			this.expect("{");
-			var compound = new SNBT.TagCompound();
-			this.skipWhitespace();
-			
-			while (this.canRead() && this.peek() != "}") {
-				this.skipWhitespace();
-				var key;
-				if (!this.canRead()) {
-					throw this.exception("Expected a key");
-				} else {
-					var quote = this.peek();
-					if (quote === '"' || quote === "'"){
-						key = this.readQuotedString();
-					} else {
-						key = this.readUnquotedString();
+		// Throw an error, unless recovering, in which case just remember it
+		report: function(error) {
+			if (!this.errors) throw error;
+			this.errors.push(error);
+		},
+		// Remember an error that was thrown, if recovering. Otherwise, keep throwing it.
+		record: function(error) {
+			if (!this.errors || !(error instanceof SNBT.SNBTSyntaxError) || error.code === "limit_exceeded") throw error;
+			this.errors.push(error);
+		},
+		/**
+		 * Recover from an error by skipping to the next ',' or closing bracket at the current depth.
+		 * @param {*} error - The error that was thrown. Rethrown if not recovering.
+		 * @returns {boolean} - Whether a ',' was found (and skipped).
+		 */
+		recover: function(error) {
+			this.record(error);
+			var depth = 0, c;
+			while (this.canRead()) {
+				c = this.peek();
+				if (c === '"' || c === "'") {
+					// Skip the whole string
+					while (++this.cursor < this.string.length && this.peek() !== c) {
+						if (this.peek() === "\\") ++this.cursor;
 					}
+					++this.cursor;
+					continue;
+				}
+				if (c === "{" || c === "[") {
+					++depth;
+				} else if (this.isCloser(c)) {
+					if (depth === 0) return false;
+					--depth;
+				} else if (c === "," && depth === 0) {
+					++this.cursor;
+					this.skipWhitespace();
+					return true;
+				}
+				++this.cursor;
+			}
+			return false;
+		},
+		// Start reading the contents of a compound, list or array
+		open: function(closer) {
+			if (this.errors) this.closers.push(closer);
+		},
+		// Expect a closing bracket, or if recovering, note that it's missing
+		close: function(closer) {
+			try {
+				this.expect(closer);
+			} catch (e) {
+				this.record(e);
+				this.closers.pop();
+				// A bracket that doesn't close anything else is probably a typo for this one
+				if (this.canRead() && this.isCloser(this.peek()) && this.closers.indexOf(this.peek()) < 0) {
+					++this.cursor;
+				}
+				return;
+			}
+			if (this.errors) this.closers.pop();
+		},
+		/**
+		 * Remember the source text of a primitive Tag.
+		 * @param {TagBase} tag - The Tag just read.
+		 * @param {number} start - Where the Tag started.
+		 * @returns {TagBase} - The Tag.
+		 */
+		primitiveSource: function(tag, start) {
+			if (this.preserve) {
+				tag.cst = {
+					start: start,
+					end: this.cursor,
+					text: this.string.substring(start, this.cursor),
+					value: tag.value,
+				};
+			}
+			return tag;
+		},
+		/**
+		 * Remember the source text of a compound, list or array, split up around its children.
+		 * @param {TagBase} tag - The Tag just read.
+		 * @param {number} start - Where the Tag started.
+		 * @param {number} closeStart - Where the closing bracket started.
+		 * @param {Object[]} items - Where each child starts, as {start, key, keyEnd, value}. key and keyEnd are only for compounds.
+		 */
+		containerSource: function(tag, start, closeStart, items) {
+			var string = this.string, sourceItems = [], item, i;
+			for (i = 0; i < items.length; ++i) {
+				item = items[i];
+				sourceItems.push({
+					key: item.key,
+					keyText: item.keyEnd == null ? null : string.substring(item.start, item.keyEnd),
+					sep: item.keyEnd == null ? null : string.substring(item.keyEnd, item.value.cst.start),
+					value: item.value,
+					tail: string.substring(item.value.cst.end, i + 1 < items.length ? items[i + 1].start : closeStart),
+				});
+			}
+			tag.cst = {
+				start: start,
+				end: this.cursor,
+				prefix: string.substring(start, items.length ? items[0].start : closeStart),
+				items: sourceItems,
+				suffix: string.substring(closeStart, this.cursor),
+			};
+		},
+		readCompound: function() {
+			return this.readValue(true);
+		},
+		/**
+		 * Read a Tag. Compounds, lists and arrays are read with an explicit stack rather than by recursion,
+		 * so deeply nested input hits options.maxDepth instead of overflowing the call stack.
+		 * @param {boolean} [compoundOnly=false] - Only allow a compound.
+		 * @returns {TagBase} - The Tag.
+		 */
+		readValue: function(compoundOnly) {
+			var stack = [],
+				value = compoundOnly ? this.startCompound(stack) : this.startValue(stack);
+			while (stack.length) {
+				// The innermost container carries on until it ends, or needs to read a container of its own
+				value = this.continueContainer(stack[stack.length - 1], stack, value);
+				if (value) {
+					stack.pop();
+					--this.depth;
 				}
-				if (!key) throw this.exception("Expected non-empty key");
-				if (key in compound.map) throw this.exception("Duplicate key");
-				
-				this.expect(":");
-				compound.add(key, this.readValue());
-				
-				if (!this.hasElementSeparator()) break;
-				if (!this.canRead()) throw this.exception("Expected a key");
 			}
-			this.expect("}");
-			return compound;
+			return value;
 		},
-		readValue: function() {
+		/**
+		 * Start reading a Tag.
+		 * @param {Object[]} stack - The containers being read. If the Tag is a container, it's pushed here.
+		 * @returns {TagBase} - The Tag, or null if it's a container that isn't finished yet.
+		 */
+		startValue: function(stack) {
 			this.skipWhitespace();
-			if (!this.canRead()) throw this.exception("Expected a value");
-			var next = this.peek();
+			if (!this.canRead()) throw this.unexpected("a value", ["value"]);
+			var start = this.cursor,
+				next = this.peek();
 			
 			switch (next) {
 			case "{":
-				return this.readCompound();
+				return this.startCompound(stack);
 			case "[":
 				return this.peek(1) !== '"' && this.peek(2) === ";" ?
-					this.readArrayTag() : this.readListTag();
-			case '"':
-			case "'":
-				return new SNBT.TagString(this.readQuotedString(), false);
+					this.startArrayTag(stack) : this.startListTag(stack);
+			}
+			this.countTag(start);
+			if (next === '"' || next === "'") {
+				return this.primitiveSource(new SNBT.TagString(this.readQuotedString(), false), start);
 			}
 			var s = this.readUnquotedString(), num;
-			if (!s) throw this.exception("Expected a value");
+			if (!s) throw this.unexpected("a value", ["value"]);
+			if (this.modern) {
+				if (this.peek() === "(") return this.readOperation(s, start);
+				if (this.numberStartRE.test(s)) return this.primitiveSource(this.parseModernNumber(s, start), start);
+			}
 			try {
-				num = this.parseNumber(s);
+				num = this.parseNumber(s, this.strictNumbers);
 			} catch (e) {
+				if (this.strictNumbers) throw this.outOfRange(e, start);
 				s = new SNBT.TagString(s, false);
 				s.limitErr = e;
-				return s;
+				return this.primitiveSource(s, start);
 			}
-			return num || new SNBT.TagString(s, false);
+			return this.primitiveSource(num || new SNBT.TagString(s, false), start);
 		},
-		readArrayTag: function() {
+		startCompound: function(stack) {
+			this.skipWhitespace();
+			var start = this.cursor;
+			this.expect("{");
+			this.enter(start);
+			this.countTag(start);
+			this.skipWhitespace();
+			this.open("}");
+			stack.push({
+				tag: new SNBT.TagCompound(),
+				closer: "}",
+				start: start,
+				items: this.preserve ? [] : null,
+			});
+			return null;
+		},
+		startArrayTag: function(stack) {
+			this.skipWhitespace();
+			var start = this.cursor;
 			this.expect("[");
-			var type = this.pop(), array;
+			var typeStart = this.cursor,
+				type = this.pop(),
+				array;
 			this.pop();
 			this.skipWhitespace();
 			
-			if (!this.canRead()) throw this.exception("Expected a value");
+			if (!this.canRead()) throw this.unexpected("a value", ["value"]);
+			this.enter(start);
+			this.countTag(start);
 			switch (type) {
 			case "B":
 				array = new SNBT.TagArrayByte();
@@ -528,81 +1390,406 @@ var SNBT = {
 				array = new SNBT.TagArrayInt();
 				break;
 			default:
-				throw this.exception("Invalid array type '" + type + "' found");
+				this.report(this.exception("invalid_array_type", "Invalid array type '" + type + "' found",
+					typeStart, typeStart + 1, ["B", "I", "L"]));
+				// Carry on as if it were a list
+				array = new SNBT.TagList();
 			}
-			
-			while (true) {
-				if (this.peek() === "]") {
-					++this.cursor;
-					return array;
-				}
-				
-				var currValue = this.readValue();
-				if (currValue.constructor !== array.type) {
-					throw this.exception("Unable to insert " + currValue.tagName +
-						" into " + array.tagName);
+			this.open("]");
+			stack.push({
+				tag: array,
+				closer: "]",
+				start: start,
+				items: this.preserve ? [] : null,
+				isArray: true,
+			});
+			return null;
+		},
+		startListTag: function(stack) {
+			this.skipWhitespace();
+			var start = this.cursor;
+			this.expect("[");
+			this.skipWhitespace();
+			
+			if (!this.canRead()) throw this.unexpected("a value", ["value"]);
+			this.enter(start);
+			this.countTag(start);
+			this.open("]");
+			stack.push({
+				tag: new SNBT.TagList(undefined, undefined, this.mixedLists),
+				closer: "]",
+				start: start,
+				items: this.preserve ? [] : null,
+			});
+			return null;
+		},
+		/**
+		 * Carry on reading the entries of a compound, list or array.
+		 * @param {Object} frame - The container, as pushed by startCompound, startArrayTag or startListTag.
+		 * @param {Object[]} stack - The containers being read.
+		 * @param {TagBase} [child] - The value of the current entry, if it was a container that has just finished.
+		 * @returns {TagBase} - The container, or null if a child container was pushed and must be read first.
+		 */
+		continueContainer: function(frame, stack, child) {
+			var isCompound = frame.closer === "}";
+			for (;;) {
+				try {
+					if (!child) {
+						if (!this.canRead() || this.peek() === frame.closer) break;
+						if (isCompound) {
+							this.readKey(frame);
+						} else {
+							this.skipWhitespace();
+							frame.entryStart = this.cursor;
+						}
+						child = this.startValue(stack);
+						if (!child) return null;
+					}
+					this.addEntry(frame, child);
+				} catch (e) {
+					if (this.recover(e)) continue;
+					break;
+				} finally {
+					child = null;
 				}
-				array.push(currValue);
+				
 				if (this.hasElementSeparator()) {
-					if (!this.canRead()) throw this.exception("Expected a value");
+					if (!this.canRead()) {
+						this.report(isCompound ? this.unexpected("a key", ["key"]) : this.unexpected("a value", ["value"]));
+						this.closers.pop();
+						return frame.tag;
+					}
 					continue;
 				}
-				
-				this.expect("]");
-				return array;
+				if (!this.errors || !this.canRead() || this.isCloser(this.peek())) break;
+				// Carry on as if there was a comma
+				this.report(isCompound ?
+					this.unexpected("',' or '}'", [",", "}"], "Separate entries with ','") :
+					this.unexpected("',' or ']'", [",", "]"], "Separate values with ','"));
 			}
+			this.skipWhitespace();
+			var closeStart = this.cursor;
+			this.close(frame.closer);
+			if (frame.items) this.containerSource(frame.tag, frame.start, closeStart, frame.items);
+			return frame.tag;
 		},
-		readListTag: function() {
-			this.expect("[");
+		// Read a compound entry's key and the ':' after it
+		readKey: function(frame) {
 			this.skipWhitespace();
-			
-			if (!this.canRead()) {
-				throw this.exception("Expected a value");
+			var start = this.cursor, key;
+			if (!this.canRead()) throw this.unexpected("a key", ["key"]);
+			var quote = this.peek();
+			if (quote === '"' || quote === "'") {
+				key = this.readQuotedString();
 			} else {
-				var list = new SNBT.TagList();
-				
-				while (this.peek() !== "]") {
-					var val = this.readValue();
-					try {	
-						list.push(val);
-					} catch (e) {
-						throw this.exception("Unable to insert " + val.tagName +
-							" into ListTag of type " + list.type.prototype.tagName);
-					}
-					if (!this.hasElementSeparator()) break;
-					if (!this.canRead()) throw this.exception("Expected a value");
+				key = this.readUnquotedString();
+			}
+			if (!key) {
+				if (this.cursor === start) throw this.unexpected("a key", ["key"]);
+				throw this.exception("expected_key", "Expected non-empty key", start, this.cursor, ["key"]);
+			}
+			
+			frame.duplicate = SNBT._hasOwn(frame.tag.map, key);
+			if (frame.duplicate) {
+				this.report(this.exception("duplicate_key", "Duplicate key", start, this.cursor, null,
+					"Remove or rename one of the entries with this key"));
+			}
+			frame.entryStart = start;
+			frame.key = key;
+			frame.keyEnd = this.cursor;
+			this.expect(":");
+		},
+		// Put the value of an entry into its container
+		addEntry: function(frame, value) {
+			var tag = frame.tag, items = frame.items;
+			if (frame.closer === "}") {
+				if (frame.duplicate) return;
+				tag.add(frame.key, value);
+				if (items) items.push({start: frame.entryStart, key: frame.key, keyEnd: frame.keyEnd, value: value});
+				return;
+			}
+			if (tag.type && value.constructor !== tag.type) {
+				if (frame.isArray) {
+					this.report(this.exception("array_type_mismatch", "Unable to insert " + value.tagName +
+						" into " + tag.tagName, frame.entryStart, this.cursor, null,
+						"Only " + tag.type.prototype.tagName + "s can go in a " + tag.tagName));
+				} else {
+					this.report(this.exception("list_type_mismatch", "Unable to insert " + value.tagName +
+						" into ListTag of type " + tag.type.prototype.tagName, frame.entryStart, this.cursor, null,
+						"Every value in a list must have the same type"));
 				}
-				
+				return;
+			}
+			tag.push(value);
+			if (items) items.push({start: frame.entryStart, value: value});
+		},
+		/**
+		 * Read the limits on what may be parsed, like the game's NbtAccounter.
+		 * @param {Object} options - Extra options, as for SNBT.parse.
+		 */
+		setLimits: function(options) {
+			this.maxLength = options.maxLength == null ? Infinity : options.maxLength;
+			this.maxDepth = options.maxDepth == null ? 512 : options.maxDepth;
+			this.maxTags = options.maxTags == null ? Infinity : options.maxTags;
+			this.maxStringLength = options.maxStringLength == null ? Infinity : options.maxStringLength;
+			this.depth = 0;
+			this.tagCount = 0;
+		},
+		/**
+		 * Create an error for going over one of the limits. These aren't recovered from, even if recovering.
+		 * @param {string} limit - The option that sets the limit, e.g. "maxDepth".
+		 * @param {string} message - A description of the error.
+		 * @param {number} start - The offset where the problem starts.
+		 * @param {number} end - The offset where the problem ends (exclusive).
+		 * @returns {SNBTSyntaxError} - With the extra properties limit and max.
+		 */
+		limitExceeded: function(limit, message, start, end) {
+			var error = this.exception("limit_exceeded", message, start, end, null,
+				"Raise options." + limit + " if the input can be trusted");
+			error.limit = limit;
+			error.max = this[limit];
+			return error;
+		},
+		// Go one level deeper into a compound, list, array or operation
+		enter: function(start) {
+			if (this.depth >= this.maxDepth) {
+				throw this.limitExceeded("maxDepth", "Tag is nested more than " + this.maxDepth + " deep", start, start + 1);
+			}
+			++this.depth;
+		},
+		countTag: function(start) {
+			if (++this.tagCount > this.maxTags) {
+				throw this.limitExceeded("maxTags", "More than " + this.maxTags + " tags", start, start + 1);
+			}
+		},
+		checkStringLength: function(string, start) {
+			if (string.length > this.maxStringLength) {
+				throw this.limitExceeded("maxStringLength", "String is longer than " + this.maxStringLength + " characters",
+					start, this.cursor);
+			}
+		},
+		/**
+		 * Parse an NBT path.
+		 * @param {string} value - The string to parse.
+		 * @returns {NbtPath} - The parsed path.
+		 */
+		parsePath: function(value) {
+			this.string = value;
+			this.cursor = 0;
+			this.errors = null;
+			this.preserve = false;
+			this.modern = false;
+			this.setLimits({});
+			
+			var nodes = [];
+			do {
+				nodes.push(this.readPathNode(nodes.length === 0));
+				if (this.canRead() && this.peek() !== "[" && this.peek() !== "{") {
+					if (this.peek() !== ".") throw this.unexpected("'.'", ["."]);
+					++this.cursor;
+					if (!this.canRead()) throw this.unexpected("a path node", ["key"]);
+				}
+			} while (this.canRead());
+			
+			return new SNBT.NbtPath(nodes);
+		},
+		readPathNode: function(isRoot) {
+			var start = this.cursor, name, index;
+			switch (this.peek()) {
+			case "{":
+				if (!isRoot) {
+					throw this.exception("invalid_path_node", "A compound can only match the root of a path",
+						start, start + 1, null, "Put the compound after a key, like 'key{...}', or inside brackets, like '[{...}]'");
+				}
+				return {type: "matchRoot", pattern: this.readCompound()};
+			case "[":
+				++this.cursor;
+				switch (this.peek()) {
+				case "{":
+					var pattern = this.readCompound();
+					this.expect("]");
+					return {type: "matchElement", pattern: pattern};
+				case "]":
+					++this.cursor;
+					return {type: "all"};
+				}
+				index = this.matchHere(this.indexRE);
+				if (!index) throw this.unexpected("an index, a compound or ']'", ["index", "{", "]"]);
+				this.cursor += index[0].length;
 				this.expect("]");
-				return list;
+				return {type: "index", index: +index[0]};
+			case '"':
+			case "'":
+				name = this.readQuotedString();
+				break;
+			default:
+				while (this.canRead() && this.pathNameChars.indexOf(this.peek()) < 0) ++this.cursor;
+				if (start === this.cursor) throw this.unexpected("a path node", ["key", "["]);
+				name = this.string.substring(start, this.cursor);
 			}
+			if (this.canRead() && this.peek() === "{") {
+				return {type: "matchKey", name: name, pattern: this.readCompound()};
+			}
+			return {type: "key", name: name};
+		},
+		/**
+		 * Split a string into tokens, as for SNBT.tokenize. Never throws.
+		 * @param {string} value - The string to split.
+		 * @param {Object} options - Extra options, as for SNBT.tokenize.
+		 * @returns {Object[]} - The tokens.
+		 */
+		tokenize: function(value, options) {
+			this.string = value;
+			this.cursor = 0;
+			// Problems inside strings are collected here and ignored
+			this.errors = [];
+			this.preserve = false;
+			this.modern = SNBT._isModern(options.dialect);
+			this.setLimits({});
+			
+			var tokens = [], brackets = [], start, c, text, token, type;
+			while (this.canRead()) {
+				start = this.cursor;
+				c = this.peek();
+				token = null;
+				switch (c) {
+				case "{":
+					brackets.push(SNBT.TagCompound);
+					token = {type: "bracket", tagType: SNBT.TagCompound};
+					++this.cursor;
+					break;
+				case "[":
+					type = this.peek(1) !== '"' && this.peek(2) === ";" ? this.arrayTypes[this.peek(1)] : SNBT.TagList;
+					brackets.push(type || SNBT.TagList);
+					++this.cursor;
+					tokens.push({type: "bracket", tagType: type || SNBT.TagList, text: "[", start: start, end: this.cursor});
+					if (this.peek(1) === ";" && this.peek() !== '"') {
+						start = this.cursor;
+						this.cursor += 2;
+						token = type ? {type: "arrayPrefix", tagType: type} : {type: "invalid"};
+					}
+					break;
+				case "}":
+				case "]":
+					++this.cursor;
+					token = {type: "bracket", tagType: brackets.pop()};
+					break;
+				case ":":
+					++this.cursor;
+					token = {type: "colon"};
+					break;
+				case ",":
+					++this.cursor;
+					token = {type: "comma"};
+					break;
+				case "(":
+				case ")":
+					++this.cursor;
+					token = {type: this.modern ? "paren" : "invalid"};
+					break;
+				case '"':
+				case "'":
+					this.readQuotedString();
+					token = {type: this.isKeyNext() ? "key" : "string", tagType: SNBT.TagString};
+					break;
+				default:
+					if (this.matchHere(this.whitespaceRE)[0]) {
+						this.skipWhitespace();
+						token = {type: "whitespace"};
+						break;
+					}
+					text = this.readUnquotedString();
+					if (!text) {
+						++this.cursor;
+						token = {type: "invalid"};
+					} else if (this.isKeyNext()) {
+						token = {type: "key", tagType: SNBT.TagString};
+					} else if (this.modern && this.peek() === "(") {
+						token = {type: "operation"};
+					} else {
+						token = this.numberToken(text, start);
+					}
+				}
+				if (token) {
+					token.text = this.string.substring(start, this.cursor);
+					token.start = start;
+					token.end = this.cursor;
+					tokens.push(token);
+				}
+			}
+			return tokens;
+		},
+		// By the letter before the ';'. SNBT isn't defined yet, so these are filled in later.
+		arrayTypes: {},
+		// Whether the token just read is followed by a ':'
+		isKeyNext: function() {
+			return this.string[this.cursor + this.matchHere(this.whitespaceRE)[0].length] === ":";
+		},
+		/**
+		 * Work out what kind of Tag an unquoted value is, for tokenize.
+		 * @param {string} text - The unquoted value.
+		 * @param {number} start - Where it started.
+		 * @returns {Object} - A token, without its position.
+		 */
+		numberToken: function(text, start) {
+			var tag, suffix;
+			try {
+				if (this.modern && this.numberStartRE.test(text)) {
+					tag = this.parseModernNumber(text, start);
+				} else {
+					tag = this.parseNumber(text);
+				}
+			} catch (e) {
+				// Too big for its type, so the legacy grammar reads it as a string
+				if (this.modern) return {type: "invalid"};
+			}
+			if (!tag) return {type: "string", tagType: SNBT.TagString};
+			suffix = /[su]?([a-z])$/i.exec(text);
+			if (!suffix || suffix[1].toLowerCase() !== (tag.suffix || "i")) suffix = null;
+			return {type: "number", tagType: tag.constructor, suffix: suffix ? suffix[0] : ""};
 		},
-		unquotedCharsRE: /^[a-zA-Z0-9._+\-]*/,
+		// Characters that end an unquoted path key
+		pathNameChars: " \"'[].{}",
+		indexRE: /-?[0-9]+/y,
+		unquotedCharsRE: /[a-zA-Z0-9._+\-]*/y,
 		readUnquotedString: function() {
-			var string = this.string.substr(this.cursor).match(this.unquotedCharsRE)[0];
+			var string = this.matchHere(this.unquotedCharsRE)[0];
 			this.cursor += string.length;
+			this.checkStringLength(string, this.cursor - string.length);
 			return string;
 		},
 		readQuotedString: function() {
-			var quote = this.pop(),
+			var start = this.cursor,
+				quote = this.pop(),
 				startChunkIndex = this.cursor,
 				string = "",
 				inEscape = false;
 			while (this.canRead()) {
 				var c = this.pop();
 				if (inEscape) {
-					if (c !== "\\" && c !== quote) throw this.exception("Invalid escape of " + c);
-					string += c;
+					if (this.modern) {
+						string += this.readEscape(c);
+					} else {
+						if (c !== "\\" && c !== quote) {
+							this.report(this.exception("invalid_escape", "Invalid escape of " + c, this.cursor - 2, this.cursor,
+								["\\", quote], "Only '\\\\' and '\\" + quote + "' are valid escapes"));
+						}
+						string += c;
+					}
 					startChunkIndex = this.cursor;
 					inEscape = false;
 				} else if (c === "\\") {
 					inEscape = true;
 					string += this.string.substring(startChunkIndex, this.cursor - 1);
 				} else if (c == quote) {
-					return string + this.string.substring(startChunkIndex, this.cursor - 1);
+					string += this.string.substring(startChunkIndex, this.cursor - 1);
+					this.checkStringLength(string, start);
+					return string;
 				}
 			}
-			throw this.exception("Missing termination quote");
+			this.report(this.exception("unterminated_string", "Missing termination quote", start, this.cursor, [quote],
+				"Add a " + quote + " to end the string"));
+			return string + this.string.substring(startChunkIndex, this.cursor - (inEscape ? 1 : 0));
 		},
 		doubleNoSufRE: /^[-+]?(?:[0-9]+\.|[0-9]*\.[0-9]+)(?:e[-+]?[0-9]+)?$/i,
 		doubleRE:      /^[-+]?(?:[0-9]+\.?|[0-9]*\.[0-9]+)(?:e[-+]?[0-9]+)?d$/i,
@@ -611,9 +1798,15 @@ var SNBT = {
 		shortRE:       /^[-+]?(?:0|[1-9][0-9]*)s$/i,
 		integerRE:     /^[-+]?(?:0|[1-9][0-9]*)$/,
 		longRE:        /^([-+])?(?:0|[1-9][0-9]*)l$/i,
-		parseNumber: function(s) {
+		/**
+		 * Parse a number in the legacy grammar.
+		 * @param {string} s - The unquoted string.
+		 * @param {boolean} [strict=false] - Throw if a float or double is too big, rather than making it infinite.
+		 * @returns {TagNumberBase} - The number, or undefined if the string isn't one.
+		 */
+		parseNumber: function(s, strict) {
 			if (this.floatRE.test(s)) {
-				return new SNBT.TagFloat(+s.substr(0, s.length - 1));
+				return new SNBT.TagFloat(+s.substr(0, s.length - 1), strict);
 			}
 			if (this.byteRE.test(s)) {
 				return new SNBT.TagByte(+s.substring(0, s.length - 1));
@@ -629,10 +1822,10 @@ var SNBT = {
 				return new SNBT.TagInteger(+s);
 			}
 			if (this.doubleRE.test(s)) {
-				return new SNBT.TagDouble(+s.substring(0, s.length - 1));
+				return new SNBT.TagDouble(+s.substring(0, s.length - 1), strict);
 			}
 			if (this.doubleNoSufRE.test(s)) {
-				return new SNBT.TagDouble(+s);
+				return new SNBT.TagDouble(+s, strict);
 			}
 			if (s.toLowerCase() === "true") {
 				return new SNBT.TagByte(1);
@@ -640,7 +1833,211 @@ var SNBT = {
 			if (s.toLowerCase() === "false") {
 				return new SNBT.TagByte(0);
 			}
-		}
+		},
+		simpleEscapes: {b: "\b", s: " ", t: "\t", n: "\n", f: "\f", r: "\r", "\\": "\\", '"': '"', "'": "'"},
+		hexEscapeLengths: {x: 2, u: 4, U: 8},
+		unicodeNameRE: /\{([A-Za-z0-9 \-]*)\}/y,
+		/**
+		 * Read the rest of a modern escape sequence, after the backslash and c.
+		 * @param {string} c - The character after the backslash.
+		 * @returns {string} - The escaped text.
+		 */
+		readEscape: function(c) {
+			var start = this.cursor - 2, length, text, match;
+			if (this.simpleEscapes.hasOwnProperty(c)) return this.simpleEscapes[c];
+			if (this.hexEscapeLengths.hasOwnProperty(c)) {
+				length = this.hexEscapeLengths[c];
+				text = this.string.substr(this.cursor, length);
+				if (text.length === length && /^[0-9a-fA-F]*$/.test(text) && parseInt(text, 16) <= 0x10FFFF) {
+					this.cursor += length;
+					return String.fromCodePoint(parseInt(text, 16));
+				}
+				this.report(this.exception("invalid_escape", "Invalid \\" + c + " escape", start, this.cursor, null,
+					"Follow '\\" + c + "' with " + length + " hex digits"));
+				return "";
+			}
+			if (c === "N") {
+				match = this.matchHere(this.unicodeNameRE);
+				if (match) {
+					text = match[1];
+					this.cursor += match[0].length;
+					if (SNBT.unicodeNames.hasOwnProperty(text.toUpperCase())) return SNBT.unicodeNames[text.toUpperCase()];
+					this.report(this.exception("invalid_escape", "Unknown character name '" + text + "'", start, this.cursor,
+						null, "Use a \\u escape instead, or add the name to SNBT.unicodeNames"));
+					return "";
+				}
+				this.report(this.exception("invalid_escape", "Invalid \\N escape", start, this.cursor, ["{"],
+					"Write named characters like '\\N{SECTION SIGN}'"));
+				return "";
+			}
+			this.report(this.exception("invalid_escape", "Invalid escape of " + c, start, this.cursor,
+				Object.keys(this.simpleEscapes).concat(["x", "u", "U", "N"])));
+			return c;
+		},
+		// In the modern grammar, unquoted strings can't start like numbers
+		numberStartRE: /^[0-9+\-.]/,
+		modernIntegerRE: /^([-+])?(?:0x([0-9a-f](?:[0-9a-f_]*[0-9a-f])?)|0b([01](?:[01_]*[01])?)|([0-9](?:[0-9_]*[0-9])?))(?:([su])?([bsil]))?$/i,
+		modernFloatRE: /^([-+]?(?:[0-9](?:[0-9_]*[0-9])?\.(?:[0-9](?:[0-9_]*[0-9])?)?|\.[0-9](?:[0-9_]*[0-9])?|[0-9](?:[0-9_]*[0-9])?)(?:e[-+]?[0-9](?:[0-9_]*[0-9])?)?)([fd])?$/i,
+		// By suffix. SNBT isn't defined yet, so the types are by name.
+		integerTypes: {
+			b: {type: "TagByte", bits: 8},
+			s: {type: "TagShort", bits: 16},
+			i: {type: "TagInteger", bits: 32},
+			l: {type: "TagLong", bits: 64},
+		},
+		/**
+		 * Parse a number in the modern grammar.
+		 * @param {string} s - The unquoted string, which starts like a number.
+		 * @param {number} start - Where the string started.
+		 * @returns {TagNumberBase}
+		 */
+		parseModernNumber: function(s, start) {
+			var match = this.modernIntegerRE.exec(s);
+			if (match) return this.parseModernInteger(match, start);
+			match = this.modernFloatRE.exec(s);
+			if (match) {
+				var value = +match[1].replace(/_/g, ""),
+					Type = (match[2] || "d").toLowerCase() === "f" ? SNBT.TagFloat : SNBT.TagDouble;
+				try {
+					return new Type(value, this.strictNumbers);
+				} catch (e) {
+					throw this.outOfRange(e, start);
+				}
+			}
+			throw this.exception("invalid_number", "Invalid number '" + s + "'", start, this.cursor, ["number"],
+				"Quote it if it's meant to be a string");
+		},
+		// Turn a Tag constructor's range error into a syntax error
+		outOfRange: function(e, start) {
+			var type = e.type || SNBT.TagLong;
+			return this.exception("number_out_of_range", "Number out of range for " + type.prototype.tagName,
+				start, this.cursor, null, "Use a bigger type");
+		},
+		parseModernInteger: function(match, start) {
+			var negative = match[1] === "-",
+				digits = (match[2] || match[3] || match[4]).replace(/_/g, ""),
+				radix = match[2] ? 16 : match[3] ? 2 : 10,
+				unsigned = (match[5] || "").toLowerCase() === "u",
+				suffix = (match[6] || "i").toLowerCase(),
+				info = this.integerTypes[suffix],
+				Type = SNBT[info.type],
+				self = this;
+			function outOfRange() {
+				return self.exception("number_out_of_range", "Number out of range for " + Type.prototype.tagName,
+					start, self.cursor, null, unsigned || negative ? "Use a bigger type" : "Use a bigger type, or 'u' for unsigned");
+			}
+			if (unsigned && negative) {
+				throw this.exception("invalid_number", "Unsigned numbers can't be negative", start, this.cursor, null,
+					"Remove the '-', or use 's' for signed");
+			}
+			
+			if (suffix !== "l") {
+				var magnitude = parseInt(digits, radix),
+					limit = Math.pow(2, info.bits - (unsigned ? 0 : 1));
+				if (magnitude > limit || magnitude === limit && !negative) throw outOfRange();
+				if (negative) return new Type(magnitude && -magnitude);
+				return new Type(unsigned && magnitude >= limit / 2 ? magnitude - limit : magnitude);
+			}
+			
+			var words = this.digitsToWords(digits, radix);
+			if (!words) throw outOfRange();
+			if (negative) {
+				if (words[0] > 0x80000000 || words[0] === 0x80000000 && words[1]) throw outOfRange();
+				words = [(~words[0] + (words[1] ? 0 : 1)) >>> 0, (~words[1] + 1) >>> 0];
+			} else if (!unsigned && words[0] >= 0x80000000) {
+				throw outOfRange();
+			}
+			return new SNBT.TagLong(SNBT._wordsToLong(words[0], words[1]));
+		},
+		/**
+		 * Convert digits to an unsigned 64-bit value.
+		 * @param {string} digits - The digits, without a sign.
+		 * @param {number} radix - The base they're written in.
+		 * @returns {number[]} - The [high, low] words, or null if the value needs more than 64 bits.
+		 */
+		digitsToWords: function(digits, radix) {
+			var limbs = [0, 0, 0, 0], // 16-bit, little-endian
+				i, k, carry;
+			for (i = 0; i < digits.length; ++i) {
+				carry = parseInt(digits[i], radix);
+				for (k = 0; k < 4; ++k) {
+					carry += limbs[k] * radix;
+					limbs[k] = carry & 0xFFFF;
+					carry = Math.floor(carry / 0x10000);
+				}
+				if (carry) return null;
+			}
+			return [(limbs[3] << 16 | limbs[2]) >>> 0, (limbs[1] << 16 | limbs[0]) >>> 0];
+		},
+		/**
+		 * Read a modern operation like bool(1) or uuid(...), after its name.
+		 * @param {string} name - The name of the operation.
+		 * @param {number} start - Where the name started.
+		 * @returns {TagBase} - The result.
+		 */
+		readOperation: function(name, start) {
+			var argStart, arg, result;
+			this.expect("(");
+			this.skipWhitespace();
+			argStart = this.cursor;
+			switch (name) {
+			case "bool":
+				this.enter(start);
+				arg = this.readValue();
+				--this.depth;
+				if (!(arg instanceof SNBT.TagNumberBase)) {
+					throw this.exception("invalid_argument", "bool() needs a number or boolean", argStart, this.cursor);
+				}
+				// Loose comparison, so BigInts work too
+				result = new SNBT.TagByte(arg.value != 0 ? 1 : 0);
+				break;
+			case "uuid":
+				var quote = this.peek();
+				if (quote === '"' || quote === "'") {
+					arg = this.readQuotedString();
+				} else {
+					arg = this.matchHere(this.uuidCharsRE)[0];
+					this.cursor += arg.length;
+				}
+				result = this.parseUUID(arg);
+				if (!result) {
+					throw this.exception("invalid_argument", "Invalid UUID '" + arg + "'", argStart, this.cursor, null,
+						"Write UUIDs like 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6'");
+				}
+				break;
+			default:
+				throw this.exception("unknown_operation", "Unknown operation '" + name + "'", start, this.cursor,
+					["bool", "uuid"]);
+			}
+			this.expect(")");
+			return result;
+		},
+		uuidCharsRE: /[0-9a-fA-F\-]*/y,
+		/**
+		 * Convert a UUID string into the int array that holds it in NBT.
+		 * @param {string} str - Five hyphen-separated groups of hex digits, as accepted by Java's UUID.fromString.
+		 * @returns {TagArrayInt} - The UUID, or null if the string is invalid.
+		 */
+		parseUUID: function(str) {
+			var parts = str.split("-"),
+				maxLengths = [8, 4, 4, 4, 12],
+				values = [],
+				i;
+			if (parts.length !== 5) return null;
+			for (i = 0; i < 5; ++i) {
+				if (!/^[0-9a-fA-F]+$/.test(parts[i]) || parts[i].length > maxLengths[i]) return null;
+				values.push(parseInt(parts[i], 16));
+			}
+			var array = new SNBT.TagArrayInt(),
+				ints = [
+					values[0],
+					values[1] * 0x10000 + values[2],
+					values[3] * 0x10000 + Math.floor(values[4] / 0x100000000),
+					values[4] % 0x100000000,
+				];
+			for (i = 0; i < 4; ++i) array.push(new SNBT.TagInteger(ints[i] | 0));
+			return array;
+		},
 	},
 };
 
@@ -661,6 +2058,9 @@ extend(SNBT.TagList, [
 	SNBT.TagArrayInt,
 	SNBT.TagArrayLong,
 ]);
+extend(Error, [
+	SNBT.SNBTSyntaxError,
+]);
 extend(SNBT.TagNumberBase, [
 	SNBT.TagByte,
 	SNBT.TagShort,
@@ -687,6 +2087,8 @@ SNBT.byID = {
 for (var id in SNBT.byID) {
 	SNBT.byID[id].prototype.tagID = id|0;
 }
+SNBT.SNBTSyntaxError.prototype.name = "SNBTSyntaxError";
+
 SNBT.TagByte.prototype.tagName      = "TAG_Byte";
 SNBT.TagShort.prototype.tagName     = "TAG_Short";
 SNBT.TagInteger.prototype.tagName   = "TAG_Int";
@@ -710,6 +2112,7 @@ SNBT.TagList.prototype.arrayPrefix      = "";
 SNBT.TagArrayByte.prototype.arrayPrefix = "B;";
 SNBT.TagArrayInt.prototype.arrayPrefix  = "I;";
 SNBT.TagArrayLong.prototype.arrayPrefix = "L;";
+SNBT._Parser.arrayTypes = {B: SNBT.TagArrayByte, I: SNBT.TagArrayInt, L: SNBT.TagArrayLong};
 
 SNBT.TagByte.prototype.minValue    = -128
 SNBT.TagByte.prototype.maxValue    =  127
@@ -717,11 +2120,13 @@ SNBT.TagShort.prototype.minValue   = -32768
 SNBT.TagShort.prototype.maxValue   =  32767
 SNBT.TagInteger.prototype.minValue = -2147483648
 SNBT.TagInteger.prototype.maxValue =  2147483647
-SNBT.TagLong.prototype.minValue    ="-9223372036854775808"
-SNBT.TagLong.prototype.maxValue    = "9223372036854775807"
-SNBT.TagLong.prototype.minValueSignless = "9223372036854775808"
+SNBT.TagLong.prototype.minValue    = -BigInt("9223372036854775808");
+SNBT.TagLong.prototype.maxValue    =  BigInt("9223372036854775807");
 SNBT.TagDouble.prototype.minValue  = -Number.MAX_VALUE;
 SNBT.TagDouble.prototype.maxValue  =  Number.MAX_VALUE;
+// The smallest literals that the game reads as infinity
+SNBT.TagFloat.prototype.overflowLiteral  = "9e99";
+SNBT.TagDouble.prototype.overflowLiteral = "9e999";
 // Calculate max float32 value as accurately as possible
 if (typeof ArrayBuffer !== "undefined" && typeof Float32Array !== "undefined" && typeof Int32Array !== "undefined") {
 	var buf = new ArrayBuffer(4),
@@ -735,6 +2140,19 @@ if (typeof ArrayBuffer !== "undefined" && typeof Float32Array !== "undefined" &&
 	SNBT.TagFloat.prototype.maxValue =  3.4028234663852886e+38;
 }
 
+// Worked out when printing, rather than for every string parsed
+Object.defineProperty(SNBT.TagString.prototype, "needQuotes", {
+	get: function() {
+		if (SNBT.quotedCharRE.test(this.value)) return true;
+		if (this.isKey) return false;
+		try {
+			return !!SNBT._Parser.parseNumber(this.value);
+		} catch (e) {
+			return false;
+		}
+	},
+});
+
 SNBT.TagString.prototype.sortOrder    =  0;
 SNBT.TagByte.prototype.sortOrder      =  1;
 SNBT.TagShort.prototype.sortOrder     =  2;
@@ -759,11 +2177,31 @@ SNBT.TagList.prototype.isPrimitive       = false;
  * @param {TagBase} value - The Tag to add.
  */
 SNBT.TagCompound.prototype.add = function(key, value) {
-	if (key in this.map) {
+	if (SNBT._hasOwn(this.map, key)) {
 		throw {error: "duplicate_key", message: "Duplicate key: " + SNBT._printString(new SNBT.TagString(key, true), {})};
 	}
 	this.pairs.push([new SNBT.TagString(key, true), value]);
-	this.map[key] = value;
+	SNBT._setOwn(this.map, key, value);
+};
+/**
+ * Set the Tag for a key in a Compound. If the key is already there, its Tag is replaced without moving it.
+ * @param {string} key - The key to set.
+ * @param {TagBase} value - The new Tag.
+ * @returns {TagBase} - The Tag replaced, or null if the key is new.
+ */
+SNBT.TagCompound.prototype.set = function(key, value) {
+	if (!SNBT._hasOwn(this.map, key)) {
+		this.add(key, value);
+		return null;
+	}
+	var old = this.map[key];
+	for (var i = 0; i < this.pairs.length; ++i) {
+		if (this.pairs[i][0].value === key) {
+			this.pairs[i][1] = this.map[key] = value;
+			return old;
+		}
+	}
+	throw {error: "inconsistent_state", message: "The internal state of this compound is borked. Did you mess with it?"};
 };
 /**
  * Remove a Tag from a Compound.
@@ -771,7 +2209,7 @@ SNBT.TagCompound.prototype.add = function(key, value) {
  * @returns {TagBase} - The Tag removed, or null if not found.
  */
 SNBT.TagCompound.prototype.remove = function(key) {
-	if (key in this.map) {
+	if (SNBT._hasOwn(this.map, key)) {
 		delete this.map[key];
 	} else {
 		return null;
@@ -788,6 +2226,7 @@ SNBT.TagCompound.prototype.remove = function(key) {
  * @param {TagBase} value - The Tag to add.
  */
 SNBT.TagList.prototype.push = function(value) {
+	if (this.mixed) return void this.list.push(value);
 	this.type = this.type || value.constructor;
 	if (value.constructor !== this.type) {
 		// TODO: Explain how type is determined, suggest fix
@@ -796,6 +2235,2933 @@ SNBT.TagList.prototype.push = function(value) {
 	}
 	this.list.push(value);
 };
+/**
+ * Insert a Tag into a List.
+ * @param {number} index - Where to insert the new Tag.
+ * @param {TagBase} value - The Tag to insert.
+ */
+SNBT.TagList.prototype.insert = function(index, value) {
+	if (index < 0 || index > this.list.length) {
+		throw {error: "index_out_of_range", message: "Cannot insert at index " + index + " of a list of length " + this.list.length};
+	}
+	this.push(value);
+	this.list.splice(index, 0, this.list.pop());
+};
+/**
+ * Replace a Tag in a List.
+ * @param {number} index - The index of the Tag to replace.
+ * @param {TagBase} value - The new Tag.
+ * @returns {TagBase} - The Tag replaced.
+ */
+SNBT.TagList.prototype.set = function(index, value) {
+	if (index < 0 || index >= this.list.length) {
+		throw {error: "index_out_of_range", message: "Index " + index + " is out of range for a list of length " + this.list.length};
+	}
+	if (!this.mixed && value.constructor !== this.type) {
+		throw {error: "invalid_tag_type", message: "Cannot insert " + value.constructor.name
+			+ " into a list of type " + this.type.name};
+	}
+	var old = this.list[index];
+	this.list[index] = value;
+	return old;
+};
+/**
+ * Remove a Tag from a List.
+ * @param {number} index - The index of the Tag to remove.
+ * @returns {TagBase} - The Tag removed, or null if out of range.
+ */
+SNBT.TagList.prototype.remove = function(index) {
+	if (index < 0 || index >= this.list.length) return null;
+	return this.list.splice(index, 1)[0];
+};
+/**
+ * Find the type shared by every Tag in a mixed List.
+ * @param {TagList} list - The List.
+ * @returns {Function} - The Tags' constructor, undefined if the List is empty, or null if the types differ.
+ */
+SNBT._mixedListType = function(list) {
+	var type = list.list.length ? list.list[0].constructor : undefined;
+	for (var i = 1; i < list.list.length; ++i) {
+		if (list.list[i].constructor !== type) return null;
+	}
+	return type;
+};
+/**
+ * Check whether a Tag is a compound that binary NBT uses to hold an element of a mixed List, i.e. {"": value}.
+ * @param {TagBase} tag - The Tag to check.
+ * @returns {boolean}
+ */
+SNBT._isListWrapper = function(tag) {
+	return tag.constructor === SNBT.TagCompound && tag.pairs.length === 1 && tag.pairs[0][0].value === "";
+};
+
+///////////////
+// NBT paths //
+///////////////
+
+/**
+ * An NBT path, as used by the /data command. Create these with SNBT.parsePath.
+ * @constructor
+ * @param {Object[]} nodes - The path's nodes, in order.
+ */
+SNBT.NbtPath = function(nodes) {
+	this.nodes = nodes;
+};
+/**
+ * Find every Tag that the path points to.
+ * @param {TagBase} root - The Tag to start from.
+ * @returns {TagBase[]} - The matching Tags. Empty if there were none.
+ */
+SNBT.NbtPath.prototype.get = function(root) {
+	var tags = [root];
+	for (var i = 0; i < this.nodes.length; ++i) {
+		tags = this._step(this.nodes[i], tags, null);
+	}
+	return tags;
+};
+/**
+ * Count how many Tags the path points to.
+ * @param {TagBase} root - The Tag to start from.
+ * @returns {number}
+ */
+SNBT.NbtPath.prototype.count = function(root) {
+	return this.get(root).length;
+};
+/**
+ * Set every Tag that the path points to, creating missing parents where the game would.
+ * Each target gets its own copy of the value.
+ * @param {TagBase} root - The Tag to start from.
+ * @param {TagBase} value - The Tag to store.
+ * @returns {number} - How many Tags were changed.
+ */
+SNBT.NbtPath.prototype.set = function(root, value) {
+	var nodes = this.nodes, last = nodes.length - 1, tags = [root], count = 0, i;
+	for (i = 0; i < last; ++i) {
+		tags = this._step(nodes[i], tags, nodes[i + 1]);
+	}
+	for (i = 0; i < tags.length; ++i) {
+		count += this._setChild(nodes[last], tags[i], value);
+	}
+	return count;
+};
+/**
+ * Remove every Tag that the path points to.
+ * @param {TagBase} root - The Tag to start from.
+ * @returns {number} - How many Tags were removed.
+ */
+SNBT.NbtPath.prototype.remove = function(root) {
+	var nodes = this.nodes, last = nodes.length - 1, tags = [root], count = 0, i;
+	for (i = 0; i < last; ++i) {
+		tags = this._step(nodes[i], tags, null);
+	}
+	for (i = 0; i < tags.length; ++i) {
+		count += this._removeChild(nodes[last], tags[i]);
+	}
+	return count;
+};
+/**
+ * Convert the path back to its textual representation.
+ * @returns {string}
+ */
+SNBT.NbtPath.prototype.toString = function() {
+	var str = "", node, i;
+	for (i = 0; i < this.nodes.length; ++i) {
+		node = this.nodes[i];
+		switch (node.type) {
+		case "key":
+		case "matchKey":
+			if (i > 0) str += ".";
+			str += SNBT.NbtPath.quoteKey(node.name);
+			if (node.type === "matchKey") str += SNBT.stringify(node.pattern, "", {deflate: true});
+			break;
+		case "index":
+			str += "[" + node.index + "]";
+			break;
+		case "all":
+			str += "[]";
+			break;
+		case "matchElement":
+			str += "[" + SNBT.stringify(node.pattern, "", {deflate: true}) + "]";
+			break;
+		case "matchRoot":
+			str += SNBT.stringify(node.pattern, "", {deflate: true});
+			break;
+		}
+	}
+	return str;
+};
+/**
+ * Quote a compound key for use in a path, if needed.
+ * @param {string} key - The key.
+ * @returns {string}
+ */
+SNBT.NbtPath.quoteKey = function(key) {
+	for (var i = 0; i < key.length; ++i) {
+		if (SNBT._Parser.pathNameChars.indexOf(key[i]) >= 0) {
+			return '"' + key.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+		}
+	}
+	return key || '""';
+};
+/**
+ * Follow one node of the path from each of the given Tags.
+ * @param {Object} node - The node to follow.
+ * @param {TagBase[]} tags - The Tags to start from.
+ * @param {Object} [next] - If given, create missing Tags where the game would, with the type that this next node expects.
+ * @returns {TagBase[]} - The Tags reached.
+ */
+SNBT.NbtPath.prototype._step = function(node, tags, next) {
+	var result = [], tag, child, list, i, j;
+	for (i = 0; i < tags.length; ++i) {
+		tag = tags[i];
+		switch (node.type) {
+		case "key":
+			if (tag.constructor !== SNBT.TagCompound) break;
+			child = SNBT._getOwn(tag.map, node.name);
+			if (!child && next) tag.add(node.name, child = this._newParent(next));
+			if (child) result.push(child);
+			break;
+		case "matchKey":
+			if (tag.constructor !== SNBT.TagCompound) break;
+			child = SNBT._getOwn(tag.map, node.name);
+			if (!child && next) {
+				tag.add(node.name, child = SNBT.clone(node.pattern));
+				result.push(child);
+			} else if (child && SNBT.matches(node.pattern, child)) {
+				result.push(child);
+			}
+			break;
+		case "index":
+			if (!(tag instanceof SNBT.TagList)) break;
+			j = node.index < 0 ? tag.list.length + node.index : node.index;
+			if (j >= 0 && j < tag.list.length) result.push(tag.list[j]);
+			break;
+		case "all":
+			if (!(tag instanceof SNBT.TagList)) break;
+			if (!tag.list.length && next) {
+				child = this._newParent(next);
+				if (this._tryInsert(tag, 0, child)) result.push(child);
+				break;
+			}
+			result.push.apply(result, tag.list);
+			break;
+		case "matchElement":
+			if (tag.constructor !== SNBT.TagList) break;
+			list = tag.list.filter(function(e) { return SNBT.matches(node.pattern, e); });
+			if (!list.length && next) {
+				child = SNBT.clone(node.pattern);
+				if (this._tryInsert(tag, tag.list.length, child)) result.push(child);
+				break;
+			}
+			result.push.apply(result, list);
+			break;
+		case "matchRoot":
+			if (SNBT.matches(node.pattern, tag)) result.push(tag);
+			break;
+		}
+	}
+	return result;
+};
+SNBT.NbtPath.prototype._newParent = function(node) {
+	switch (node.type) {
+	case "key":
+	case "matchKey":
+	case "matchRoot":
+		return new SNBT.TagCompound();
+	}
+	return new SNBT.TagList();
+};
+SNBT.NbtPath.prototype._tryInsert = function(list, index, value) {
+	try {
+		list.insert(index, value);
+		return true;
+	} catch (e) {
+		return false;
+	}
+};
+SNBT.NbtPath.prototype._setChild = function(node, tag, value) {
+	var old, count, i, j;
+	switch (node.type) {
+	case "key":
+		if (tag.constructor !== SNBT.TagCompound) return 0;
+		old = tag.set(node.name, SNBT.clone(value));
+		return old && SNBT.equals(old, value) ? 0 : 1;
+	case "matchKey":
+		if (tag.constructor !== SNBT.TagCompound) return 0;
+		old = SNBT._getOwn(tag.map, node.name);
+		if (!old || !SNBT.matches(node.pattern, old) || SNBT.equals(old, value)) return 0;
+		tag.set(node.name, SNBT.clone(value));
+		return 1;
+	case "index":
+		if (!(tag instanceof SNBT.TagList)) return 0;
+		j = node.index < 0 ? tag.list.length + node.index : node.index;
+		if (j < 0 || j >= tag.list.length || SNBT.equals(tag.list[j], value)) return 0;
+		try {
+			tag.set(j, SNBT.clone(value));
+		} catch (e) {
+			return 0;
+		}
+		return 1;
+	case "all":
+		if (!(tag instanceof SNBT.TagList)) return 0;
+		var length = tag.list.length;
+		if (!length) return this._tryInsert(tag, 0, SNBT.clone(value)) ? 1 : 0;
+		count = tag.list.filter(function(e) { return !SNBT.equals(e, value); }).length;
+		if (!count || !tag.mixed && tag.type !== value.constructor && length > 0) return 0;
+		for (i = 0; i < length; ++i) tag.list[i] = SNBT.clone(value);
+		return count;
+	case "matchElement":
+		if (tag.constructor !== SNBT.TagList || !tag.mixed && tag.type !== value.constructor) return 0;
+		count = 0;
+		for (i = 0; i < tag.list.length; ++i) {
+			if (SNBT.matches(node.pattern, tag.list[i]) && !SNBT.equals(tag.list[i], value)) {
+				tag.list[i] = SNBT.clone(value);
+				++count;
+			}
+		}
+		return count;
+	}
+	return 0;
+};
+SNBT.NbtPath.prototype._removeChild = function(node, tag) {
+	var count, i, j;
+	switch (node.type) {
+	case "key":
+		if (tag.constructor !== SNBT.TagCompound) return 0;
+		return tag.remove(node.name) ? 1 : 0;
+	case "matchKey":
+		if (tag.constructor !== SNBT.TagCompound) return 0;
+		if (!SNBT._hasOwn(tag.map, node.name) || !SNBT.matches(node.pattern, tag.map[node.name])) return 0;
+		tag.remove(node.name);
+		return 1;
+	case "index":
+		if (!(tag instanceof SNBT.TagList)) return 0;
+		j = node.index < 0 ? tag.list.length + node.index : node.index;
+		return tag.remove(j) ? 1 : 0;
+	case "all":
+		if (!(tag instanceof SNBT.TagList)) return 0;
+		count = tag.list.length;
+		tag.list.length = 0;
+		return count;
+	case "matchElement":
+		if (tag.constructor !== SNBT.TagList) return 0;
+		count = 0;
+		for (i = tag.list.length - 1; i >= 0; --i) {
+			if (SNBT.matches(node.pattern, tag.list[i])) {
+				tag.remove(i);
+				++count;
+			}
+		}
+		return count;
+	}
+	return 0;
+};
+
+////////////////////
+// Comparing Tags //
+////////////////////
+
+/**
+ * Check whether two Tags are equal: same types and values all the way down. Compound key order doesn't matter.
+ * Floats and doubles are equal when Java's equals would say so, so NaN equals NaN, but 0 doesn't equal -0.
+ * @param {TagBase} a - The first Tag.
+ * @param {TagBase} b - The second Tag.
+ * @returns {boolean}
+ */
+SNBT.equals = function(a, b) {
+	var i;
+	if (a === b) return true;
+	if (!a || !b || a.constructor !== b.constructor) return false;
+	if (a instanceof SNBT.TagList) {
+		if (a.list.length !== b.list.length) return false;
+		for (i = 0; i < a.list.length; ++i) {
+			if (!SNBT.equals(a.list[i], b.list[i])) return false;
+		}
+		return true;
+	}
+	if (a.constructor === SNBT.TagCompound) {
+		if (a.pairs.length !== b.pairs.length) return false;
+		for (i = 0; i < a.pairs.length; ++i) {
+			var key = a.pairs[i][0].value;
+			if (!SNBT._hasOwn(b.map, key) || !SNBT.equals(a.pairs[i][1], b.map[key])) return false;
+		}
+		return true;
+	}
+	if (a.constructor === SNBT.TagFloat || a.constructor === SNBT.TagDouble) return Object.is(a.value, b.value);
+	return a.value === b.value;
+};
+/**
+ * Check whether a Tag matches a pattern, the way the game does for NBT paths, selectors' nbt= arguments and
+ * "execute if data" (NbtUtils.compareNbt in the game's code):
+ * - Compounds need only contain the pattern's keys, with values that match.
+ * - Lists need a match for each of the pattern's elements, in any order. An empty pattern only matches an empty list.
+ * - Arrays and everything else must be equal, as for SNBT.equals.
+ * @param {TagBase} pattern - The pattern, e.g. parsed from '{Inventory:[{id:"minecraft:stone"}]}'.
+ * @param {TagBase} tag - The Tag to test.
+ * @returns {boolean}
+ */
+SNBT.matches = function(pattern, tag) {
+	var i, j;
+	if (pattern === tag) return true;
+	if (!tag || pattern.constructor !== tag.constructor) return false;
+	if (pattern.constructor === SNBT.TagCompound) {
+		for (i = 0; i < pattern.pairs.length; ++i) {
+			var key = pattern.pairs[i][0].value;
+			if (!SNBT._hasOwn(tag.map, key) || !SNBT.matches(pattern.pairs[i][1], tag.map[key])) return false;
+		}
+		return true;
+	}
+	if (pattern.constructor === SNBT.TagList) {
+		if (!pattern.list.length) return !tag.list.length;
+		outer: for (i = 0; i < pattern.list.length; ++i) {
+			for (j = 0; j < tag.list.length; ++j) {
+				if (SNBT.matches(pattern.list[i], tag.list[j])) continue outer;
+			}
+			return false;
+		}
+		return true;
+	}
+	return SNBT.equals(pattern, tag);
+};
+
+//////////////////////////
+// Diffing and patching //
+//////////////////////////
+
+/**
+ * Find the changes that turn one Tag into another, as a list of operations keyed by NBT path.
+ * Each operation is an object with an "op", a "path" (a string for SNBT.parsePath, or "" for the root), and:
+ * - add:        value.           A compound gained a key.
+ * - remove:     oldValue.        A compound lost a key.
+ * - change:     oldValue, value. A value of the same type changed. Arrays change as a whole.
+ * - changeType: oldValue, value. A value was replaced by one of a different type, or a list by one with elements of
+ *                                 another type.
+ * - listInsert: value.           A list gained an element at the path's index.
+ * - listRemove: oldValue.        A list lost the element at the path's index.
+ * - reorder:    keys.            A compound's keys were reordered. Only with options.keyOrder.
+ * List indexes are for the list as it is when the operation is reached, so the operations must be applied in order.
+ * @param {TagBase} a - The old Tag.
+ * @param {TagBase} b - The new Tag.
+ *
+ * @param {Object}  [options] - Extra options.
+ * @param {boolean} [options.keyOrder=false] - Treat the order of compound keys as significant.
+ *
+ * @returns {Object[]} - The operations, which are empty if the Tags are equal.
+ */
+SNBT.diff = function(a, b, options) {
+	var ops = [];
+	SNBT._diff(a, b, "", options || {}, ops);
+	return ops;
+};
+SNBT._diff = function(a, b, path, options, ops) {
+	if (a.constructor !== b.constructor) {
+		ops.push({op: "changeType", path: path, oldValue: a, value: b});
+	} else if (a.constructor === SNBT.TagCompound) {
+		SNBT._diffCompound(a, b, path, options, ops);
+	} else if (a.constructor === SNBT.TagList) {
+		// A typed list can't hold elements of another type, even for a moment, so it's replaced as a whole
+		if (!a.mixed && a.type && b.list.some(function(element) { return element.constructor !== a.type; })) {
+			ops.push({op: "changeType", path: path, oldValue: a, value: b});
+		} else {
+			SNBT._diffList(a, b, path, options, ops);
+		}
+	} else if (!SNBT.equals(a, b)) {
+		ops.push({op: "change", path: path, oldValue: a, value: b});
+	}
+};
+SNBT._diffCompound = function(a, b, path, options, ops) {
+	var order = [], i, key, childPath;
+	for (i = 0; i < a.pairs.length; ++i) {
+		key = a.pairs[i][0].value;
+		childPath = SNBT._childPath(path, key);
+		if (SNBT._hasOwn(b.map, key)) {
+			order.push(key);
+			SNBT._diff(a.pairs[i][1], b.map[key], childPath, options, ops);
+		} else {
+			ops.push({op: "remove", path: childPath, oldValue: a.pairs[i][1]});
+		}
+	}
+	for (i = 0; i < b.pairs.length; ++i) {
+		key = b.pairs[i][0].value;
+		if (!SNBT._hasOwn(a.map, key)) {
+			order.push(key);
+			ops.push({op: "add", path: SNBT._childPath(path, key), value: b.pairs[i][1]});
+		}
+	}
+	if (options.keyOrder) {
+		var keys = b.pairs.map(function(pair) { return pair[0].value; });
+		if (keys.join("\0") !== order.join("\0")) ops.push({op: "reorder", path: path, keys: keys});
+	}
+};
+SNBT._diffList = function(a, b, path, options, ops) {
+	var x = a.list, y = b.list,
+	    ids = SNBT._elementIds(x, y),
+	    matches = [],
+	    index = 0, i, j;
+	// Line the lists up by their longest common subsequence
+	SNBT._matchLists(ids[0], ids[1], 0, x.length, 0, y.length, matches);
+	
+	var removed = [], inserted = [];
+	// Handle a run of unmatched elements. Those in the same place with the same type are diffed, not replaced.
+	function flush() {
+		for (var k = 0; k < removed.length || k < inserted.length; ++k) {
+			var old = removed[k], value = inserted[k];
+			if (old && value && old.constructor === value.constructor) {
+				SNBT._diff(old, value, path + "[" + index + "]", options, ops);
+				++index;
+				continue;
+			}
+			if (old) ops.push({op: "listRemove", path: path + "[" + index + "]", oldValue: old});
+			if (value) ops.push({op: "listInsert", path: path + "[" + index++ + "]", value: value});
+		}
+		removed = [];
+		inserted = [];
+	}
+	i = j = 0;
+	while (i < x.length || j < y.length) {
+		if (i < x.length && matches[i] === undefined) {
+			removed.push(x[i++]);
+		} else if (j < y.length && (i >= x.length || matches[i] !== j)) {
+			inserted.push(y[j++]);
+		} else {
+			flush();
+			++index, ++i, ++j;
+		}
+	}
+	flush();
+};
+// Number the elements of two lists so that equal Tags get the same number, comparing each Tag only with those that print the same
+SNBT._elementIds = function(x, y) {
+	var buckets = {}, next = 0;
+	function id(tag) {
+		var key = SNBT.stringify(tag, "", {deflate: true, sort: SNBT.compareAlpha}),
+		    bucket = SNBT._getOwn(buckets, key);
+		if (!bucket) SNBT._setOwn(buckets, key, bucket = []);
+		for (var i = 0; i < bucket.length; ++i) {
+			if (SNBT.equals(bucket[i].tag, tag)) return bucket[i].id;
+		}
+		bucket.push({tag: tag, id: next});
+		return next++;
+	}
+	return [x.map(id), y.map(id)];
+};
+// Match up a[aLo..aHi] and b[bLo..bHi] with Myers' diff algorithm, in linear space: trim the common ends, then split
+// at a point on a shortest edit path and solve each side. matches[i] is set to j for each pair that's kept.
+SNBT._matchLists = function(a, b, aLo, aHi, bLo, bHi, matches) {
+	while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) matches[aLo++] = bLo++;
+	while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) matches[--aHi] = --bHi;
+	if (aLo === aHi || bLo === bHi) return;
+	var split = SNBT._splitLists(a, b, aLo, aHi, bLo, bHi);
+	SNBT._matchLists(a, b, aLo, split[0], bLo, split[1], matches);
+	SNBT._matchLists(a, b, split[0], aHi, split[1], bHi, matches);
+};
+// Search forwards from the start and backwards from the end until the paths meet, and return where they do
+SNBT._splitLists = function(a, b, aLo, aHi, bLo, bHi) {
+	var n = aHi - aLo, m = bHi - bLo,
+	    maxD = Math.ceil((n + m) / 2),
+	    offset = maxD + 1,
+	    forward = new Int32Array(2 * offset + 2).fill(-1),
+	    backward = new Int32Array(2 * offset + 2).fill(-1),
+	    delta = n - m,
+	    odd = (delta & 1) !== 0,
+	    kStart1 = 0, kEnd1 = 0, kStart2 = 0, kEnd2 = 0,
+	    d, k, o, x1, y1, x2, y2;
+	forward[offset + 1] = backward[offset + 1] = 0;
+	for (d = 0; d <= maxD; ++d) {
+		for (k = -d + kStart1; k <= d - kEnd1; k += 2) {
+			o = offset + k;
+			x1 = k === -d || (k !== d && forward[o - 1] < forward[o + 1]) ? forward[o + 1] : forward[o - 1] + 1;
+			y1 = x1 - k;
+			while (x1 < n && y1 < m && a[aLo + x1] === b[bLo + y1]) ++x1, ++y1;
+			forward[o] = x1;
+			if (x1 > n) {
+				kEnd1 += 2;
+			} else if (y1 > m) {
+				kStart1 += 2;
+			} else if (odd) {
+				o = offset + delta - k;
+				if (o >= 0 && o < backward.length && backward[o] !== -1 && x1 >= n - backward[o]) return [aLo + x1, bLo + y1];
+			}
+		}
+		for (k = -d + kStart2; k <= d - kEnd2; k += 2) {
+			o = offset + k;
+			x2 = k === -d || (k !== d && backward[o - 1] < backward[o + 1]) ? backward[o + 1] : backward[o - 1] + 1;
+			y2 = x2 - k;
+			while (x2 < n && y2 < m && a[aHi - x2 - 1] === b[bHi - y2 - 1]) ++x2, ++y2;
+			backward[o] = x2;
+			if (x2 > n) {
+				kEnd2 += 2;
+			} else if (y2 > m) {
+				kStart2 += 2;
+			} else if (!odd) {
+				o = offset + delta - k;
+				if (o >= 0 && o < forward.length && forward[o] !== -1 && forward[o] >= n - x2) {
+					return [aLo + forward[o], bLo + forward[o] - (o - offset)];
+				}
+			}
+		}
+	}
+	// The paths always meet, but just in case, keep nothing
+	return [aHi, bLo];
+};
+SNBT._childPath = function(path, key) {
+	return (path ? path + "." : "") + SNBT.NbtPath.quoteKey(key);
+};
+/**
+ * Apply operations from SNBT.diff to a Tag, changing it in place.
+ * @param {TagBase} tag - The Tag to change.
+ * @param {Object[]} ops - The operations, in order.
+ * @returns {TagBase} - The changed Tag. This is a new Tag if an operation replaced the root.
+ */
+SNBT.applyPatch = function(tag, ops) {
+	for (var i = 0; i < ops.length; ++i) {
+		tag = SNBT._applyOp(tag, ops[i]);
+	}
+	return tag;
+};
+SNBT._applyOp = function(root, op) {
+	function fail(error, message) {
+		throw {error: error, message: message + " at " + (op.path || "the root") + " (" + op.op + ")"};
+	}
+	function check(current) {
+		if (!current) fail("patch_failed", "Nothing to " + op.op);
+		if (op.oldValue && !SNBT.equals(current, op.oldValue)) fail("patch_conflict", "The old value doesn't match");
+	}
+	
+	var nodes = op.path ? SNBT.parsePath(op.path).nodes : [],
+	    last = nodes[nodes.length - 1],
+	    parent;
+	if (op.op === "reorder") {
+		parent = new SNBT.NbtPath(nodes).get(root)[0];
+		if (!parent || parent.constructor !== SNBT.TagCompound) fail("patch_failed", "Expected a compound");
+		if (op.keys.length !== parent.pairs.length || op.keys.some(function(key) { return !SNBT._hasOwn(parent.map, key); })) {
+			fail("patch_conflict", "The keys don't match");
+		}
+		parent.pairs = op.keys.map(function(key) {
+			for (var i = 0; i < parent.pairs.length; ++i) {
+				if (parent.pairs[i][0].value === key) return parent.pairs[i];
+			}
+		});
+		return root;
+	}
+	if (!last) {
+		if (op.op !== "change" && op.op !== "changeType") fail("patch_failed", "Can't " + op.op + " the root");
+		check(root);
+		return SNBT.clone(op.value);
+	}
+	
+	parent = new SNBT.NbtPath(nodes.slice(0, -1)).get(root);
+	if (parent.length !== 1) fail("patch_failed", "Expected one parent but found " + parent.length);
+	parent = parent[0];
+	if (last.type === "key" && parent.constructor === SNBT.TagCompound) {
+		switch (op.op) {
+		case "add":
+			if (SNBT._hasOwn(parent.map, last.name)) fail("patch_conflict", "The key already exists");
+			parent.add(last.name, SNBT.clone(op.value));
+			return root;
+		case "remove":
+			check(SNBT._getOwn(parent.map, last.name));
+			parent.remove(last.name);
+			return root;
+		case "change":
+		case "changeType":
+			check(SNBT._getOwn(parent.map, last.name));
+			parent.set(last.name, SNBT.clone(op.value));
+			return root;
+		}
+	} else if (last.type === "index" && parent instanceof SNBT.TagList) {
+		switch (op.op) {
+		case "listInsert":
+			if (last.index > parent.list.length) fail("patch_failed", "The list is too short");
+			try {
+				parent.insert(last.index, SNBT.clone(op.value));
+			} catch (e) {
+				fail("patch_conflict", e.message);
+			}
+			return root;
+		case "listRemove":
+			check(parent.list[last.index]);
+			parent.remove(last.index);
+			return root;
+		case "change":
+		case "changeType":
+			check(parent.list[last.index]);
+			parent.list[last.index] = SNBT.clone(op.value);
+			return root;
+		}
+	}
+	fail("patch_failed", "Can't apply this operation here");
+};
+/**
+ * Describe operations from SNBT.diff as text, one line per added or removed value, like a text diff:
+ * "+ path: value" for values added, "- path: value" for values removed, and "~ path: keys" for reordered keys.
+ * A changed value gets a "-" line and a "+" line.
+ * @param {Object[]} ops - The operations.
+ * @param {string} [space="\t"] - The indentation for values, as for SNBT.stringify.
+ * @param {Object} [options] - Options for printing values, as for SNBT.stringify.
+ * @returns {string}
+ */
+SNBT.formatDiff = function(ops, space, options) {
+	var lines = [], i, op;
+	function line(marker, path, text) {
+		// Indent multi-line values past the marker
+		lines.push(marker + " " + (path || "(root)") + ": " + text.replace(/\n/g, "\n  "));
+	}
+	function value(tag) {
+		return SNBT.stringify(tag, space, options);
+	}
+	for (i = 0; i < ops.length; ++i) {
+		op = ops[i];
+		if (op.oldValue) line("-", op.path, value(op.oldValue));
+		if (op.value) line("+", op.path, value(op.value));
+		if (op.keys) line("~", op.path, op.keys.map(SNBT.NbtPath.quoteKey).join(", "));
+	}
+	return lines.join("\n");
+};
+
+/////////////
+// Merging //
+/////////////
+
+/**
+ * Merge one compound into another, like the /data merge command: compounds are merged recursively, and everything
+ * else in the source replaces what's in the target. Strategies can change this for particular paths.
+ * @param {TagCompound} target - The compound to merge into. It's changed, unless options.copy is set.
+ * @param {TagCompound} source - The compound to merge from. It's never changed, and its Tags are copied.
+ *
+ * @param {Object}  [options] - Extra options.
+ * @param {boolean} [options.copy=false]  - Leave the target alone, and return a merged copy of it.
+ * @param {Object}  [options.strategies] - How to merge particular paths, like "Inventory" or "Items[].tag.Lore", where
+ *                                         "[]" stands for every element of a list. Each strategy is one of:
+ *                                         - "merge":   The default. Merge compounds, and replace everything else.
+ *                                         - "replace": Replace the target's Tag, even if both are compounds.
+ *                                         - "keep":    Keep the target's Tag, if it has one.
+ *                                         - "append":  Add the source list's elements to the end of the target list.
+ *                                         - {mergeBy: key}: Merge each compound in the source list with the compound
+ *                                           in the target list that has the same value for the key (like "Slot"),
+ *                                           and add the elements with no match to the end.
+ *                                         - A function(targetTag, sourceTag, path) that returns the Tag to use.
+ *                                           targetTag is undefined if the target has nothing at that path. Return
+ *                                           targetTag to keep it.
+ *
+ * @returns {TagCompound} - The merged compound.
+ */
+SNBT.merge = function(target, source, options) {
+	options = options || {};
+	if (target.constructor !== SNBT.TagCompound || source.constructor !== SNBT.TagCompound) {
+		throw {error: "invalid_type", message: "Can only merge a compound into a compound"};
+	}
+	if (options.copy) target = SNBT.clone(target);
+	SNBT._mergeCompound(target, source, "", options.strategies || {});
+	return target;
+};
+SNBT._mergeCompound = function(target, source, path, strategies) {
+	for (var i = 0; i < source.pairs.length; ++i) {
+		var key = source.pairs[i][0].value,
+		    old = SNBT._getOwn(target.map, key),
+		    merged = SNBT._mergeValue(old, source.pairs[i][1], SNBT._childPath(path, key), strategies);
+		if (merged !== old) target.set(key, merged);
+	}
+};
+SNBT._mergeValue = function(old, value, path, strategies) {
+	var strategy = Object.prototype.hasOwnProperty.call(strategies, path) ? strategies[path] : "merge",
+	    i, j, element, key;
+	function fail(message) {
+		throw {error: "invalid_strategy", message: message + " at " + path};
+	}
+	
+	if (typeof strategy === "function") {
+		var result = strategy(old, value, path);
+		if (!(result instanceof SNBT.TagBase)) fail("Merge strategy didn't return a Tag");
+		return result;
+	}
+	if (!old) return SNBT.clone(value);
+	if (strategy === "merge") {
+		if (old.constructor !== SNBT.TagCompound || value.constructor !== SNBT.TagCompound) return SNBT.clone(value);
+		SNBT._mergeCompound(old, value, path, strategies);
+		return old;
+	}
+	if (strategy === "replace") return SNBT.clone(value);
+	if (strategy === "keep") return old;
+	if (!(old instanceof SNBT.TagList) || old.constructor !== value.constructor) fail("Can only append or mergeBy lists");
+	if (strategy === "append") {
+		for (i = 0; i < value.list.length; ++i) {
+			try {
+				old.push(SNBT.clone(value.list[i]));
+			} catch (e) {
+				fail(e.message);
+			}
+		}
+		return old;
+	}
+	if (!strategy || typeof strategy.mergeBy !== "string") fail("Unknown merge strategy " + strategy);
+	
+	key = strategy.mergeBy;
+	outer: for (i = 0; i < value.list.length; ++i) {
+		element = value.list[i];
+		if (element.constructor === SNBT.TagCompound && SNBT._hasOwn(element.map, key)) {
+			for (j = 0; j < old.list.length; ++j) {
+				if (old.list[j].constructor === SNBT.TagCompound && SNBT._hasOwn(old.list[j].map, key) &&
+						SNBT.equals(old.list[j].map[key], element.map[key])) {
+					SNBT._mergeCompound(old.list[j], element, path + "[]", strategies);
+					continue outer;
+				}
+			}
+		}
+		old.push(SNBT.clone(element));
+	}
+	return old;
+};
+
+//////////////////////////////
+// Walking and transforming //
+//////////////////////////////
+
+/**
+ * Visit every Tag in a tree, depth first, calling the visitor's callbacks when entering and leaving each one.
+ * Callbacks are called as callback(tag, info), where info is {path, parent, key, depth}: key is the Tag's compound key
+ * or list index, parent is the compound or list holding it, and path is its NBT path. The root has no parent or key.
+ *
+ * A callback can return:
+ * - Nothing, to carry on.
+ * - SNBT.walk.skip, from enter, to not visit the Tag's children. Its exit callbacks are still called.
+ * - SNBT.walk.remove, to remove the Tag from its parent. No more of its callbacks are called.
+ * - A Tag, to replace this one in its parent. When entering, the new Tag's children are visited instead.
+ * The first callback that returns something decides what happens; the others for that step aren't called.
+ *
+ * @example
+ * // Strip every display tag
+ * SNBT.walk(item, {TAG_Compound: function(tag, info) {
+ * 	if (info.key === "display") return SNBT.walk.remove;
+ * }});
+ *
+ * @param {TagBase} tag - The root Tag. The tree is changed in place.
+ *
+ * @param {Object}   visitor - The callbacks. Each one is optional.
+ * @param {Function} [visitor.enter] - Called on entering every Tag, before its children.
+ * @param {Function} [visitor.exit]  - Called on leaving every Tag, after its children.
+ * @param {Function|Object} [visitor.TAG_Compound] - Called on entering each Tag of that type, after visitor.enter. Use
+ *                                                   the tagName of any type. It can be {enter, exit} instead, to also
+ *                                                   be called on leaving, before visitor.exit.
+ *
+ * @returns {TagBase} - The root Tag, which is new if it was replaced, or null if it was removed.
+ */
+SNBT.walk = function(tag, visitor) {
+	var root = {tag: tag, info: {path: "", parent: null, key: null, depth: 0}},
+	    stack = [],
+	    frame, child, list, key, i;
+	if (!SNBT._walkEnter(root, visitor)) return null;
+	if (root.skip) {
+		return SNBT._walkExit(root, visitor) ? root.tag : null;
+	}
+	stack.push({node: root, i: 0});
+	
+	while (stack.length) {
+		frame = stack[stack.length - 1];
+		tag = frame.node.tag;
+		list = tag.constructor === SNBT.TagCompound ? tag.pairs : tag instanceof SNBT.TagList ? tag.list : [];
+		if (frame.i >= list.length) {
+			stack.pop();
+			if (!SNBT._walkExit(frame.node, visitor)) {
+				if (stack.length) continue;
+				return null;
+			}
+			if (stack.length) ++stack[stack.length - 1].i;
+			continue;
+		}
+		
+		i = frame.i;
+		key = tag.constructor === SNBT.TagCompound ? list[i][0].value : i;
+		child = {tag: tag.constructor === SNBT.TagCompound ? list[i][1] : list[i], info: {
+			path: typeof key === "string" ? SNBT._childPath(frame.node.info.path, key) : frame.node.info.path + "[" + i + "]",
+			parent: tag,
+			key: key,
+			depth: stack.length,
+		}};
+		if (!SNBT._walkEnter(child, visitor)) continue;
+		if (child.skip || !(child.tag.constructor === SNBT.TagCompound || child.tag instanceof SNBT.TagList)) {
+			if (SNBT._walkExit(child, visitor)) ++frame.i;
+			continue;
+		}
+		stack.push({node: child, i: 0});
+	}
+	return root.tag;
+};
+/** Return this from a walk callback to not visit a Tag's children. */
+SNBT.walk.skip = Object.freeze({walk: "skip"});
+/** Return this from a walk callback to remove a Tag from its parent. */
+SNBT.walk.remove = Object.freeze({walk: "remove"});
+// Call the enter callbacks, returning false if the Tag was removed
+SNBT._walkEnter = function(node, visitor) {
+	var typed = visitor[node.tag.tagName],
+	    enter = typeof typed === "function" ? typed : typed && typed.enter,
+	    result = visitor.enter ? visitor.enter(node.tag, node.info) : undefined;
+	if (result === undefined && enter) result = enter(node.tag, node.info);
+	if (result === SNBT.walk.skip) {
+		node.skip = true;
+		return true;
+	}
+	return SNBT._walkApply(node, result);
+};
+// Call the exit callbacks, returning false if the Tag was removed
+SNBT._walkExit = function(node, visitor) {
+	var typed = visitor[node.tag.tagName],
+	    result = typed && typed.exit ? typed.exit(node.tag, node.info) : undefined;
+	if (result === undefined && visitor.exit) result = visitor.exit(node.tag, node.info);
+	return SNBT._walkApply(node, result);
+};
+SNBT._walkApply = function(node, result) {
+	var parent = node.info.parent,
+	    key = node.info.key;
+	if (result === undefined || result === null || result === SNBT.walk.skip) return true;
+	if (result === SNBT.walk.remove) {
+		if (parent) parent.remove(key);
+		return false;
+	}
+	if (!(result instanceof SNBT.TagBase)) {
+		throw {error: "invalid_type", message: "A walk callback returned " + SNBT._describeJS(result) + " at "
+			+ (node.info.path || "the root") + ", rather than a Tag, SNBT.walk.skip or SNBT.walk.remove"};
+	}
+	if (parent) parent.set(key, result);
+	node.tag = result;
+	return true;
+};
+/**
+ * Build a new tree from a Tag, using the same visitor as SNBT.walk. The Tag itself is left alone.
+ *
+ * @example
+ * // Rename every "Count" key to "count"
+ * var renamed = SNBT.transform(tag, {TAG_Compound: {exit: function(compound) {
+ * 	var result = new SNBT.TagCompound();
+ * 	compound.pairs.forEach(function(pair) {
+ * 		result.add(pair[0].value === "Count" ? "count" : pair[0].value, pair[1]);
+ * 	});
+ * 	return result;
+ * }}});
+ *
+ * @param {TagBase} tag - The root Tag.
+ * @param {Object} visitor - The callbacks, as for SNBT.walk.
+ * @returns {TagBase} - The new root Tag, or null if it was removed.
+ */
+SNBT.transform = function(tag, visitor) {
+	return SNBT.walk(SNBT.clone(tag), visitor);
+};
+
+///////////////////////
+// Schema validation //
+///////////////////////
+
+/**
+ * Check a Tag against a schema, which describes what the game expects.
+ * A schema is either a Tag constructor like SNBT.TagByte, an array holding the schema of a list's elements, or an
+ * object with any of these:
+ * - type:       The Tag constructor expected.
+ * - keys:       For compounds, the schema of each known key.
+ * - required:   For compounds, an array of keys that must be there.
+ * - additional: For compounds, what to do with unknown keys: true to allow them (the default), false to report them,
+ *               or a schema for them. Unknown keys that look like typos of known ones are reported either way.
+ * - elements:   For lists and arrays, the schema of each element.
+ * - min, max:   For numbers, the range of values allowed.
+ * - minLength, maxLength: For lists, arrays and strings, the range of lengths allowed.
+ * - values:     An array of the values allowed, e.g. ["minecraft:stone", "minecraft:dirt"].
+ * - pattern:    For strings, a RegExp they must match.
+ * A few common structures are in SNBT.schemas.
+ * @param {TagBase} tag - The Tag to check.
+ * @param {*} schema - The schema to check it against.
+ *
+ * @param {Object}  [options] - Extra options.
+ * @param {boolean} [options.coerce=false] - Fix Tags with the wrong type, where the value fits the right one, e.g. an
+ *                                           Int where a Byte is expected, or a List of Ints for an Int Array. Numbers
+ *                                           are rounded if they become floats. The Tag is changed in place, so only
+ *                                           the root can't be fixed.
+ *
+ * @returns {Object[]} - The problems found, as {path, severity, code, message, suggestion, fixed}. path is an NBT path
+ *                       ("" for the root). severity is "error", or "warning" for things the game accepts but
+ *                       probably weren't meant, like typos of keys. fixed is true for problems fixed by options.coerce.
+ */
+SNBT.validate = function(tag, schema, options) {
+	var diagnostics = [];
+	SNBT._validate(tag, schema, "", options || {}, diagnostics, null);
+	return diagnostics;
+};
+// Expand the shorthand forms of a schema
+SNBT._schema = function(schema) {
+	if (typeof schema === "function") return {type: schema};
+	if (Array.isArray(schema)) return {type: SNBT.TagList, elements: schema[0]};
+	if (!schema || typeof schema !== "object") throw {error: "invalid_schema", message: "Invalid schema: " + schema};
+	return schema;
+};
+SNBT._validate = function(tag, schema, path, options, diagnostics, replace) {
+	var i, key, length;
+	schema = SNBT._schema(schema);
+	function report(severity, code, message, suggestion, fixed, at) {
+		var diagnostic = {path: at == null ? path : at, severity: severity, code: code, message: message};
+		if (suggestion) diagnostic.suggestion = suggestion;
+		if (fixed) diagnostic.fixed = true;
+		diagnostics.push(diagnostic);
+	}
+	
+	if (schema.type && tag.constructor !== schema.type) {
+		var coerced = options.coerce && replace ? SNBT._coerce(tag, schema.type) : null,
+		    message = "Expected " + schema.type.prototype.tagName + " but got " + tag.tagName;
+		if (!coerced) {
+			report("error", "wrong_type", message);
+			return;
+		}
+		report("error", "wrong_type", message, "Changed to " + SNBT.stringify(coerced, "", {deflate: true}), true);
+		replace(coerced);
+		tag = coerced;
+	}
+	
+	if (tag instanceof SNBT.TagNumberBase) {
+		if (schema.min != null && tag.value < schema.min) report("error", "out_of_range", "Must be at least " + schema.min);
+		if (schema.max != null && tag.value > schema.max) report("error", "out_of_range", "Must be at most " + schema.max);
+	}
+	length = tag instanceof SNBT.TagList ? tag.list.length : tag.constructor === SNBT.TagString ? tag.value.length : null;
+	if (length !== null) {
+		if (schema.minLength != null && length < schema.minLength) {
+			report("error", "too_short", "Must have a length of at least " + schema.minLength);
+		}
+		if (schema.maxLength != null && length > schema.maxLength) {
+			report("error", "too_long", "Must have a length of at most " + schema.maxLength);
+		}
+	}
+	// Loose comparison, so that longs' BigInts can be listed as numbers
+	if (schema.values && !schema.values.some(function(allowed) { return allowed == tag.value; })) {
+		report("error", "invalid_value", "Must be one of " + schema.values.join(", "));
+	}
+	if (schema.pattern && tag.constructor === SNBT.TagString && !schema.pattern.test(tag.value)) {
+		report("error", "invalid_value", "Must match " + schema.pattern);
+	}
+	
+	if (tag.constructor === SNBT.TagCompound) {
+		var keys = schema.keys || {},
+		    known = Object.keys(keys).concat(schema.required || []);
+		if (schema.required) for (i = 0; i < schema.required.length; ++i) {
+			key = schema.required[i];
+			if (!SNBT._hasOwn(tag.map, key)) {
+				report("error", "missing_key", "Missing required key " + SNBT.NbtPath.quoteKey(key), null, false,
+					SNBT._childPath(path, key));
+			}
+		}
+		// Copy the pairs, since coercing replaces Tags
+		tag.pairs.slice().forEach(function(pair) {
+			var key = pair[0].value,
+			    childPath = SNBT._childPath(path, key),
+			    childSchema = Object.prototype.hasOwnProperty.call(keys, key) ? keys[key] :
+			    	typeof schema.additional === "object" ? schema.additional : null;
+			function replaceChild(value) {
+				tag.set(key, value);
+			}
+			if (childSchema) return SNBT._validate(pair[1], childSchema, childPath, options, diagnostics, replaceChild);
+			if (known.indexOf(key) >= 0) return; // Required, but any type
+			var similar = SNBT._similarKey(key, known);
+			if (schema.additional === false || similar) {
+				report(schema.additional === false ? "error" : "warning", "unknown_key",
+					"Unknown key " + SNBT.NbtPath.quoteKey(key),
+					similar && "Did you mean " + SNBT.NbtPath.quoteKey(similar) + "?", false, childPath);
+			}
+		});
+	} else if (tag instanceof SNBT.TagList && schema.elements) {
+		// A list's elements can only be coerced if they all can, or it would end up with mixed types
+		var elementType = SNBT._schema(schema.elements).type,
+		    canReplace = tag.constructor === SNBT.TagList && (tag.mixed || !elementType || tag.list.every(function(element) {
+		    	return element.constructor === elementType || SNBT._coerce(element, elementType);
+		    }));
+		for (i = 0; i < tag.list.length; ++i) {
+			SNBT._validate(tag.list[i], schema.elements, path + "[" + i + "]", options, diagnostics, canReplace ? function(value) {
+				tag.list[i] = value;
+			} : null);
+		}
+		// Coercing every element changes the type of the list
+		if (tag.constructor === SNBT.TagList && !tag.mixed && tag.list.length) {
+			var type = tag.list[0].constructor;
+			if (tag.list.every(function(element) { return element.constructor === type; })) tag.type = type;
+		}
+	}
+};
+/**
+ * Convert a Tag to another type, if nothing would be lost.
+ * @param {TagBase} tag - The Tag to convert.
+ * @param {Function} type - The Tag constructor to convert it to.
+ * @returns {TagBase} - The new Tag, or null if it can't be converted.
+ */
+SNBT._coerce = function(tag, type) {
+	var result, i, element;
+	try {
+		if (tag instanceof SNBT.TagNumberBase && type.prototype instanceof SNBT.TagNumberBase) {
+			// Whole number types throw if the value isn't whole or is out of range, and floats throw on overflow
+			if (type === SNBT.TagLong) return new SNBT.TagLong(tag.value);
+			if (type === SNBT.TagFloat || type === SNBT.TagDouble) return new type(Number(tag.value), true);
+			return new type(Number(tag.value));
+		}
+		if (tag instanceof SNBT.TagList && (type === SNBT.TagList || type.prototype instanceof SNBT.TagList)) {
+			result = new type();
+			for (i = 0; i < tag.list.length; ++i) {
+				element = tag.list[i];
+				if (result.type && element.constructor !== result.type) element = SNBT._coerce(element, result.type);
+				if (!element) return null;
+				result.push(element);
+			}
+			return result;
+		}
+	} catch (e) {
+		// Out of range, or not a whole number
+	}
+	return null;
+};
+/**
+ * Schemas for SNBT.validate, for the parts of common structures that don't change much between versions.
+ * They allow unknown keys, so they can be extended, e.g.
+ * {type: SNBT.TagCompound, keys: Object.assign({Health: SNBT.TagFloat}, SNBT.schemas.entity.keys)}.
+ * Keys whose types have changed between versions accept any type, but are still known, for catching typos.
+ * - entity:      Keys that every entity has.
+ * - item:        An item stack, from 1.20.5 on (with count and components).
+ * - legacyItem:  An item stack, before 1.20.5 (with Count and tag).
+ * - blockEntity: Keys that every block entity has.
+ */
+SNBT.schemas = (function() {
+	var bool = {type: SNBT.TagByte, min: 0, max: 1},
+	    any = {},
+	    entity = {type: SNBT.TagCompound};
+	entity.keys = {
+		id: SNBT.TagString,
+		Pos: {type: SNBT.TagList, elements: SNBT.TagDouble, minLength: 3, maxLength: 3},
+		Motion: {type: SNBT.TagList, elements: SNBT.TagDouble, minLength: 3, maxLength: 3},
+		Rotation: {type: SNBT.TagList, elements: SNBT.TagFloat, minLength: 2, maxLength: 2},
+		UUID: {type: SNBT.TagArrayInt, minLength: 4, maxLength: 4},
+		CustomName: any,
+		CustomNameVisible: bool,
+		NoGravity: bool,
+		Silent: bool,
+		Invulnerable: bool,
+		Glowing: bool,
+		OnGround: bool,
+		HasVisualFire: bool,
+		Fire: SNBT.TagShort,
+		Air: SNBT.TagShort,
+		FallDistance: any,
+		PortalCooldown: SNBT.TagInteger,
+		TicksFrozen: SNBT.TagInteger,
+		Tags: [SNBT.TagString],
+		Passengers: [entity],
+	};
+	return {
+		entity: entity,
+		item: {
+			type: SNBT.TagCompound,
+			keys: {
+				id: SNBT.TagString,
+				count: {type: SNBT.TagInteger, min: 1},
+				components: SNBT.TagCompound,
+				Slot: SNBT.TagByte,
+			},
+			required: ["id"],
+		},
+		legacyItem: {
+			type: SNBT.TagCompound,
+			keys: {
+				id: SNBT.TagString,
+				Count: {type: SNBT.TagByte, min: 0},
+				Damage: SNBT.TagShort,
+				tag: SNBT.TagCompound,
+				Slot: SNBT.TagByte,
+			},
+			required: ["id", "Count"],
+		},
+		blockEntity: {
+			type: SNBT.TagCompound,
+			keys: {
+				id: SNBT.TagString,
+				x: SNBT.TagInteger,
+				y: SNBT.TagInteger,
+				z: SNBT.TagInteger,
+				keepPacked: bool,
+				CustomName: any,
+			},
+		},
+	};
+})();
+// Find a known key that's probably what was meant by an unknown one
+SNBT._similarKey = function(key, known) {
+	var lower = key.toLowerCase(), best = null, bestDistance = 3;
+	for (var i = 0; i < known.length; ++i) {
+		var distance = SNBT._editDistance(lower, known[i].toLowerCase());
+		if (distance < bestDistance && distance <= known[i].length / 3) {
+			best = known[i];
+			bestDistance = distance;
+		}
+	}
+	return best;
+};
+SNBT._editDistance = function(a, b) {
+	var previous = [], current, i, j;
+	for (j = 0; j <= b.length; ++j) previous[j] = j;
+	for (i = 1; i <= a.length; ++i) {
+		current = [i];
+		for (j = 1; j <= b.length; ++j) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+/////////////////////////
+// Syntax highlighting //
+/////////////////////////
+
+/**
+ * Split SNBT into tokens, for syntax highlighting. This never fails: it works on invalid and unfinished SNBT too,
+ * and anything it doesn't recognize becomes an 'invalid' token.
+ * @param {string} value - The SNBT to split.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {string} [options.dialect="legacy"] - 'legacy' or 'modern', as for SNBT.parse.
+ *
+ * @returns {Object[]} - The tokens, which cover the whole string, as {type, text, start, end}. The types are:
+ * - bracket:     '{', '}', '[' or ']'. tagType is the compound, list or array it belongs to, if known.
+ * - arrayPrefix: 'B;', 'I;' or 'L;'. tagType is the array's type.
+ * - colon, comma, whitespace
+ * - key:         A compound key, quoted or not.
+ * - string:      A string value, quoted or not.
+ * - number:      A number. tagType is its type, like SNBT.TagByte, and suffix is the suffix it was written with.
+ * - operation:   The name of a modern operation, like 'bool'.
+ * - paren:       The '(' or ')' around an operation's argument.
+ * - invalid:     Anything else.
+ */
+SNBT.tokenize = function(value, options) {
+	return SNBT._Parser.tokenize(value, options || {});
+};
+/**
+ * Add syntax highlighting to SNBT, for a terminal or a web page.
+ * @param {TagBase|string} value - A Tag, which is printed first, or some SNBT, which is highlighted as it is.
+ * @param {string} [space="\t"] - The string to use for indentation, as for SNBT.stringify.
+ *
+ * @param {Object} [options] - Extra options. All the options for SNBT.stringify can be used.
+ * @param {string} [options.format="ansi"] - 'ansi' for terminal escape codes, or 'html' for escaped text in
+ *                                           <span class="snbt-..."> elements.
+ * @param {Object} [options.colors]        - ANSI SGR codes to use instead of those in SNBT.highlightColors.
+ *
+ * @returns {string}
+ */
+SNBT.highlight = function(value, space, options) {
+	options = options || {};
+	var text = typeof value === "string" ? value : SNBT.stringify(value, space, options),
+		tokens = SNBT.tokenize(text, options),
+		html = options.format === "html",
+		colors = options.colors || {},
+		out = "";
+	if (!html && options.format != null && options.format !== "ansi") {
+		throw {error: "invalid_option", message: "Unknown highlighting format '" + options.format + "', expected 'ansi' or 'html'"};
+	}
+	tokens.forEach(function(token) {
+		var classes = SNBT._highlightClasses(token), code;
+		if (html) {
+			text = SNBT._escapeHTML(token.text);
+			out += classes.length ? '<span class="snbt-' + classes.join(" snbt-") + '">' + text + "</span>" : text;
+			return;
+		}
+		// The most specific class with a color wins
+		for (var i = classes.length - 1; i >= 0 && code == null; --i) {
+			code = colors.hasOwnProperty(classes[i]) ? colors[classes[i]] : SNBT.highlightColors[classes[i]];
+		}
+		out += code ? "\x1B[" + code + "m" + token.text + "\x1B[0m" : token.text;
+	});
+	return out;
+};
+/**
+ * The ANSI SGR codes that SNBT.highlight uses, by class. A token's type is its first class; numbers, brackets and
+ * array prefixes also have the class of their Tag type, like 'byte' or 'int-array'.
+ */
+SNBT.highlightColors = {
+	"key":         "36",
+	"string":      "32",
+	"number":      "33",
+	"float":       "35",
+	"double":      "35",
+	"arrayPrefix": "34",
+	"operation":   "34",
+	"invalid":     "31;4",
+};
+// The classes of a token, from least to most specific
+SNBT._highlightClasses = function(token) {
+	if (token.type === "whitespace") return [];
+	var classes = [token.type];
+	if (token.tagType && token.type !== "key" && token.type !== "string") {
+		classes.push(token.tagType.prototype.tagName.replace(/^TAG_/, "").replace(/_/g, "-").toLowerCase());
+	}
+	return classes;
+};
+SNBT._escapeHTML = function(text) {
+	return text.replace(/[&<>"']/g, function(c) {
+		return "&#" + c.charCodeAt(0) + ";";
+	});
+};
+
+/////////////////////////////
+// Plain JavaScript values //
+/////////////////////////////
+
+/**
+ * Convert a Tag to plain JavaScript values.
+ * Compounds become objects, lists become arrays, and arrays become Int8Array, Int32Array or BigInt64Array.
+ * Longs become BigInts, and all other numbers become numbers.
+ * Use SNBT.hintsFor to remember the exact Tag types, for converting back with SNBT.fromJS.
+ * @param {TagBase} tag - The Tag to convert.
+ * @returns {*}
+ */
+SNBT.toJS = function(tag) {
+	var result, list, i;
+	switch (tag.constructor) {
+	case SNBT.TagString:
+		return tag.value;
+	case SNBT.TagByte:
+	case SNBT.TagShort:
+	case SNBT.TagInteger:
+	case SNBT.TagFloat:
+	case SNBT.TagDouble:
+		return +tag.value;
+	case SNBT.TagLong:
+		return tag.value;
+	case SNBT.TagCompound:
+		result = {};
+		list = tag.pairs;
+		for (i = 0; i < list.length; ++i) {
+			SNBT._setOwn(result, list[i][0].value, SNBT.toJS(list[i][1]));
+		}
+		return result;
+	case SNBT.TagList:
+		return tag.list.map(SNBT.toJS);
+	case SNBT.TagArrayByte:
+		return Int8Array.from(tag.list, SNBT.toJS);
+	case SNBT.TagArrayInt:
+		return Int32Array.from(tag.list, SNBT.toJS);
+	case SNBT.TagArrayLong:
+		if (typeof BigInt64Array === "undefined") return tag.list.map(SNBT.toJS);
+		return BigInt64Array.from(tag.list, SNBT.toJS);
+	}
+	throw {error: "invalid_type", message: "Not a Tag: " + tag};
+};
+/**
+ * Convert plain JavaScript values to a Tag.
+ *
+ * Without hints, strings become TagStrings, booleans become TagBytes, BigInts become TagLongs, and other
+ * numbers become TagIntegers if they're whole and fit, or TagDoubles if not. Arrays become TagLists (of
+ * TagDoubles, if they're numbers that don't all fit in TagIntegers), Int8Arrays and Uint8Arrays become
+ * TagArrayBytes, Int32Arrays become TagArrayInts, and BigInt64Arrays become TagArrayLongs. Plain objects
+ * become TagCompounds, skipping undefined values. Tags are used as-is, and other objects, like Maps, are rejected.
+ * So is NaN, which SNBT can't write.
+ *
+ * Hints describe the Tag types to use instead, mirroring the shape of the value:
+ * - A Tag constructor, like SNBT.TagByte or SNBT.TagArrayInt, converts to that type.
+ * - An object gives the hints for each key of a TagCompound.
+ * - An array containing one hint gives the hint for every element of a TagList.
+ *
+ * @example
+ * SNBT.fromJS({id: "minecraft:stone", Count: 1}, {Count: SNBT.TagByte})
+ *
+ * @param {*} value - The value to convert.
+ * @param {Function|Object|Array} [hints] - The Tag types to use.
+ * @returns {TagBase}
+ */
+SNBT.fromJS = function(value, hints) {
+	return SNBT._fromJS(value, hints, "");
+};
+/**
+ * Describe the Tag types in a Tag, in the hint format used by SNBT.fromJS.
+ * The elements of a list share a single hint, so compounds in the same list have their hints merged.
+ * @param {TagBase} tag - The Tag to describe.
+ * @returns {Function|Object|Array}
+ */
+SNBT.hintsFor = function(tag) {
+	var hints, list, i;
+	switch (tag.constructor) {
+	case SNBT.TagCompound:
+		hints = {};
+		list = tag.pairs;
+		for (i = 0; i < list.length; ++i) {
+			SNBT._setOwn(hints, list[i][0].value, SNBT.hintsFor(list[i][1]));
+		}
+		return hints;
+	case SNBT.TagList:
+		if (!tag.type) return SNBT.TagList;
+		if (tag.type !== SNBT.TagCompound && tag.type !== SNBT.TagList) return [tag.type];
+		hints = tag.type === SNBT.TagCompound ? {} : SNBT.TagList;
+		for (i = 0; i < tag.list.length; ++i) {
+			hints = SNBT._mergeHints(hints, SNBT.hintsFor(tag.list[i]));
+		}
+		return [hints];
+	}
+	return tag.constructor;
+};
+SNBT._mergeHints = function(a, b) {
+	if (Array.isArray(a) && Array.isArray(b)) return [SNBT._mergeHints(a[0], b[0])];
+	if (a === SNBT.TagList && Array.isArray(b)) return b;
+	if (Array.isArray(a) && b === SNBT.TagList) return a;
+	if (typeof a !== "object" || typeof b !== "object") return b;
+	for (var key in b) {
+		SNBT._setOwn(a, key, SNBT._hasOwn(a, key) ? SNBT._mergeHints(a[key], b[key]) : b[key]);
+	}
+	return a;
+};
+// Check for a property, ignoring inherited ones
+SNBT._hasOwn = function(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key);
+};
+// Get a property, or undefined if it's inherited
+SNBT._getOwn = function(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+};
+// Set a property, even if it's called "__proto__"
+SNBT._setOwn = function(object, key, value) {
+	if (key === "__proto__") {
+		Object.defineProperty(object, key, {value: value, writable: true, enumerable: true, configurable: true});
+	} else {
+		object[key] = value;
+	}
+};
+SNBT._fromJS = function(value, hints, path) {
+	var type = typeof value, tag, i, key;
+	
+	function fail(expected) {
+		throw {error: "invalid_type", message: "Expected " + expected + " but got " + SNBT._describeJS(value) +
+			(path ? " at " + path : "")};
+	}
+	// Number Tags throw errors without a message, so say what was wrong and where
+	function make(type, value) {
+		try {
+			return new type(value);
+		} catch (e) {
+			e.message = (e.message || value + " is out of range for a " + type.prototype.tagName) + (path ? " at " + path : "");
+			throw e;
+		}
+	}
+	
+	if (value instanceof SNBT.TagBase) {
+		if (typeof hints === "function" && value.constructor !== hints) fail(hints.prototype.tagName);
+		return value;
+	}
+	
+	if (Array.isArray(hints)) {
+		if (!Array.isArray(value)) fail("an array");
+		tag = new SNBT.TagList();
+		for (i = 0; i < value.length; ++i) {
+			tag.push(SNBT._fromJS(value[i], hints[0], path + "[" + i + "]"));
+		}
+		return tag;
+	}
+	if (hints && typeof hints === "object") {
+		if (!SNBT._isPlainObject(value)) fail("an object");
+		tag = new SNBT.TagCompound();
+		for (key in value) {
+			if (value[key] === undefined) continue;
+			tag.add(key, SNBT._fromJS(value[key], Object.prototype.hasOwnProperty.call(hints, key) ? hints[key] : null,
+				(path ? path + "." : "") + SNBT.NbtPath.quoteKey(key)));
+		}
+		return tag;
+	}
+	
+	switch (hints) {
+	case SNBT.TagByte:
+	case SNBT.TagShort:
+	case SNBT.TagInteger:
+	case SNBT.TagFloat:
+	case SNBT.TagDouble:
+		if (type === "boolean") return new hints(+value);
+		if (type !== "number" && type !== "bigint") fail("a number");
+		value = Number(value);
+		if (value !== value) fail("a number other than NaN");
+		if (!hints.prototype.overflowLiteral && Math.floor(value) !== value) fail("an integer");
+		return make(hints, value);
+	case SNBT.TagLong:
+		if (type === "number" ? Math.floor(value) !== value : type !== "bigint" && type !== "string") fail("an integer");
+		return make(SNBT.TagLong, value);
+	case SNBT.TagString:
+		if (type !== "string") fail("a string");
+		return new SNBT.TagString(value);
+	case SNBT.TagArrayByte:
+	case SNBT.TagArrayInt:
+	case SNBT.TagArrayLong:
+		if (!Array.isArray(value) && !ArrayBuffer.isView(value)) fail("an array");
+		tag = new hints();
+		for (i = 0; i < value.length; ++i) {
+			// Bytes are signed in NBT, so 200 in a Uint8Array is -56
+			tag.push(SNBT._fromJS(value instanceof Uint8Array ? value[i] << 24 >> 24 : value[i], tag.type, path + "[" + i + "]"));
+		}
+		return tag;
+	case SNBT.TagList:
+		if (!Array.isArray(value)) fail("an array");
+		return SNBT._fromJS(value, null, path);
+	case SNBT.TagCompound:
+		return SNBT._fromJS(value, {}, path);
+	case null:
+	case undefined:
+		break;
+	default:
+		throw {error: "invalid_hint", message: "Invalid type hint" + (path ? " at " + path : "")};
+	}
+	
+	switch (type) {
+	case "string":
+		return new SNBT.TagString(value);
+	case "boolean":
+		return new SNBT.TagByte(+value);
+	case "bigint":
+		return new SNBT.TagLong(value);
+	case "number":
+		if (value !== value) fail("a number other than NaN");
+		if (value === (value | 0)) return new SNBT.TagInteger(value);
+		return new SNBT.TagDouble(value);
+	}
+	if (value instanceof Int8Array || value instanceof Uint8Array) return SNBT._fromJS(value, SNBT.TagArrayByte, path);
+	if (value instanceof Int32Array) return SNBT._fromJS(value, SNBT.TagArrayInt, path);
+	if (typeof BigInt64Array !== "undefined" && value instanceof BigInt64Array) {
+		return SNBT._fromJS(value, SNBT.TagArrayLong, path);
+	}
+	if (Array.isArray(value)) {
+		// Numbers that don't all fit in a TagInteger are all TagDoubles
+		var doubles = value.some(function(e) { return typeof e === "number" && e !== (e | 0); })
+			&& value.every(function(e) { return typeof e === "number"; });
+		return SNBT._fromJS(value, [doubles ? SNBT.TagDouble : null], path);
+	}
+	if (SNBT._isPlainObject(value)) return SNBT._fromJS(value, {}, path);
+	fail("a value that can be converted to a Tag");
+};
+// Only plain objects become compounds, so Maps, Dates and the like aren't silently emptied
+SNBT._isPlainObject = function(value) {
+	if (!value || typeof value !== "object") return false;
+	var prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+};
+SNBT._describeJS = function(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "an array";
+	if (value instanceof SNBT.TagBase) return "a " + value.tagName;
+	if (typeof value !== "object" || !value.constructor || value.constructor === Object) return "a " + typeof value;
+	return "a " + value.constructor.name;
+};
+
+///////////
+// UUIDs //
+///////////
+
+/**
+ * Convert a UUID string into the int array that holds it in NBT from 1.16 on.
+ * @param {string} uuid - Five hyphen-separated groups of hex digits, as accepted by Java's UUID.fromString.
+ * @returns {TagArrayInt}
+ */
+SNBT.uuidToInts = function(uuid) {
+	var array = SNBT._Parser.parseUUID(uuid);
+	if (!array) throw {error: "invalid_uuid", message: "Invalid UUID '" + uuid + "'"};
+	return array;
+};
+/**
+ * Convert an int array holding a UUID into its string form.
+ * @param {TagArrayInt} tag - The four ints, most significant first.
+ * @returns {string} - The UUID, like 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6'.
+ */
+SNBT.uuidFromInts = function(tag) {
+	if (!(tag instanceof SNBT.TagList) || tag.list.length !== 4 || tag.list.some(function(element) {
+		return element.constructor !== SNBT.TagInteger;
+	})) {
+		throw {error: "invalid_uuid", message: "A UUID must be four ints"};
+	}
+	return SNBT._uuidString(tag.list.map(function(element) { return element.value; }));
+};
+/**
+ * Convert a UUID string into the pair of longs that held it in NBT before 1.16, as in UUIDMost and UUIDLeast.
+ * @param {string} uuid - Five hyphen-separated groups of hex digits, as accepted by Java's UUID.fromString.
+ * @returns {Object} - The two halves, as {most, least} TagLongs.
+ */
+SNBT.uuidToLongs = function(uuid) {
+	var ints = SNBT.uuidToInts(uuid).list;
+	return {
+		most: new SNBT.TagLong(SNBT._wordsToLong(ints[0].value, ints[1].value)),
+		least: new SNBT.TagLong(SNBT._wordsToLong(ints[2].value, ints[3].value)),
+	};
+};
+/**
+ * Convert a pair of longs holding a UUID into its string form.
+ * @param {TagLong|bigint} most - The most significant half.
+ * @param {TagLong|bigint} least - The least significant half.
+ * @returns {string} - The UUID, like 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6'.
+ */
+SNBT.uuidFromLongs = function(most, least) {
+	if (most instanceof SNBT.TagBase) most = most.value;
+	if (least instanceof SNBT.TagBase) least = least.value;
+	return SNBT._uuidString(SNBT._longToWords(most).concat(SNBT._longToWords(least)));
+};
+// Format four 32-bit words as a UUID
+SNBT._uuidString = function(words) {
+	var hex = words.map(function(word) {
+		return ("0000000" + (word >>> 0).toString(16)).slice(-8);
+	}).join("");
+	return hex.substring(0, 8) + "-" + hex.substring(8, 12) + "-" + hex.substring(12, 16) + "-"
+		+ hex.substring(16, 20) + "-" + hex.substring(20);
+};
+SNBT._uuidRE = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+/**
+ * Find every UUID in a Tag, and change the ones the rewrite function asks to. UUIDs are found in three forms:
+ * - "ints":   An int array of length 4, as in UUID:[I;1,2,3,4]. This is also found in lists, as in Trusted.
+ * - "longs":  A pair of longs, as in UUIDMost:1L and UUIDLeast:2L. The key is the part before Most and Least.
+ * - "string": A string in the form 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6', as in OwnerUUID. This is also found in lists.
+ *
+ * @example
+ * // Upgrade pre-1.16 UUIDs, like UUIDMost/UUIDLeast and OwnerUUID, to int arrays
+ * SNBT.rewriteUUIDs(entity, function(uuid, found) {
+ * 	if (found.form === "longs") return {form: "ints", key: found.key || "UUID"};
+ * 	if (found.key === "OwnerUUID") return {form: "ints", key: "Owner"};
+ * });
+ *
+ * @param {TagCompound} tag - The Tag to search. It's changed in place.
+ * @param {Function} rewrite - A function(uuid, found) called with each UUID, as a lowercase string. found describes
+ *                             where it is, as {form, key, parent, path}: key is the compound key or list index, parent
+ *                             is the compound or list holding it, and path is the path to the parent. The function can
+ *                             return nothing to leave the UUID alone, a string to change the UUID, or {uuid, form, key}
+ *                             to store it in a different form or under a different key. UUIDs in lists can't change form.
+ *
+ * @param {Object}   [options] - Extra options.
+ * @param {string[]} [options.forms=["ints", "longs", "string"]] - Which forms to look for.
+ *
+ * @returns {number} - How many UUIDs were changed.
+ */
+SNBT.rewriteUUIDs = function(tag, rewrite, options) {
+	options = options || {};
+	var forms = options.forms || ["ints", "longs", "string"],
+	    stack = [{tag: tag, path: ""}],
+	    count = 0,
+	    frame, found, match, key, i;
+	function find(value, key, parent, path) {
+		if (forms.indexOf("ints") >= 0 && value.constructor === SNBT.TagArrayInt && value.list.length === 4) {
+			return {uuid: SNBT.uuidFromInts(value), form: "ints", key: key, parent: parent, path: path};
+		}
+		if (forms.indexOf("string") >= 0 && value.constructor === SNBT.TagString && SNBT._uuidRE.test(value.value)) {
+			return {uuid: value.value.toLowerCase(), form: "string", key: key, parent: parent, path: path};
+		}
+		return null;
+	}
+	
+	while (stack.length) {
+		frame = stack.pop();
+		found = [];
+		if (frame.tag.constructor === SNBT.TagCompound) {
+			var map = frame.tag.map;
+			for (i = 0; i < frame.tag.pairs.length; ++i) {
+				key = frame.tag.pairs[i][0].value;
+				if (forms.indexOf("longs") >= 0 && /Most$/.test(key)) {
+					var prefix = key.slice(0, -4);
+					if (map[key].constructor === SNBT.TagLong && map[prefix + "Least"]
+							&& map[prefix + "Least"].constructor === SNBT.TagLong) {
+						found.push({uuid: SNBT.uuidFromLongs(map[key], map[prefix + "Least"]), form: "longs",
+							key: prefix, parent: frame.tag, path: frame.path});
+						continue;
+					}
+				}
+				match = find(map[key], key, frame.tag, frame.path);
+				if (match) found.push(match);
+			}
+		} else if (frame.tag instanceof SNBT.TagList && !frame.tag.arrayPrefix) {
+			for (i = 0; i < frame.tag.list.length; ++i) {
+				match = find(frame.tag.list[i], i, frame.tag, frame.path);
+				if (match) found.push(match);
+			}
+		}
+		for (i = 0; i < found.length; ++i) {
+			if (SNBT._rewriteUUID(found[i], rewrite(found[i].uuid, found[i]))) ++count;
+		}
+		
+		if (frame.tag.constructor === SNBT.TagCompound) {
+			for (i = frame.tag.pairs.length - 1; i >= 0; --i) {
+				stack.push({tag: frame.tag.pairs[i][1], path: SNBT._childPath(frame.path, frame.tag.pairs[i][0].value)});
+			}
+		} else if (frame.tag instanceof SNBT.TagList && !frame.tag.arrayPrefix) {
+			for (i = frame.tag.list.length - 1; i >= 0; --i) {
+				stack.push({tag: frame.tag.list[i], path: frame.path + "[" + i + "]"});
+			}
+		}
+	}
+	return count;
+};
+SNBT._rewriteUUID = function(found, result) {
+	if (result == null) return false;
+	if (typeof result === "string") result = {uuid: result};
+	var uuid = result.uuid || found.uuid,
+	    form = result.form || found.form,
+	    key = result.key != null ? result.key : found.key,
+	    parent = found.parent,
+	    longs;
+	if (form !== "ints" && form !== "longs" && form !== "string") {
+		throw {error: "invalid_option", message: "Unknown UUID form '" + form + "', expected 'ints', 'longs' or 'string'"};
+	}
+	
+	if (parent instanceof SNBT.TagList) {
+		if (form !== found.form || key !== found.key) {
+			throw {error: "invalid_option", message: "UUIDs in lists can't change form or key, at " + (found.path || "the root")};
+		}
+		parent.set(key, form === "ints" ? SNBT.uuidToInts(uuid) : new SNBT.TagString(SNBT._normalizeUUID(uuid)));
+		return true;
+	}
+	if (form !== found.form || key !== found.key) {
+		if (found.form === "longs") {
+			parent.remove(found.key + "Most");
+			parent.remove(found.key + "Least");
+		} else {
+			parent.remove(found.key);
+		}
+	}
+	switch (form) {
+	case "ints":
+		parent.set(key, SNBT.uuidToInts(uuid));
+		break;
+	case "longs":
+		longs = SNBT.uuidToLongs(uuid);
+		parent.set(key + "Most", longs.most);
+		parent.set(key + "Least", longs.least);
+		break;
+	case "string":
+		parent.set(key, new SNBT.TagString(SNBT._normalizeUUID(uuid)));
+		break;
+	}
+	return true;
+};
+// Write a UUID string in full, in lowercase, checking that it's valid
+SNBT._normalizeUUID = function(uuid) {
+	return SNBT.uuidFromInts(SNBT.uuidToInts(uuid));
+};
+
+////////////////////////
+// Packed long arrays //
+////////////////////////
+
+/**
+ * A view of the numbers packed into a TagArrayLong, like a chunk section's block states or a heightmap.
+ * Each number takes up the same number of bits, starting from the lowest bits of the first long.
+ * Before Minecraft 1.16, numbers could span two longs. From 1.16 on, each long is padded so they don't.
+ * Changes made through the view are written to the TagArrayLong straight away, but changes made to the
+ * TagArrayLong some other way aren't seen by the view.
+ * @constructor
+ * @param {TagArrayLong} tag - The packed longs.
+ * @param {number} bits - How many bits each number takes up, from 1 to 32.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {number} [options.length]       - How many numbers there are. Defaults to as many as fit.
+ * @param {boolean} [options.padded=true] - Use the 1.16+ packing, where numbers don't span longs.
+ */
+SNBT.PackedArray = function(tag, bits, options) {
+	options = options || {};
+	SNBT.PackedArray._checkBits(bits);
+	this.tag = tag;
+	this.bits = bits;
+	this.padded = options.padded !== false;
+	var fits = this.padded
+		? tag.list.length * Math.floor(64 / bits)
+		: Math.floor(tag.list.length * 64 / bits);
+	this.length = options.length == null ? fits : options.length;
+	if (this.length > fits) {
+		throw {error: "invalid_length", message: tag.list.length + " longs can't hold " + this.length + " numbers of " + bits + " bits"};
+	}
+	// Two words per long, low word first, plus one spare so reading past the end of the last word is safe
+	this._words = new Uint32Array(tag.list.length * 2 + 1);
+	for (var i = 0; i < tag.list.length; ++i) {
+		var words = SNBT._longToWords(tag.list[i].value);
+		this._words[i * 2] = words[1];
+		this._words[i * 2 + 1] = words[0];
+	}
+};
+/**
+ * Pack numbers into a new TagArrayLong, which has just enough longs to hold them.
+ * @param {ArrayLike<number>} values - The numbers, such as a Uint32Array.
+ * @param {number} bits - How many bits each number takes up, from 1 to 32.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {boolean} [options.padded=true] - Use the 1.16+ packing, where numbers don't span longs.
+ *
+ * @returns {PackedArray} - A view of the new TagArrayLong, which is its 'tag'.
+ */
+SNBT.PackedArray.from = function(values, bits, options) {
+	options = options || {};
+	var padded = options.padded !== false,
+	    tag = new SNBT.TagArrayLong(),
+	    count = SNBT.PackedArray.longsNeeded(values.length, bits, padded);
+	for (var i = 0; i < count; ++i) {
+		tag.list.push(new SNBT.TagLong(BigInt(0)));
+	}
+	var packed = new SNBT.PackedArray(tag, bits, {length: values.length, padded: padded});
+	packed.setAll(values);
+	return packed;
+};
+/**
+ * Make a view of longs that were already packed, such as a BigInt64Array from SNBT.toJS.
+ * @param {ArrayLike<bigint>} longs - The packed longs.
+ * @param {number} bits - How many bits each number takes up, from 1 to 32.
+ * @param {Object} [options] - The same options as the PackedArray constructor.
+ * @returns {PackedArray} - A view of a new TagArrayLong, which is its 'tag'.
+ */
+SNBT.PackedArray.fromLongs = function(longs, bits, options) {
+	var tag = new SNBT.TagArrayLong();
+	for (var i = 0; i < longs.length; ++i) {
+		tag.list.push(new SNBT.TagLong(longs[i]));
+	}
+	return new SNBT.PackedArray(tag, bits, options);
+};
+/**
+ * Work out how many longs it takes to hold some numbers.
+ * @param {number} length - How many numbers there are.
+ * @param {number} bits - How many bits each number takes up.
+ * @param {boolean} [padded=true] - Use the 1.16+ packing, where numbers don't span longs.
+ * @returns {number}
+ */
+SNBT.PackedArray.longsNeeded = function(length, bits, padded) {
+	SNBT.PackedArray._checkBits(bits);
+	if (padded === false) return Math.ceil(length * bits / 64);
+	return Math.ceil(length / Math.floor(64 / bits));
+};
+/**
+ * Work out how many bits it takes to store indices into a palette.
+ * @param {number} size - How many entries the palette has.
+ * @param {number} [min=1] - The fewest bits to use. The game uses 4 for block states, for example.
+ * @returns {number}
+ */
+SNBT.PackedArray.bitsFor = function(size, min) {
+	return Math.max(min || 1, 32 - Math.clz32(Math.max(size - 1, 0)));
+};
+SNBT.PackedArray._checkBits = function(bits) {
+	if (!(bits >= 1 && bits <= 32 && Math.floor(bits) === bits)) {
+		throw {error: "invalid_option", message: "Bits per number must be a whole number from 1 to 32, not " + bits};
+	}
+};
+// The position of a number's lowest bit, counting from the lowest bit of the first long
+SNBT.PackedArray.prototype._bit = function(index) {
+	if (!this.padded) return index * this.bits;
+	var perLong = Math.floor(64 / this.bits);
+	return Math.floor(index / perLong) * 64 + index % perLong * this.bits;
+};
+SNBT.PackedArray.prototype._checkIndex = function(index) {
+	if (!(index >= 0 && index < this.length && Math.floor(index) === index)) {
+		throw {error: "index_out_of_range", message: "Index " + index + " is out of range for a packed array of length " + this.length};
+	}
+};
+/**
+ * Get a number.
+ * @param {number} index - The index of the number.
+ * @returns {number}
+ */
+SNBT.PackedArray.prototype.get = function(index) {
+	this._checkIndex(index);
+	return this._get(this._bit(index));
+};
+SNBT.PackedArray.prototype._get = function(bit) {
+	var word = bit >>> 5,
+	    offset = bit & 31,
+	    value = this._words[word] >>> offset;
+	if (offset + this.bits > 32) value |= this._words[word + 1] << (32 - offset);
+	if (this.bits < 32) value &= (1 << this.bits) - 1;
+	return value >>> 0;
+};
+/**
+ * Set a number.
+ * @param {number} index - The index of the number.
+ * @param {number} value - The new number. Must fit in the view's bits.
+ */
+SNBT.PackedArray.prototype.set = function(index, value) {
+	this._checkIndex(index);
+	this._checkValue(value);
+	var bit = this._bit(index);
+	this._set(bit, value);
+	this._store(bit >>> 6);
+	if ((bit & 63) + this.bits > 64) this._store((bit >>> 6) + 1);
+};
+SNBT.PackedArray.prototype._checkValue = function(value) {
+	if (!(value >= 0 && Math.floor(value) === value)) {
+		throw {error: "not_an_integer", message: "Packed numbers must be whole and not negative, not " + value};
+	}
+	if (value >= Math.pow(2, this.bits)) {
+		throw {error: "value_too_high", max: Math.pow(2, this.bits) - 1, message: value + " doesn't fit in " + this.bits + " bits"};
+	}
+};
+SNBT.PackedArray.prototype._set = function(bit, value) {
+	var word = bit >>> 5,
+	    offset = bit & 31,
+	    mask = this.bits === 32 ? 0xFFFFFFFF : (1 << this.bits) - 1;
+	this._words[word] = this._words[word] & ~(mask << offset) | value << offset;
+	if (offset + this.bits > 32) {
+		this._words[word + 1] = this._words[word + 1] & ~(mask >>> (32 - offset)) | value >>> (32 - offset);
+	}
+};
+// Write one long back to the Tag
+SNBT.PackedArray.prototype._store = function(index) {
+	this.tag.list[index] = new SNBT.TagLong(SNBT._wordsToLong(this._words[index * 2 + 1], this._words[index * 2]));
+};
+/**
+ * Get every number at once.
+ * @returns {Uint32Array}
+ */
+SNBT.PackedArray.prototype.toArray = function() {
+	var values = new Uint32Array(this.length);
+	for (var i = 0; i < this.length; ++i) {
+		values[i] = this._get(this._bit(i));
+	}
+	return values;
+};
+/**
+ * Set every number at once.
+ * @param {ArrayLike<number>} values - The new numbers, such as a Uint32Array. Must be the same length as the view.
+ */
+SNBT.PackedArray.prototype.setAll = function(values) {
+	if (values.length !== this.length) {
+		throw {error: "invalid_length", message: "Expected " + this.length + " numbers but got " + values.length};
+	}
+	for (var i = 0; i < values.length; ++i) {
+		this._checkValue(values[i]);
+		this._set(this._bit(i), values[i]);
+	}
+	for (i = 0; i < this.tag.list.length; ++i) {
+		this._store(i);
+	}
+};
+/**
+ * Get the packed longs, ready for SNBT.fromJS or a BigInt64Array from somewhere else.
+ * @returns {BigInt64Array}
+ */
+SNBT.PackedArray.prototype.toLongs = function() {
+	return BigInt64Array.from(this.tag.list, function(tag) { return tag.value; });
+};
+/**
+ * Repack the numbers with a different number of bits, such as when a palette grows.
+ * The TagArrayLong gets longer or shorter to fit.
+ * @param {number} bits - How many bits each number should take up, from 1 to 32.
+ */
+SNBT.PackedArray.prototype.resize = function(bits) {
+	var values = this.toArray(),
+	    count = SNBT.PackedArray.longsNeeded(this.length, bits, this.padded);
+	for (var i = 0; i < values.length; ++i) {
+		if (values[i] >= Math.pow(2, bits)) {
+			throw {error: "value_too_high", max: Math.pow(2, bits) - 1, message: values[i] + " doesn't fit in " + bits + " bits"};
+		}
+	}
+	this.bits = bits;
+	this._words = new Uint32Array(count * 2 + 1);
+	this.tag.list.length = count;
+	this.setAll(values);
+};
+
+////////////////
+// Binary NBT //
+////////////////
+
+/**
+ * Read a binary NBT file into a Tag.
+ * @param {ArrayBuffer|Uint8Array|number[]} buffer - The bytes to read. Node Buffers are Uint8Arrays, so they work too.
+ *
+ * @param {Object}  [options] - Extra options.
+ * @param {string}  [options.variant="java"]     - Which codec to use. One of SNBT.binaryVariants.
+ * @param {string}  [options.compression="auto"] - "gzip", "zlib", "none", or "auto" to detect it from the data.
+ * @param {boolean} [options.header=false]       - Skip the 8-byte header that Bedrock level.dat files start with.
+ * @param {boolean} [options.mixedLists=false]   - Read every list as a mixed TagList, unwrapping the {"": value}
+ *                                                 compounds that Minecraft 1.21.5+ uses to store mixed lists.
+ * @param {boolean} [options.named=false]        - Return {name, tag, compression} rather than just the root Tag.
+ *                                                 With options.header, this also includes the header's storageVersion.
+ * @param {number}  [options.maxDepth=512]       - How deeply compounds, lists and arrays may be nested, as in the game.
+ *                                                 Much deeper nesting can overflow the call stack.
+ * @param {number}  [options.maxTags=Infinity]   - How many Tags there may be in total.
+ * @param {number}  [options.maxStringLength=Infinity] - How long strings and keys may be.
+ *                                                 Going over any of these limits throws a binary_error with the code
+ *                                                 'limit_exceeded'. Its limit property is the name of the option, and
+ *                                                 max is its value.
+ *
+ * @returns {TagBase|Object} - The root Tag.
+ */
+SNBT.readBinary = function(buffer, options) {
+	options = options || {};
+	var bytes = SNBT._toBytes(buffer),
+	    variant = SNBT._binaryVariant(options.variant),
+	    compression = options.compression || "auto",
+	    storageVersion, result;
+	if (compression === "auto") compression = SNBT._Compression.detect(bytes);
+	bytes = SNBT._Compression.decompress(bytes, compression);
+	
+	if (options.header) {
+		if (bytes.length < 8) throw {error: "binary_error", message: "Missing level.dat header"};
+		var view = new DataView(bytes.buffer, bytes.byteOffset, 8),
+		    length = view.getUint32(4, true);
+		if (length > bytes.length - 8) throw {error: "binary_error", message: "level.dat header length is longer than the file"};
+		storageVersion = view.getInt32(0, true);
+		bytes = bytes.subarray(8, 8 + length);
+	}
+	
+	result = SNBT._BinaryReader.read(bytes, variant, options);
+	if (!options.named) return result.tag;
+	result.compression = compression;
+	if (options.header) result.storageVersion = storageVersion;
+	return result;
+};
+/**
+ * Convert a Tag to binary NBT.
+ * @param {TagBase} tag - The root Tag.
+ *
+ * @param {Object} [options] - Extra options.
+ * @param {string} [options.name=""]             - The name of the root Tag.
+ * @param {string} [options.variant="java"]      - Which codec to use. One of SNBT.binaryVariants.
+ * @param {string} [options.compression="none"]  - "gzip", "zlib" or "none".
+ * @param {number} [options.storageVersion]      - If given, start with a Bedrock level.dat header holding this version.
+ *
+ * @returns {Uint8Array}
+ */
+SNBT.writeBinary = function(tag, options) {
+	options = options || {};
+	var bytes = SNBT._BinaryWriter.write(tag, options.name || "", SNBT._binaryVariant(options.variant));
+	if (options.storageVersion != null) {
+		var withHeader = new Uint8Array(bytes.length + 8),
+		    view = new DataView(withHeader.buffer);
+		view.setInt32(0, options.storageVersion, true);
+		view.setUint32(4, bytes.length, true);
+		withHeader.set(bytes, 8);
+		bytes = withHeader;
+	}
+	return SNBT._Compression.compress(bytes, options.compression || "none");
+};
+/**
+ * The binary NBT codecs, by name. Each one produces the same Tags; they only differ in how the bytes are laid out.
+ * - java:            Big-endian, with Java's modified UTF-8 strings. Used for Java Edition files and packets.
+ * - bedrock:         Little-endian, with UTF-8 strings. Used for Bedrock Edition files.
+ * - bedrock-network: Like "bedrock", but ints, longs and lengths are zigzag varints. Used in Bedrock Edition packets.
+ */
+SNBT.binaryVariants = {
+	"java":            {littleEndian: false, varints: false, modifiedUTF8: true},
+	"bedrock":         {littleEndian: true,  varints: false, modifiedUTF8: false},
+	"bedrock-network": {littleEndian: true,  varints: true,  modifiedUTF8: false},
+};
+SNBT._binaryVariant = function(name) {
+	var variant = SNBT.binaryVariants[name || "java"];
+	if (!variant) throw {error: "invalid_variant", message: "Unknown binary NBT variant: " + name};
+	return variant;
+};
+SNBT._toBytes = function(buffer) {
+	if (buffer instanceof Uint8Array) return buffer;
+	if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+	if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+	if (Array.isArray(buffer)) return new Uint8Array(buffer);
+	throw {error: "invalid_type", message: "Expected an ArrayBuffer, typed array or array of bytes"};
+};
+/**
+ * Split a TagLong's value into its two's complement 32-bit halves.
+ * @param {bigint} value - The value of a TagLong.
+ * @returns {number[]} - The [high, low] words, as unsigned 32-bit numbers.
+ */
+SNBT._longToWords = function(value) {
+	var bits = BigInt.asUintN(64, BigInt(value));
+	return [Number(bits >> BigInt(32)), Number(bits & BigInt(0xFFFFFFFF))];
+};
+/**
+ * The inverse of SNBT._longToWords.
+ * @param {number} high - The high 32 bits.
+ * @param {number} low - The low 32 bits.
+ * @returns {bigint} - A value suitable for a TagLong.
+ */
+SNBT._wordsToLong = function(high, low) {
+	return BigInt.asIntN(64, BigInt(high >>> 0) << BigInt(32) | BigInt(low >>> 0));
+};
+SNBT._BinaryReader = {
+	/**
+	 * Read an uncompressed binary NBT payload.
+	 * @param {Uint8Array} bytes - The data to read.
+	 * @param {Object} variant - The codec to use, from SNBT.binaryVariants.
+	 * @param {Object} options - Options for mixedLists and the limits, as for SNBT.readBinary.
+	 * @returns {Object} - The root Tag and its name, as {name, tag}.
+	 */
+	read: function(bytes, variant, options) {
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		this.cursor = 0;
+		this.littleEndian = variant.littleEndian;
+		this.varints = variant.varints;
+		this.modifiedUTF8 = variant.modifiedUTF8;
+		this.mixedLists = !!options.mixedLists;
+		SNBT._Parser.setLimits.call(this, options);
+		
+		var id = this.readByte();
+		if (id === 0) throw this.exception("Root tag cannot be TAG_End");
+		var type = this.typeFromID(id),
+		    name = this.readString();
+		return {name: name, tag: this.readPayload(type)};
+	},
+	exception: function(message) {
+		return {error: "binary_error", message: message + " at byte " + this.cursor};
+	},
+	limitExceeded: function(limit, message) {
+		var error = this.exception(message);
+		error.code = "limit_exceeded";
+		error.limit = limit;
+		error.max = this[limit];
+		return error;
+	},
+	need: function(length) {
+		if (this.cursor + length > this.bytes.length) {
+			throw this.exception("Unexpected end of data (needed " + length + " more bytes)");
+		}
+	},
+	typeFromID: function(id) {
+		var type = SNBT.byID[id];
+		if (!type) {
+			--this.cursor;
+			throw this.exception("Unknown tag ID " + id);
+		}
+		return type;
+	},
+	readByte: function() {
+		this.need(1);
+		return this.view.getInt8(this.cursor++);
+	},
+	readShort: function() {
+		this.need(2);
+		var value = this.view.getInt16(this.cursor, this.littleEndian);
+		this.cursor += 2;
+		return value;
+	},
+	readInt: function() {
+		if (this.varints) {
+			var n = this.readVarUint();
+			return (n >>> 1) ^ -(n & 1);
+		}
+		this.need(4);
+		var value = this.view.getInt32(this.cursor, this.littleEndian);
+		this.cursor += 4;
+		return value;
+	},
+	readLong: function() {
+		var high, low;
+		if (this.varints) {
+			var words = this.readVarUint64(),
+			    negative = words[1] & 1;
+			high = words[0] >>> 1;
+			low = (words[1] >>> 1 | words[0] << 31) >>> 0;
+			if (negative) {
+				high = ~high >>> 0;
+				low = ~low >>> 0;
+			}
+			return SNBT._wordsToLong(high, low);
+		}
+		this.need(8);
+		high = this.view.getUint32(this.cursor, this.littleEndian);
+		low = this.view.getUint32(this.cursor + 4, this.littleEndian);
+		if (this.littleEndian) {
+			var swap = high;
+			high = low;
+			low = swap;
+		}
+		this.cursor += 8;
+		return SNBT._wordsToLong(high, low);
+	},
+	readFloat: function() {
+		this.need(4);
+		var value = this.view.getFloat32(this.cursor, this.littleEndian);
+		this.cursor += 4;
+		return value;
+	},
+	readDouble: function() {
+		this.need(8);
+		var value = this.view.getFloat64(this.cursor, this.littleEndian);
+		this.cursor += 8;
+		return value;
+	},
+	readVarUint: function() {
+		var value = 0, shift = 0, b;
+		do {
+			if (shift >= 35) throw this.exception("Varint is too long");
+			this.need(1);
+			b = this.bytes[this.cursor++];
+			value |= (b & 0x7F) << shift;
+			shift += 7;
+		} while (b & 0x80);
+		return value >>> 0;
+	},
+	readVarUint64: function() {
+		var high = 0, low = 0, shift = 0, b;
+		do {
+			if (shift >= 70) throw this.exception("Varint is too long");
+			this.need(1);
+			b = this.bytes[this.cursor++] & 0x7F;
+			if (shift < 28) {
+				low |= b << shift;
+			} else if (shift === 28) {
+				low |= b << 28;
+				high |= b >>> 4;
+			} else {
+				high |= b << (shift - 32);
+			}
+			shift += 7;
+		} while (this.bytes[this.cursor - 1] & 0x80);
+		return [high >>> 0, low >>> 0];
+	},
+	readLength: function() {
+		var length = this.readInt();
+		if (length < 0) throw this.exception("Negative length " + length);
+		return length;
+	},
+	readString: function() {
+		var length;
+		if (this.varints) {
+			length = this.readVarUint();
+		} else {
+			this.need(2);
+			length = this.view.getUint16(this.cursor, this.littleEndian);
+			this.cursor += 2;
+		}
+		this.need(length);
+		var string = (this.modifiedUTF8 ? SNBT._decodeModifiedUTF8 : SNBT._decodeUTF8)(
+			this.bytes, this.cursor, this.cursor + length);
+		if (string == null) throw this.exception("Malformed modified UTF-8 string");
+		if (string.length > this.maxStringLength) {
+			throw this.limitExceeded("maxStringLength", "String is longer than " + this.maxStringLength + " characters");
+		}
+		this.cursor += length;
+		return string;
+	},
+	// Like NbtAccounter, count every Tag, and go no deeper than maxDepth so the recursion can't overflow the stack
+	readPayload: function(type) {
+		if (++this.tagCount > this.maxTags) throw this.limitExceeded("maxTags", "More than " + this.maxTags + " tags");
+		if (type.prototype instanceof SNBT.TagList || type === SNBT.TagList || type === SNBT.TagCompound) {
+			if (this.depth >= this.maxDepth) {
+				throw this.limitExceeded("maxDepth", "Tag is nested more than " + this.maxDepth + " deep");
+			}
+			++this.depth;
+			var tag = this.readContainer(type);
+			--this.depth;
+			return tag;
+		}
+		switch (type) {
+		case SNBT.TagByte:
+			return new SNBT.TagByte(this.readByte());
+		case SNBT.TagShort:
+			return new SNBT.TagShort(this.readShort());
+		case SNBT.TagInteger:
+			return new SNBT.TagInteger(this.readInt());
+		case SNBT.TagLong:
+			return new SNBT.TagLong(this.readLong());
+		case SNBT.TagFloat:
+			return new SNBT.TagFloat(this.readFloat());
+		case SNBT.TagDouble:
+			return new SNBT.TagDouble(this.readDouble());
+		case SNBT.TagString:
+			return new SNBT.TagString(this.readString());
+		}
+	},
+	readContainer: function(type) {
+		var length, i, tag;
+		switch (type) {
+		case SNBT.TagArrayByte:
+		case SNBT.TagArrayInt:
+		case SNBT.TagArrayLong:
+			tag = new type();
+			length = this.readLength();
+			for (i = 0; i < length; ++i) {
+				tag.push(this.readPayload(tag.type));
+			}
+			return tag;
+		case SNBT.TagList:
+			var id = this.readByte();
+			length = this.readLength();
+			if (id === 0) {
+				// Empty lists are usually stored with TAG_End as their type
+				if (length > 0) throw this.exception("Non-empty list of type TAG_End");
+				return new SNBT.TagList(undefined, undefined, this.mixedLists);
+			}
+			var elementType = this.typeFromID(id);
+			tag = new SNBT.TagList(elementType, undefined, this.mixedLists);
+			for (i = 0; i < length; ++i) {
+				var element = this.readPayload(elementType);
+				tag.push(this.mixedLists && SNBT._isListWrapper(element) ? element.pairs[0][1] : element);
+			}
+			return tag;
+		case SNBT.TagCompound:
+			tag = new SNBT.TagCompound();
+			while ((id = this.readByte()) !== 0) {
+				var childType = this.typeFromID(id),
+				    key = this.readString();
+				// Later duplicates win, as they do in-game
+				tag.remove(key);
+				tag.add(key, this.readPayload(childType));
+			}
+			return tag;
+		}
+	},
+};
+SNBT._BinaryWriter = {
+	/**
+	 * Write a Tag as an uncompressed binary NBT payload.
+	 * @param {TagBase} tag - The root Tag.
+	 * @param {string} name - The name of the root Tag.
+	 * @param {Object} variant - The codec to use, from SNBT.binaryVariants.
+	 * @returns {Uint8Array}
+	 */
+	write: function(tag, name, variant) {
+		if (!(tag instanceof SNBT.TagBase)) throw {error: "invalid_type", message: "Expected a Tag"};
+		this.bytes = new Uint8Array(1024);
+		this.view = new DataView(this.bytes.buffer);
+		this.length = 0;
+		this.littleEndian = variant.littleEndian;
+		this.varints = variant.varints;
+		this.modifiedUTF8 = variant.modifiedUTF8;
+		
+		this.writeByte(tag.tagID);
+		this.writeString(name);
+		this.writePayload(tag);
+		return this.bytes.slice(0, this.length);
+	},
+	reserve: function(length) {
+		var needed = this.length + length;
+		if (needed <= this.bytes.length) return;
+		var size = this.bytes.length * 2;
+		while (size < needed) size *= 2;
+		var bytes = new Uint8Array(size);
+		bytes.set(this.bytes.subarray(0, this.length));
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer);
+	},
+	writeByte: function(value) {
+		this.reserve(1);
+		this.view.setInt8(this.length++, value);
+	},
+	writeShort: function(value) {
+		this.reserve(2);
+		this.view.setInt16(this.length, value, this.littleEndian);
+		this.length += 2;
+	},
+	writeInt: function(value) {
+		if (this.varints) return this.writeVarUint((value << 1 ^ value >> 31) >>> 0);
+		this.reserve(4);
+		this.view.setInt32(this.length, value, this.littleEndian);
+		this.length += 4;
+	},
+	writeLong: function(value) {
+		var words = SNBT._longToWords(value),
+		    high = words[0], low = words[1];
+		if (this.varints) {
+			// Zigzag: (value << 1) ^ (value >> 63)
+			var negative = high >= 0x80000000;
+			high = (high << 1 | low >>> 31) >>> 0;
+			low = low << 1 >>> 0;
+			if (negative) {
+				high = ~high >>> 0;
+				low = ~low >>> 0;
+			}
+			while (high || low >= 0x80) {
+				this.writeByte(low & 0x7F | 0x80);
+				low = (low >>> 7 | high << 25) >>> 0;
+				high >>>= 7;
+			}
+			return this.writeByte(low);
+		}
+		this.reserve(8);
+		this.view.setUint32(this.length, this.littleEndian ? low : high, this.littleEndian);
+		this.view.setUint32(this.length + 4, this.littleEndian ? high : low, this.littleEndian);
+		this.length += 8;
+	},
+	writeFloat: function(value) {
+		this.reserve(4);
+		this.view.setFloat32(this.length, +value, this.littleEndian);
+		this.length += 4;
+	},
+	writeDouble: function(value) {
+		this.reserve(8);
+		this.view.setFloat64(this.length, +value, this.littleEndian);
+		this.length += 8;
+	},
+	writeVarUint: function(value) {
+		while (value >= 0x80) {
+			this.writeByte(value & 0x7F | 0x80);
+			value >>>= 7;
+		}
+		this.writeByte(value);
+	},
+	writeString: function(value) {
+		var encoded = (this.modifiedUTF8 ? SNBT._encodeModifiedUTF8 : SNBT._encodeUTF8)(value);
+		if (this.varints) {
+			this.writeVarUint(encoded.length);
+		} else {
+			if (encoded.length > 0xFFFF) {
+				throw {error: "string_too_long", message: "Strings can be at most 65535 bytes long once encoded"};
+			}
+			this.reserve(2);
+			this.view.setUint16(this.length, encoded.length, this.littleEndian);
+			this.length += 2;
+		}
+		this.reserve(encoded.length);
+		this.bytes.set(encoded, this.length);
+		this.length += encoded.length;
+	},
+	writePayload: function(tag) {
+		var list, i;
+		switch (tag.constructor) {
+		case SNBT.TagByte:
+			return this.writeByte(tag.value);
+		case SNBT.TagShort:
+			return this.writeShort(tag.value);
+		case SNBT.TagInteger:
+			return this.writeInt(tag.value);
+		case SNBT.TagLong:
+			return this.writeLong(tag.value);
+		case SNBT.TagFloat:
+			return this.writeFloat(tag.value);
+		case SNBT.TagDouble:
+			return this.writeDouble(tag.value);
+		case SNBT.TagString:
+			return this.writeString(tag.value);
+		case SNBT.TagList:
+			if (tag.mixed) return this.writeMixedList(tag);
+			this.writeByte(tag.type ? tag.type.prototype.tagID : 0);
+			// Fall through
+		case SNBT.TagArrayByte:
+		case SNBT.TagArrayInt:
+		case SNBT.TagArrayLong:
+			list = tag.list;
+			this.writeInt(list.length);
+			for (i = 0; i < list.length; ++i) {
+				this.writePayload(list[i]);
+			}
+			return;
+		case SNBT.TagCompound:
+			list = tag.pairs;
+			for (i = 0; i < list.length; ++i) {
+				this.writeByte(list[i][1].tagID);
+				this.writeString(list[i][0].value);
+				this.writePayload(list[i][1]);
+			}
+			return this.writeByte(0);
+		}
+		throw {error: "invalid_type", message: "Cannot write " + tag + " as NBT"};
+	},
+	/**
+	 * Write a mixed List. If its Tags all have one type, it's written like any other List. Otherwise, it's written as a
+	 * List of compounds, with each Tag that isn't a compound wrapped in {"": value}, the way Minecraft 1.21.5+ does.
+	 * @param {TagList} tag - The List to write.
+	 */
+	writeMixedList: function(tag) {
+		var list = tag.list,
+		    type = SNBT._mixedListType(tag),
+		    i, element, wrapper;
+		if (type !== SNBT.TagCompound && type !== null) {
+			this.writeByte(type ? type.prototype.tagID : 0);
+			this.writeInt(list.length);
+			for (i = 0; i < list.length; ++i) this.writePayload(list[i]);
+			return;
+		}
+		this.writeByte(SNBT.TagCompound.prototype.tagID);
+		this.writeInt(list.length);
+		for (i = 0; i < list.length; ++i) {
+			element = list[i];
+			// Compounds that look like wrappers must be wrapped too, or they'd be unwrapped when read
+			if (element.constructor !== SNBT.TagCompound || SNBT._isListWrapper(element)) {
+				wrapper = new SNBT.TagCompound();
+				wrapper.add("", element);
+				element = wrapper;
+			}
+			this.writePayload(element);
+		}
+	},
+};
+/**
+ * Decode Java's "modified UTF-8", as used by DataInput.readUTF.
+ * @param {Uint8Array} bytes - The data to decode.
+ * @param {number} start - The index of the first byte.
+ * @param {number} end - The index after the last byte.
+ * @returns {string|null} - The string, or null if it was malformed.
+ */
+SNBT._decodeModifiedUTF8 = function(bytes, start, end) {
+	var string = "", codes = [], i = start, a, b, c;
+	while (i < end) {
+		a = bytes[i++];
+		if (a < 0x80) {
+			codes.push(a);
+		} else if ((a & 0xE0) === 0xC0) {
+			if (i >= end || ((b = bytes[i++]) & 0xC0) !== 0x80) return null;
+			codes.push((a & 0x1F) << 6 | (b & 0x3F));
+		} else if ((a & 0xF0) === 0xE0) {
+			if (i + 1 >= end || ((b = bytes[i++]) & 0xC0) !== 0x80 || ((c = bytes[i++]) & 0xC0) !== 0x80) return null;
+			codes.push((a & 0x0F) << 12 | (b & 0x3F) << 6 | (c & 0x3F));
+		} else {
+			return null;
+		}
+		if (codes.length >= 4096) {
+			string += String.fromCharCode.apply(null, codes);
+			codes.length = 0;
+		}
+	}
+	return string + String.fromCharCode.apply(null, codes);
+};
+/**
+ * Encode a string as Java's "modified UTF-8": NUL takes two bytes, and
+ * surrogate pairs are encoded one half at a time.
+ * @param {string} string - The string to encode.
+ * @returns {Uint8Array}
+ */
+SNBT._encodeModifiedUTF8 = function(string) {
+	var bytes = new Uint8Array(string.length * 3), length = 0, i, c;
+	for (i = 0; i < string.length; ++i) {
+		c = string.charCodeAt(i);
+		if (c !== 0 && c < 0x80) {
+			bytes[length++] = c;
+		} else if (c < 0x800) {
+			bytes[length++] = 0xC0 | c >> 6;
+			bytes[length++] = 0x80 | c & 0x3F;
+		} else {
+			bytes[length++] = 0xE0 | c >> 12;
+			bytes[length++] = 0x80 | c >> 6 & 0x3F;
+			bytes[length++] = 0x80 | c & 0x3F;
+		}
+	}
+	return bytes.subarray(0, length);
+};
+/**
+ * Decode standard UTF-8, as used by Bedrock Edition.
+ * @param {Uint8Array} bytes - The data to decode.
+ * @param {number} start - The index of the first byte.
+ * @param {number} end - The index after the last byte.
+ * @returns {string} - The string. Invalid sequences become U+FFFD.
+ */
+SNBT._decodeUTF8 = function(bytes, start, end) {
+	var string = "", codes = [], i = start, a, c, n, min;
+	while (i < end) {
+		a = bytes[i++];
+		if (a < 0x80) {
+			c = a;
+			n = 0;
+		} else if ((a & 0xE0) === 0xC0) {
+			c = a & 0x1F;
+			n = 1;
+			min = 0x80;
+		} else if ((a & 0xF0) === 0xE0) {
+			c = a & 0x0F;
+			n = 2;
+			min = 0x800;
+		} else if ((a & 0xF8) === 0xF0) {
+			c = a & 0x07;
+			n = 3;
+			min = 0x10000;
+		} else {
+			c = 0xFFFD;
+			n = 0;
+		}
+		if (n) {
+			for (; n && i < end && (bytes[i] & 0xC0) === 0x80; --n) {
+				c = c << 6 | bytes[i++] & 0x3F;
+			}
+			if (n || c < min || c > 0x10FFFF || (c >= 0xD800 && c <= 0xDFFF)) c = 0xFFFD;
+		}
+		if (c >= 0x10000) {
+			c -= 0x10000;
+			codes.push(0xD800 | c >> 10, 0xDC00 | c & 0x3FF);
+		} else {
+			codes.push(c);
+		}
+		if (codes.length >= 4096) {
+			string += String.fromCharCode.apply(null, codes);
+			codes.length = 0;
+		}
+	}
+	return string + String.fromCharCode.apply(null, codes);
+};
+/**
+ * Encode a string as standard UTF-8. Unpaired surrogates become U+FFFD.
+ * @param {string} string - The string to encode.
+ * @returns {Uint8Array}
+ */
+SNBT._encodeUTF8 = function(string) {
+	var bytes = new Uint8Array(string.length * 3), length = 0, i, c, d;
+	for (i = 0; i < string.length; ++i) {
+		c = string.charCodeAt(i);
+		if (c >= 0xD800 && c <= 0xDFFF) {
+			d = string.charCodeAt(i + 1);
+			if (c < 0xDC00 && d >= 0xDC00 && d <= 0xDFFF) {
+				c = 0x10000 + ((c & 0x3FF) << 10 | d & 0x3FF);
+				++i;
+			} else {
+				c = 0xFFFD;
+			}
+		}
+		if (c < 0x80) {
+			bytes[length++] = c;
+		} else if (c < 0x800) {
+			bytes[length++] = 0xC0 | c >> 6;
+			bytes[length++] = 0x80 | c & 0x3F;
+		} else if (c < 0x10000) {
+			bytes[length++] = 0xE0 | c >> 12;
+			bytes[length++] = 0x80 | c >> 6 & 0x3F;
+			bytes[length++] = 0x80 | c & 0x3F;
+		} else {
+			bytes[length++] = 0xF0 | c >> 18;
+			bytes[length++] = 0x80 | c >> 12 & 0x3F;
+			bytes[length++] = 0x80 | c >> 6 & 0x3F;
+			bytes[length++] = 0x80 | c & 0x3F;
+		}
+	}
+	return bytes.subarray(0, length);
+};
+SNBT._Compression = {
+	// Node's zlib is much faster than the fallbacks below, so use it when it's around.
+	// (module.require keeps bundlers from trying to pack it for the browser.)
+	nodeZlib: (function() {
+		try {
+			return typeof module !== "undefined" && module.require ? module.require("zlib") : null;
+		} catch (e) {
+			return null;
+		}
+	})(),
+	/**
+	 * Guess how a binary NBT file is compressed from its first bytes.
+	 * @param {Uint8Array} bytes - The file's contents.
+	 * @returns {string} - "gzip", "zlib" or "none".
+	 */
+	detect: function(bytes) {
+		if (bytes[0] === 0x1F && bytes[1] === 0x8B) return "gzip";
+		if ((bytes[0] & 0x0F) === 8 && (bytes[0] << 8 | bytes[1]) % 31 === 0) return "zlib";
+		return "none";
+	},
+	decompress: function(bytes, compression) {
+		switch (compression) {
+		case "none":
+			return bytes;
+		case "gzip":
+			if (this.nodeZlib) return this.nodeDecompress("gunzipSync", bytes);
+			return this.gunzip(bytes);
+		case "zlib":
+			if (this.nodeZlib) return this.nodeDecompress("inflateSync", bytes);
+			return this.unzlib(bytes);
+		}
+		throw {error: "invalid_compression", message: "Unknown compression type: " + compression};
+	},
+	// Node's zlib throws its own Errors on bad data, so turn them into ours
+	nodeDecompress: function(method, bytes) {
+		try {
+			return this.nodeZlib[method](bytes);
+		} catch (e) {
+			throw this.exception(e.message);
+		}
+	},
+	compress: function(bytes, compression) {
+		switch (compression) {
+		case "none":
+			return bytes;
+		case "gzip":
+			if (this.nodeZlib) return this.nodeZlib.gzipSync(bytes);
+			return this.gzip(bytes);
+		case "zlib":
+			if (this.nodeZlib) return this.nodeZlib.deflateSync(bytes);
+			return this.zlib(bytes);
+		}
+		throw {error: "invalid_compression", message: "Unknown compression type: " + compression};
+	},
+	exception: function(message) {
+		return {error: "compression_error", message: message};
+	},
+	gunzip: function(bytes) {
+		if (bytes.length < 18 || bytes[0] !== 0x1F || bytes[1] !== 0x8B || bytes[2] !== 8) {
+			throw this.exception("Not a gzip stream");
+		}
+		var flags = bytes[3], start = 10;
+		if (flags & 4) start += 2 + (bytes[start] | bytes[start + 1] << 8); // FEXTRA
+		if (flags & 8) while (bytes[start++]); // FNAME
+		if (flags & 16) while (bytes[start++]); // FCOMMENT
+		if (flags & 2) start += 2; // FHCRC
+		
+		var output = this.inflate(bytes.subarray(start, bytes.length - 8)),
+		    view = new DataView(bytes.buffer, bytes.byteOffset + bytes.length - 8, 8);
+		if (view.getUint32(0, true) !== this.crc32(output)) throw this.exception("gzip checksum mismatch");
+		if (view.getUint32(4, true) !== (output.length >>> 0)) throw this.exception("gzip length mismatch");
+		return output;
+	},
+	gzip: function(bytes) {
+		var deflated = this.deflate(bytes),
+		    output = new Uint8Array(deflated.length + 18),
+		    view = new DataView(output.buffer);
+		output.set([0x1F, 0x8B, 8, 0, 0, 0, 0, 0, 0, 0xFF]);
+		output.set(deflated, 10);
+		view.setUint32(deflated.length + 10, this.crc32(bytes), true);
+		view.setUint32(deflated.length + 14, bytes.length, true);
+		return output;
+	},
+	unzlib: function(bytes) {
+		if (bytes.length < 6 || (bytes[0] & 0x0F) !== 8 || (bytes[0] << 8 | bytes[1]) % 31 !== 0) {
+			throw this.exception("Not a zlib stream");
+		}
+		if (bytes[1] & 0x20) throw this.exception("zlib preset dictionaries are not supported");
+		var output = this.inflate(bytes.subarray(2, bytes.length - 4)),
+		    view = new DataView(bytes.buffer, bytes.byteOffset + bytes.length - 4, 4);
+		if (view.getUint32(0) !== this.adler32(output)) throw this.exception("zlib checksum mismatch");
+		return output;
+	},
+	zlib: function(bytes) {
+		var deflated = this.deflate(bytes),
+		    output = new Uint8Array(deflated.length + 6);
+		output.set([0x78, 0x9C]);
+		output.set(deflated, 2);
+		new DataView(output.buffer).setUint32(deflated.length + 2, this.adler32(bytes));
+		return output;
+	},
+	crcTable: null,
+	fixedTables: null,
+	crc32: function(bytes) {
+		var table = this.crcTable, crc = -1, i, k, c;
+		if (!table) {
+			table = this.crcTable = new Int32Array(256);
+			for (i = 0; i < 256; ++i) {
+				c = i;
+				for (k = 0; k < 8; ++k) c = c & 1 ? 0xEDB88320 ^ c >>> 1 : c >>> 1;
+				table[i] = c;
+			}
+		}
+		for (i = 0; i < bytes.length; ++i) {
+			crc = table[(crc ^ bytes[i]) & 0xFF] ^ crc >>> 8;
+		}
+		return ~crc >>> 0;
+	},
+	adler32: function(bytes) {
+		var a = 1, b = 0, i = 0, end;
+		while (i < bytes.length) {
+			// Largest chunk that can't overflow before the modulo
+			end = Math.min(i + 5552, bytes.length);
+			for (; i < end; ++i) {
+				a += bytes[i];
+				b += a;
+			}
+			a %= 65521;
+			b %= 65521;
+		}
+		return (b << 16 | a) >>> 0;
+	},
+	lengthBase:  [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+	lengthExtra: [0, 0, 0, 0, 0, 0, 0,  0,  1,  1,  1,  1,  2,  2,  2,  2,  3,  3,  3,  3,  4,  4,  4,   4,   5,   5,   5,   5,   0],
+	distBase:  [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+	distExtra: [0, 0, 0, 0, 1, 1, 2,  2,  3,  3,  4,  4,  5,  5,   6,   6,   7,   7,   8,   8,    9,    9,   10,   10,   11,   11,   12,    12,    13,    13],
+	codeLengthOrder: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15],
+	/**
+	 * Decompress a raw DEFLATE stream (RFC 1951).
+	 * @param {Uint8Array} bytes - The compressed data.
+	 * @returns {Uint8Array}
+	 */
+	inflate: function(bytes) {
+		var self = this,
+		    output = new Uint8Array(Math.max(1024, bytes.length * 4)),
+		    outLength = 0,
+		    pos = 0, bitBuf = 0, bitCount = 0,
+		    final, blockType, i;
+		
+		function bits(n) {
+			while (bitCount < n) {
+				if (pos >= bytes.length) throw self.exception("Unexpected end of DEFLATE stream");
+				bitBuf |= bytes[pos++] << bitCount;
+				bitCount += 8;
+			}
+			var value = bitBuf & ((1 << n) - 1);
+			bitBuf >>>= n;
+			bitCount -= n;
+			return value;
+		}
+		function reserve(n) {
+			if (outLength + n <= output.length) return;
+			var size = output.length * 2;
+			while (size < outLength + n) size *= 2;
+			var grown = new Uint8Array(size);
+			grown.set(output.subarray(0, outLength));
+			output = grown;
+		}
+		// Canonical Huffman tables, decoded one bit at a time like zlib's "puff"
+		function table(lengths) {
+			var counts = new Uint16Array(16), offsets = new Uint16Array(16),
+			    symbols = new Uint16Array(lengths.length), i;
+			for (i = 0; i < lengths.length; ++i) ++counts[lengths[i]];
+			counts[0] = 0;
+			for (i = 1; i < 16; ++i) offsets[i] = offsets[i - 1] + counts[i - 1];
+			for (i = 0; i < lengths.length; ++i) {
+				if (lengths[i]) symbols[offsets[lengths[i]]++] = i;
+			}
+			return {counts: counts, symbols: symbols};
+		}
+		function decode(t) {
+			var code = 0, first = 0, index = 0, count, len;
+			for (len = 1; len < 16; ++len) {
+				code |= bits(1);
+				count = t.counts[len];
+				if (code - first < count) return t.symbols[index + code - first];
+				index += count;
+				first = (first + count) << 1;
+				code <<= 1;
+			}
+			throw self.exception("Invalid Huffman code");
+		}
+		function inflateBlock(lit, dist) {
+			var symbol, length, distance, from;
+			while ((symbol = decode(lit)) !== 256) {
+				if (symbol < 256) {
+					reserve(1);
+					output[outLength++] = symbol;
+					continue;
+				}
+				symbol -= 257;
+				if (symbol >= 29) throw self.exception("Invalid length code");
+				length = self.lengthBase[symbol] + bits(self.lengthExtra[symbol]);
+				symbol = decode(dist);
+				if (symbol >= 30) throw self.exception("Invalid distance code");
+				distance = self.distBase[symbol] + bits(self.distExtra[symbol]);
+				if (distance > outLength) throw self.exception("Distance too far back");
+				reserve(length);
+				from = outLength - distance;
+				while (length--) output[outLength++] = output[from++];
+			}
+		}
+		
+		do {
+			final = bits(1);
+			blockType = bits(2);
+			if (blockType === 0) {
+				// Stored
+				bitBuf = bitCount = 0;
+				if (pos + 4 > bytes.length) throw self.exception("Unexpected end of DEFLATE stream");
+				var length = bytes[pos] | bytes[pos + 1] << 8;
+				if ((length ^ 0xFFFF) !== (bytes[pos + 2] | bytes[pos + 3] << 8)) {
+					throw self.exception("Corrupt stored block length");
+				}
+				pos += 4;
+				if (pos + length > bytes.length) throw self.exception("Unexpected end of DEFLATE stream");
+				reserve(length);
+				output.set(bytes.subarray(pos, pos + length), outLength);
+				outLength += length;
+				pos += length;
+			} else if (blockType === 1) {
+				if (!this.fixedTables) {
+					var lengths = new Uint8Array(288);
+					for (i = 0; i < 288; ++i) lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+					this.fixedTables = [table(lengths), table(new Uint8Array(30).fill(5))];
+				}
+				inflateBlock(this.fixedTables[0], this.fixedTables[1]);
+			} else if (blockType === 2) {
+				var nLit = bits(5) + 257, nDist = bits(5) + 1, nCode = bits(4) + 4,
+				    codeLengths = new Uint8Array(19),
+				    allLengths = new Uint8Array(nLit + nDist),
+				    symbol, prev, repeat;
+				for (i = 0; i < nCode; ++i) codeLengths[this.codeLengthOrder[i]] = bits(3);
+				var codeTable = table(codeLengths);
+				for (i = 0; i < nLit + nDist;) {
+					symbol = decode(codeTable);
+					if (symbol < 16) {
+						allLengths[i++] = symbol;
+						continue;
+					}
+					if (symbol === 16) {
+						if (i === 0) throw self.exception("Repeated length with no previous length");
+						prev = allLengths[i - 1];
+						repeat = 3 + bits(2);
+					} else {
+						prev = 0;
+						repeat = symbol === 17 ? 3 + bits(3) : 11 + bits(7);
+					}
+					if (i + repeat > nLit + nDist) throw self.exception("Too many code lengths");
+					while (repeat--) allLengths[i++] = prev;
+				}
+				inflateBlock(table(allLengths.subarray(0, nLit)), table(allLengths.subarray(nLit)));
+			} else {
+				throw self.exception("Invalid DEFLATE block type");
+			}
+		} while (!final);
+		return output.slice(0, outLength);
+	},
+	/**
+	 * Compress data as a raw DEFLATE stream (RFC 1951), using a single block with the fixed
+	 * Huffman codes. Not as small as zlib's output, but it doesn't need to be.
+	 * @param {Uint8Array} bytes - The data to compress.
+	 * @returns {Uint8Array}
+	 */
+	deflate: function(bytes) {
+		var output = new Uint8Array(bytes.length + (bytes.length >> 3) + 64),
+		    outLength = 0, bitBuf = 0, bitCount = 0,
+		    head = new Int32Array(1 << 15).fill(-1),
+		    prev = new Int32Array(32768),
+		    self = this,
+		    i, k, hash, candidate, chain, length, bestLength, bestDistance;
+		
+		function put(value, n) {
+			bitBuf |= value << bitCount;
+			bitCount += n;
+			while (bitCount >= 8) {
+				if (outLength === output.length) {
+					var grown = new Uint8Array(output.length * 2);
+					grown.set(output);
+					output = grown;
+				}
+				output[outLength++] = bitBuf & 0xFF;
+				bitBuf >>>= 8;
+				bitCount -= 8;
+			}
+		}
+		// Huffman codes are stored most significant bit first
+		function putCode(code, n) {
+			var reversed = 0;
+			for (var j = 0; j < n; ++j) {
+				reversed = reversed << 1 | code & 1;
+				code >>= 1;
+			}
+			put(reversed, n);
+		}
+		function putLiteral(symbol) {
+			if (symbol < 144) putCode(0x30 + symbol, 8);
+			else if (symbol < 256) putCode(0x190 + symbol - 144, 9);
+			else if (symbol < 280) putCode(symbol - 256, 7);
+			else putCode(0xC0 + symbol - 280, 8);
+		}
+		function putMatch(length, distance) {
+			var code = 28;
+			while (self.lengthBase[code] > length) --code;
+			putLiteral(257 + code);
+			put(length - self.lengthBase[code], self.lengthExtra[code]);
+			code = 29;
+			while (self.distBase[code] > distance) --code;
+			putCode(code, 5);
+			put(distance - self.distBase[code], self.distExtra[code]);
+		}
+		function hashAt(j) {
+			return ((bytes[j] << 10) ^ (bytes[j + 1] << 5) ^ bytes[j + 2]) & 0x7FFF;
+		}
+		function insert(j) {
+			if (j + 2 >= bytes.length) return;
+			hash = hashAt(j);
+			prev[j & 0x7FFF] = head[hash];
+			head[hash] = j;
+		}
+		
+		put(1, 1); // Final block
+		put(1, 2); // Fixed Huffman codes
+		for (i = 0; i < bytes.length;) {
+			bestLength = 0;
+			if (i + 2 < bytes.length) {
+				candidate = head[hashAt(i)];
+				for (chain = 0; candidate >= 0 && i - candidate <= 32768 && chain < 32; ++chain) {
+					for (length = 0; length < 258 && i + length < bytes.length &&
+						bytes[candidate + length] === bytes[i + length]; ++length);
+					if (length > bestLength) {
+						bestLength = length;
+						bestDistance = i - candidate;
+						if (length === 258) break;
+					}
+					var next = prev[candidate & 0x7FFF];
+					if (next >= candidate) break;
+					candidate = next;
+				}
+			}
+			if (bestLength >= 3) {
+				putMatch(bestLength, bestDistance);
+				for (k = 0; k < bestLength; ++k) insert(i + k);
+				i += bestLength;
+			} else {
+				putLiteral(bytes[i]);
+				insert(i++);
+			}
+		}
+		putLiteral(256);
+		if (bitCount) put(0, 8 - bitCount);
+		return output.slice(0, outLength);
+	},
+};
 
 /////////////////
 // Export code //
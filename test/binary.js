@@ -0,0 +1,105 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    zlib = require("zlib"),
+    SNBT = require("../snbt.js");
+
+var source = '{a:1b,b:2s,c:3,d:-9223372036854775808l,e:1.5f,f:2.25d,g:"héllo😀",h:[],i:[1,2],'
+	+ 'j:[B;1b,-2b],k:[I;5,6],l:[L;123456789012345l,-1l],m:{n:[{o:1b}]},p:9223372036854775807l}';
+
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+
+test("binary NBT round-trips with every compression", function() {
+	var tag = SNBT.parse(source);
+	["none", "gzip", "zlib"].forEach(function(compression) {
+		var result = SNBT.readBinary(SNBT.writeBinary(tag, {name: "root", compression: compression}), {named: true});
+		assert.strictEqual(result.name, "root");
+		assert.strictEqual(result.compression, compression);
+		assert.strictEqual(flat(result.tag), flat(tag));
+	});
+});
+
+test("binary NBT matches the Java layout byte for byte", function() {
+	var bytes = SNBT.writeBinary(SNBT.parse("{x:1}"));
+	assert.deepStrictEqual(Array.from(bytes), [10, 0, 0, 3, 0, 1, 120, 0, 0, 0, 1, 0]);
+	assert.strictEqual(flat(SNBT.readBinary(zlib.gzipSync(bytes))), "{x:1}");
+});
+
+test("the pure JavaScript codecs agree with zlib", function() {
+	var compression = SNBT._Compression,
+	    nodeZlib = compression.nodeZlib,
+	    data = SNBT.writeBinary(SNBT.parse(source));
+	compression.nodeZlib = null;
+	try {
+		assert.deepStrictEqual(Buffer.from(zlib.gunzipSync(compression.gzip(data))), Buffer.from(data));
+		assert.deepStrictEqual(Buffer.from(compression.gunzip(zlib.gzipSync(data))), Buffer.from(data));
+		assert.deepStrictEqual(Buffer.from(compression.unzlib(zlib.deflateSync(data))), Buffer.from(data));
+	} finally {
+		compression.nodeZlib = nodeZlib;
+	}
+});
+
+test("bad binary data is rejected", function() {
+	var bytes = SNBT.writeBinary(SNBT.parse(source));
+	assert.throws(function() {
+		SNBT.readBinary(bytes.subarray(0, bytes.length - 3));
+	}, {error: "binary_error"});
+	assert.throws(function() {
+		SNBT.readBinary(new Uint8Array([10, 0, 0, 99, 0, 0]));
+	}, {error: "binary_error", message: "Unknown tag ID 99 at byte 3"});
+	assert.throws(function() {
+		SNBT.readBinary(new Uint8Array([0]));
+	}, {error: "binary_error"});
+	assert.throws(function() {
+		SNBT.writeBinary(SNBT.parse("{}"), {compression: "lzma"});
+	}, {error: "invalid_compression"});
+	assert.throws(function() {
+		SNBT.readBinary(new Uint8Array([0x1F, 0x8B, 8, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3]));
+	}, {error: "compression_error"});
+});
+
+test("Bedrock variants round-trip, with and without a level.dat header", function() {
+	var tag = SNBT.parse(source);
+	["java", "bedrock", "bedrock-network"].forEach(function(variant) {
+		assert.strictEqual(flat(SNBT.readBinary(SNBT.writeBinary(tag, {variant: variant}), {variant: variant})), flat(tag));
+		var result = SNBT.readBinary(SNBT.writeBinary(tag, {variant: variant, storageVersion: 10}),
+			{variant: variant, header: true, named: true});
+		assert.strictEqual(result.storageVersion, 10);
+		assert.strictEqual(flat(result.tag), flat(tag));
+	});
+	assert.deepStrictEqual(Array.from(SNBT.writeBinary(SNBT.parse("{x:1}"), {variant: "bedrock"})),
+		[10, 0, 0, 3, 1, 0, 120, 1, 0, 0, 0, 0]);
+	assert.deepStrictEqual(Array.from(SNBT.writeBinary(SNBT.parse("{x:-1}"), {variant: "bedrock-network"})),
+		[10, 0, 3, 1, 120, 1, 0]);
+});
+
+test("bad Bedrock data is rejected", function() {
+	assert.throws(function() {
+		SNBT.writeBinary(SNBT.parse("{}"), {variant: "pocket"});
+	}, {error: "invalid_variant"});
+	assert.throws(function() {
+		SNBT.readBinary(new Uint8Array([10, 0, 0, 0]), {variant: "bedrock", header: true});
+	}, {error: "binary_error", message: "Missing level.dat header"});
+	assert.throws(function() {
+		SNBT.readBinary(new Uint8Array([10, 0, 3, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), {variant: "bedrock-network"});
+	}, {error: "binary_error"});
+});
+
+test("binary reading stops at the limits, like the game's NbtAccounter", function() {
+	// 100000 compounds, each named "a" and holding the next
+	var bytes = [10, 0, 0], i;
+	for (i = 0; i < 100000; ++i) bytes.push(10, 0, 1, 0x61);
+	assert.throws(function() {
+		SNBT.readBinary(bytes);
+	}, {error: "binary_error", code: "limit_exceeded", limit: "maxDepth", max: 512});
+	
+	var nested = SNBT.writeBinary(SNBT.parse("{a:[[[1]]],b:[I;1,2],s:\"hello\"}"));
+	assert.strictEqual(flat(SNBT.readBinary(nested, {maxDepth: 4, maxTags: 9, maxStringLength: 5})),
+		"{a:[[[1]]],b:[I;1,2],s:\"hello\"}");
+	assert.throws(function() { SNBT.readBinary(nested, {maxDepth: 3}); }, {limit: "maxDepth", max: 3});
+	assert.throws(function() { SNBT.readBinary(nested, {maxTags: 8}); }, {limit: "maxTags", max: 8});
+	assert.throws(function() { SNBT.readBinary(nested, {maxStringLength: 4}); }, {limit: "maxStringLength", max: 4});
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    childProcess = require("child_process"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    SNBT = require("../snbt.js");
+
+var cli = path.join(__dirname, "..", "bin", "snbt.js"),
+    tag = SNBT.parse("{a:1,l:[L;9007199254740993L,1L]}");
+
+var dirs = [];
+test.after(function() {
+	dirs.forEach(function(dir) { fs.rmSync(dir, {recursive: true}); });
+});
+
+// Make a new directory holding the files
+function directory(files) {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), "snbt-"));
+	dirs.push(dir);
+	Object.keys(files || {}).forEach(function(name) { fs.writeFileSync(path.join(dir, name), files[name]); });
+	return dir;
+}
+// Run the CLI, returning {status, stdout, stderr}
+function run(args, input, dir) {
+	return childProcess.spawnSync(process.execPath, [cli].concat(args), {cwd: dir, input: input, encoding: "utf8"});
+}
+
+test("exit codes tell usage errors from bad files", function() {
+	var result = run(["-m"], "{a: 1}");
+	assert.deepStrictEqual([result.status, result.stdout], [0, "{a:1}\n"]);
+	result = run(["--nope"], "{}");
+	assert.strictEqual(result.status, 2);
+	assert.match(result.stderr, /Unknown option --nope/);
+	assert.strictEqual(run(["--sort", "size"], "{}").status, 2);
+	assert.strictEqual(run(["-w"], "{}").status, 2);
+	result = run(["-"], "{a:}");
+	assert.strictEqual(result.status, 1);
+	assert.match(result.stderr, /^<stdin>:1:4: /);
+	assert.strictEqual(run(["missing.snbt"], "", directory()).status, 1);
+	result = run(["-c", "a.snbt", "b.snbt"], "", directory({"a.snbt": "{\n\ta: 1\n}\n", "b.snbt": "{a:1}"}));
+	assert.deepStrictEqual([result.status, result.stderr], [1, "b.snbt: Not formatted\n"]);
+});
+
+test("SNBT that starts with a newline isn't taken for binary NBT", function() {
+	var result = run(["-m"], "\n{a:1}");
+	assert.deepStrictEqual([result.status, result.stdout], [0, "{a:1}\n"]);
+	result = run(["-m"], Buffer.from(SNBT.writeBinary(tag)));
+	assert.deepStrictEqual([result.status, result.stdout], [0, "{a:1,l:[L;9007199254740993l,1l]}\n"]);
+});
+
+test("--write leaves binary files that wouldn't change alone, and keeps how they're stored", function() {
+	var past = new Date(2000, 0, 1),
+	    files = {
+	    	"zlib.dat": SNBT.writeBinary(tag, {name: "root", compression: "zlib"}),
+	    	"none.dat": SNBT.writeBinary(tag),
+	    	"level.dat": SNBT.writeBinary(tag, {variant: "bedrock", storageVersion: 10}),
+	    },
+	    dir = directory(files);
+	Object.keys(files).forEach(function(name) { fs.utimesSync(path.join(dir, name), past, past); });
+	assert.strictEqual(run(["-w", "zlib.dat", "none.dat"], "", dir).status, 0);
+	assert.strictEqual(run(["-w", "--variant", "bedrock", "level.dat"], "", dir).status, 0);
+	Object.keys(files).forEach(function(name) {
+		var file = path.join(dir, name);
+		assert.deepStrictEqual(fs.readFileSync(file), Buffer.from(files[name]), name);
+		assert.strictEqual(fs.statSync(file).mtime.getTime(), past.getTime(), name);
+	});
+	
+	assert.strictEqual(run(["-w", "--compression", "gzip", "zlib.dat"], "", dir).status, 0);
+	var read = SNBT.readBinary(fs.readFileSync(path.join(dir, "zlib.dat")), {named: true});
+	assert.deepStrictEqual([read.name, read.compression], ["root", "gzip"]);
+});
+
+test("JSON output keeps big longs as strings, in arrays too", function() {
+	var result = run(["--to", "json", "-m"], "{a:9007199254740993L,b:[L;9007199254740993L,-5L]}");
+	assert.strictEqual(result.stdout, "{\"a\":\"9007199254740993\",\"b\":[\"9007199254740993\",-5]}\n");
+});
@@ -0,0 +1,38 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+test("equals ignores key order but not types", function() {
+	assert.ok(SNBT.equals(SNBT.parse("{a:1,b:[2,3]}"), SNBT.parse("{b:[2,3],a:1}")));
+	assert.ok(!SNBT.equals(SNBT.parse("{a:1}"), SNBT.parse("{a:1b}")));
+	assert.ok(!SNBT.equals(SNBT.parse("{a:[2,3]}"), SNBT.parse("{a:[3,2]}")));
+	assert.ok(!SNBT.equals(SNBT.parse("{a:1}"), SNBT.parse("{a:1,b:2}")));
+	assert.ok(SNBT.equals(new SNBT.TagDouble(NaN), new SNBT.TagDouble(NaN)));
+	assert.ok(!SNBT.equals(new SNBT.TagDouble(0), new SNBT.TagDouble(-0)));
+});
+
+test("matches follows the game's rules", function() {
+	var tag = SNBT.parse("{id:\"stone\",Count:3b,Tags:[\"a\",\"b\"],Pos:[I;1,2,3]}");
+	assert.ok(SNBT.matches(SNBT.parse("{id:\"stone\"}"), tag));
+	assert.ok(SNBT.matches(SNBT.parse("{Tags:[\"b\"]}"), tag));
+	assert.ok(!SNBT.matches(SNBT.parse("{Tags:[]}"), tag));
+	assert.ok(!SNBT.matches(SNBT.parse("{Pos:[I;1,2]}"), tag));
+	assert.ok(!SNBT.matches(SNBT.parse("{Count:3}"), tag));
+});
+
+test("keys named like Object properties are ordinary keys", function() {
+	var tag = SNBT.parse("{toString:1,\"__proto__\":{a:2},constructor:3}");
+	assert.strictEqual(tag.map.toString.value, 1);
+	assert.strictEqual(tag.map.__proto__.constructor, SNBT.TagCompound);
+	assert.ok(tag.map.hasOwnProperty("constructor"));
+	assert.strictEqual(Object.getPrototypeOf(tag.map), Object.prototype);
+	assert.ok(!SNBT.matches(SNBT.parse("{hasOwnProperty:1}"), tag));
+	assert.ok(!SNBT.equals(SNBT.parse("{valueOf:1}"), SNBT.parse("{other:1}")));
+	assert.strictEqual(new SNBT.NbtPath("valueOf").get(tag).length, 0);
+	tag.remove("__proto__");
+	assert.strictEqual(Object.getPrototypeOf(tag.map), Object.prototype);
+	tag.add("valueOf", new SNBT.TagInteger(4));
+	assert.strictEqual(SNBT.stringify(tag, "", {deflate: true}), "{toString:1,constructor:3,valueOf:4}");
+});
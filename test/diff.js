@@ -0,0 +1,86 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function parse(text) {
+	return SNBT.parse(text, {root: "any"});
+}
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+function roundTrip(from, to, options) {
+	var a = parse(from), b = parse(to),
+	    ops = SNBT.diff(a, b, options),
+	    patched = SNBT.applyPatch(SNBT.clone(a), ops);
+	assert.ok(SNBT.equals(patched, b), from + " -> " + to + " gave " + flat(patched));
+	if (options && options.keyOrder) assert.strictEqual(flat(patched), flat(b));
+	return ops;
+}
+
+test("diff and applyPatch round-trip", function() {
+	var ops = roundTrip("{id:\"a\",Count:1b,tag:{Ench:[{id:1},{id:2}]},Lore:[\"x\",\"y\",\"z\"]}",
+		"{id:\"a\",Count:2b,tag:{Ench:[{id:1},{id:3}],New:1},Lore:[\"w\",\"x\",\"z\",\"q\"]}");
+	assert.deepStrictEqual(ops.map(function(op) { return op.op + " " + op.path; }), [
+		"change Count",
+		"change tag.Ench[1].id",
+		"add tag.New",
+		"listInsert Lore[0]",
+		"listRemove Lore[2]",
+		"listInsert Lore[3]",
+	]);
+	roundTrip("[1,2,3,4,5]", "[5,4,3,2,1]");
+	roundTrip("[1,2,3]", "[]");
+	roundTrip("[]", "[1,2]");
+	roundTrip("[{a:1},{b:2},{c:3}]", "[{c:3},{a:1,x:1}]");
+	roundTrip("{\"a b\":{c:[[1],[2,3]]}}", "{\"a b\":{c:[[1,4],[3]]}}");
+	roundTrip("5", "\"x\"");
+	assert.deepStrictEqual(roundTrip("{a:[1,2]}", "{a:[\"x\",\"y\"]}").map(function(op) { return op.op + " " + op.path; }),
+		["changeType a"]);
+	roundTrip("[1]", "[\"a\"]");
+	roundTrip("[[1],[2]]", "[[\"a\"],[2]]");
+	roundTrip("[]", "[\"a\"]");
+	var typed = parse("[1]"), mixed = SNBT.parse("[1,\"a\"]", {root: "any", mixedLists: true});
+	assert.ok(SNBT.equals(SNBT.applyPatch(SNBT.clone(typed), SNBT.diff(typed, mixed)), mixed));
+	roundTrip("[I;1,2]", "[I;1,3]");
+	assert.strictEqual(SNBT.diff(parse("{a:1,b:2}"), parse("{b:2,a:1}")).length, 0);
+	assert.deepStrictEqual(roundTrip("{a:1,b:2,c:3}", "{c:3,a:1,b:2}", {keyOrder: true}).map(function(op) { return op.op; }),
+		["reorder"]);
+});
+
+test("list diffs keep the longest run of equal elements", function() {
+	var ops = roundTrip("[1,2,3,4,5,6]", "[0,1,2,4,5,7,6]");
+	assert.deepStrictEqual(ops.map(function(op) { return op.op + " " + op.path; }), [
+		"listInsert [0]",
+		"listRemove [3]",
+		"listInsert [5]",
+	]);
+});
+
+test("large lists diff in linear space", function() {
+	var list = [], i;
+	for (i = 0; i < 4096; ++i) list.push("{id:" + i + ",name:\"" + i + "\"}");
+	var a = parse("[" + list.join(",") + "]"),
+	    b = SNBT.clone(a),
+	    c = SNBT.clone(a);
+	b.list.splice(100, 5);
+	b.list.splice(3000, 0, parse("{id:-1}"));
+	c.list.reverse();
+	var start = Date.now();
+	assert.strictEqual(SNBT.diff(a, b).length, 6);
+	assert.ok(SNBT.equals(SNBT.applyPatch(SNBT.clone(a), SNBT.diff(a, c)), c));
+	assert.ok(Date.now() - start < 10000, "took " + (Date.now() - start) + "ms");
+});
+
+test("applyPatch rejects operations that don't fit", function() {
+	assert.throws(function() {
+		SNBT.applyPatch(parse("{a:2}"), SNBT.diff(parse("{a:1}"), parse("{a:3}")));
+	}, {error: "patch_conflict"});
+	assert.throws(function() {
+		SNBT.applyPatch(parse("{a:1}"), SNBT.diff(parse("{}"), parse("{a:1}")));
+	}, {error: "patch_conflict"});
+	assert.throws(function() {
+		SNBT.applyPatch(parse("{}"), SNBT.diff(parse("{a:1}"), parse("{}")));
+	}, {error: "patch_failed"});
+});
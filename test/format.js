@@ -0,0 +1,23 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+test("preserveFormat reproduces the source exactly", function() {
+	var source = "  {\n    id: 'minecraft:stone' ,\n    Count: 1.0d,\n    \"tag\": {display: {Name: \"x\"}, flag: true},\n"
+		+ "    list: [1b,  2b,3b],\n    arr: [I; 1, 2],\n    empty: [ ],\n}\n";
+	assert.strictEqual(SNBT.stringify(SNBT.parse(source, {preserveFormat: true}), null, {preserveFormat: true}), source);
+});
+
+test("preserveFormat keeps untouched text around edits", function() {
+	var tag = SNBT.parse("{\n\ta: 1,\n\tb: [1b,  2b]\n}", {preserveFormat: true});
+	tag.map.a.value = 2;
+	tag.map.b.push(new SNBT.TagByte(3));
+	tag.add("c", new SNBT.TagString("x"));
+	assert.strictEqual(SNBT.stringify(tag, null, {preserveFormat: true}), "{\n\ta: 2,\n\tb: [1b,  2b,  3b],\n\tc: \"x\"\n}");
+	tag = SNBT.parse("{a:1,b:2}", {preserveFormat: true});
+	tag.remove("a");
+	tag.add("c", new SNBT.TagByte(3));
+	assert.strictEqual(SNBT.stringify(tag, null, {preserveFormat: true}), "{b:2,c:3b}");
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function describe(tokens) {
+	return tokens.filter(function(token) { return token.type !== "whitespace"; }).map(function(token) {
+		return token.type + (token.tagType ? ":" + token.tagType.prototype.tagName : "") +
+			(token.suffix ? "/" + token.suffix : "") + " " + token.text;
+	});
+}
+
+test("tokenize covers the input, even when it's invalid", function() {
+	var text = "{id:\"stone\", Count:1b, \"q k\": [I; 1], l:[1.5f, 3L], y:abc, z:[X;1], bad:}}@ 'unterminated",
+	    tokens = SNBT.tokenize(text);
+	assert.strictEqual(tokens.map(function(token) { return token.text; }).join(""), text);
+	tokens.forEach(function(token, i) {
+		assert.strictEqual(token.text, text.substring(token.start, token.end));
+		if (i) assert.strictEqual(token.start, tokens[i - 1].end);
+	});
+	assert.deepStrictEqual(describe(tokens), [
+		"bracket:TAG_Compound {",
+		"key:TAG_String id", "colon :", "string:TAG_String \"stone\"", "comma ,",
+		"key:TAG_String Count", "colon :", "number:TAG_Byte/b 1b", "comma ,",
+		"key:TAG_String \"q k\"", "colon :",
+		"bracket:TAG_Int_Array [", "arrayPrefix:TAG_Int_Array I;", "number:TAG_Int 1", "bracket:TAG_Int_Array ]", "comma ,",
+		"key:TAG_String l", "colon :",
+		"bracket:TAG_List [", "number:TAG_Float/f 1.5f", "comma ,", "number:TAG_Long/L 3L", "bracket:TAG_List ]", "comma ,",
+		"key:TAG_String y", "colon :", "string:TAG_String abc", "comma ,",
+		"key:TAG_String z", "colon :", "bracket:TAG_List [", "invalid X;", "number:TAG_Int 1", "bracket:TAG_List ]", "comma ,",
+		"key:TAG_String bad", "colon :", "bracket:TAG_Compound }",
+		"bracket }", "invalid @", "string:TAG_String 'unterminated",
+	]);
+});
+
+test("tokenize knows the modern dialect", function() {
+	assert.deepStrictEqual(describe(SNBT.tokenize("{a:bool(1),b:0x1Fub,c:0xZZ}", {dialect: "modern"})).map(function(token) {
+		return token.replace(/:TAG_\w+/, "");
+	}), [
+		"bracket {",
+		"key a", "colon :", "operation bool", "paren (", "number 1", "paren )", "comma ,",
+		"key b", "colon :", "number/ub 0x1Fub", "comma ,",
+		"key c", "colon :", "invalid 0xZZ",
+		"bracket }",
+	]);
+});
+
+test("highlight prints ANSI colors or HTML", function() {
+	var tag = SNBT.parse("{a:[B;1b],b:\"x<y\"}");
+	assert.strictEqual(SNBT.highlight(tag, "", {deflate: true}),
+		"{\x1b[36ma\x1b[0m:[\x1b[34mB;\x1b[0m\x1b[33m1b\x1b[0m],\x1b[36mb\x1b[0m:\x1b[32m\"x<y\"\x1b[0m}");
+	assert.strictEqual(SNBT.highlight("{a:1}", "", {colors: {key: "1"}}), "{\x1b[1ma\x1b[0m:\x1b[33m1\x1b[0m}");
+	assert.strictEqual(SNBT.highlight(tag, "", {deflate: true, format: "html"}),
+		"<span class=\"snbt-bracket snbt-compound\">{</span><span class=\"snbt-key\">a</span>" +
+		"<span class=\"snbt-colon\">:</span><span class=\"snbt-bracket snbt-byte-array\">[</span>" +
+		"<span class=\"snbt-arrayPrefix snbt-byte-array\">B;</span><span class=\"snbt-number snbt-byte\">1b</span>" +
+		"<span class=\"snbt-bracket snbt-byte-array\">]</span><span class=\"snbt-comma\">,</span>" +
+		"<span class=\"snbt-key\">b</span><span class=\"snbt-colon\">:</span>" +
+		"<span class=\"snbt-string\">&#34;x&#60;y&#34;</span><span class=\"snbt-bracket snbt-compound\">}</span>");
+	assert.throws(function() { SNBT.highlight("{a:1}", "", {format: "xml"}); }, {error: "invalid_option"});
+});
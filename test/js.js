@@ -0,0 +1,43 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+
+test("toJS and fromJS round-trip with hints", function() {
+	var tag = SNBT.parse('{a:1b,b:2s,c:3,d:-9223372036854775808l,e:1.5f,f:2.25d,g:"x",h:[],i:[1,2],'
+		+ 'j:[B;1b,-2b],k:[I;5,6],l:[L;1l,-1l],m:{n:[{o:1b},{p:2s}]},q:[[1b],[]]}');
+	var js = SNBT.toJS(tag);
+	assert.strictEqual(js.d, -9223372036854775808n);
+	assert.ok(js.j instanceof Int8Array);
+	assert.strictEqual(flat(SNBT.fromJS(js, SNBT.hintsFor(tag))), flat(tag));
+});
+
+test("fromJS picks types for plain values", function() {
+	assert.strictEqual(flat(SNBT.fromJS({id: "minecraft:stone", Count: 1, f: [1, 2.5], ok: true, big: 5n, u: undefined},
+		{Count: SNBT.TagByte})), '{id:"minecraft:stone",Count:1b,f:[1d,2.5d],ok:1b,big:5l}');
+	assert.strictEqual(flat(SNBT.fromJS({a: new Uint8Array([200, 1])})), "{a:[B;-56b,1b]}");
+	assert.strictEqual(flat(SNBT.fromJS(Object.create(null))), "{}");
+});
+
+test("fromJS rejects values it can't convert, saying where", function() {
+	assert.throws(function() {
+		SNBT.fromJS({a: {b: new Map()}});
+	}, {error: "invalid_type", message: "Expected a value that can be converted to a Tag but got a Map at a.b"});
+	assert.throws(function() {
+		SNBT.fromJS({a: [new Date(0)]});
+	}, {error: "invalid_type", message: "Expected a value that can be converted to a Tag but got a Date at a[0]"});
+	assert.throws(function() {
+		SNBT.fromJS({a: 300}, {a: SNBT.TagByte});
+	}, {error: "value_too_high", message: "300 is out of range for a TAG_Byte at a"});
+	assert.throws(function() {
+		SNBT.fromJS({a: [1, "x"]});
+	}, {error: "invalid_tag_type"});
+	assert.throws(function() {
+		SNBT.fromJS({a: 1.5}, {a: SNBT.TagByte});
+	}, {error: "invalid_type"});
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+var heightmap = "[I;" + Array.from({length: 40}, function(_, i) { return i * 1000; }).join(",") + "]",
+    item = SNBT.parse("{Items:[{id:\"stone\",Count:1b},{id:\"dirt\",Count:64b,tag:{display:{Name:'{\"text\":\"A long name\"}'}}}]," +
+	"Heightmap:" + heightmap + ",x:1}");
+
+test("maxWidth puts what fits on one line and wraps long arrays", function() {
+	var text = SNBT.stringify(item, "  ", {maxWidth: 60});
+	assert.strictEqual(text, [
+		"{",
+		"  Items: [",
+		"    {id: \"stone\", Count: 1b},",
+		"    {",
+		"      id: \"dirt\",",
+		"      Count: 64b,",
+		"      tag: {display: {Name: \"{\\\"text\\\":\\\"A long name\\\"}\"}}",
+		"    }",
+		"  ],",
+		"  Heightmap: [I;",
+		"    0, 1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000,",
+		"    10000, 11000, 12000, 13000, 14000, 15000, 16000, 17000,",
+		"    18000, 19000, 20000, 21000, 22000, 23000, 24000, 25000,",
+		"    26000, 27000, 28000, 29000, 30000, 31000, 32000, 33000,",
+		"    34000, 35000, 36000, 37000, 38000, 39000",
+		"  ],",
+		"  x: 1",
+		"}",
+	].join("\n"));
+	assert.ok(SNBT.equals(SNBT.parse(text), item));
+	assert.strictEqual(SNBT.stringify(SNBT.parse("{a:1}"), "\t", {maxWidth: 80}), "{a: 1}");
+	assert.strictEqual(SNBT.stringify(SNBT.parse("{a:[B;1b,2b,3b,4b,5b,6b]}"), "  ", {maxWidth: 16}),
+		"{\n  a: [B;\n    1b, 2b, 3b,\n    4b, 5b, 6b\n  ]\n}");
+});
+
+test("maxWidth works with the other layout options", function() {
+	var text = SNBT.stringify(item, "\t", {maxWidth: 80, trailingComma: true, nlBrackets: true});
+	assert.ok(SNBT.equals(SNBT.parse(text), item));
+	assert.ok(text.indexOf("\t\t{id: \"stone\", Count: 1b},\n") >= 0, text);
+	assert.ok(text.indexOf("\tHeightmap:\n\t[I;\n") >= 0, text);
+	text.split("\n").forEach(function(line) {
+		assert.ok(line.replace(/\t/g, "    ").length <= 80, line);
+	});
+});
+
+test("alignValues lines up the values in each compound", function() {
+	assert.strictEqual(SNBT.stringify(SNBT.parse("{id:\"dirt\",Count:64b,tag:{a:1}}"), "\t", {alignValues: true}),
+		"{\n\tid:    \"dirt\",\n\tCount: 64b,\n\ttag:   {\n\t\ta: 1\n\t}\n}");
+	assert.strictEqual(SNBT.stringify(SNBT.parse("{id:\"dirt\",Count:64b}"), "", {alignValues: true, deflate: true}),
+		"{id:\"dirt\",Count:64b}");
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+
+var target = "{Health:20f,Tags:[\"a\"],Inventory:[{Slot:0b,id:\"stone\",Count:1b},{Slot:1b,id:\"dirt\",Count:5b," +
+	"tag:{Lore:[\"x\"]}}],Attr:{a:1,b:{c:1}}}";
+var source = "{Tags:[\"b\"],Inventory:[{Slot:1b,Count:6b,tag:{Lore:[\"y\"]}},{Slot:2b,id:\"gold\",Count:1b}]," +
+	"Attr:{b:{d:2},e:3},New:1}";
+
+test("merge works like /data merge", function() {
+	var tag = SNBT.parse(target), from = SNBT.parse(source);
+	assert.strictEqual(flat(SNBT.merge(tag, from, {copy: true})), "{Health:20f,Tags:[\"b\"],Inventory:[{Slot:1b," +
+		"Count:6b,tag:{Lore:[\"y\"]}},{Slot:2b,id:\"gold\",Count:1b}],Attr:{a:1,b:{c:1,d:2},e:3},New:1}");
+	assert.strictEqual(flat(tag), flat(SNBT.parse(target)));
+	assert.strictEqual(flat(from), flat(SNBT.parse(source)));
+	
+	var small = SNBT.parse("{a:1,b:2}");
+	assert.strictEqual(SNBT.merge(small, SNBT.parse("{a:5,c:3}")), small);
+	assert.strictEqual(flat(small), "{a:5,b:2,c:3}");
+});
+
+test("merge strategies apply to their paths", function() {
+	var tag = SNBT.parse(target), from = SNBT.parse(source);
+	assert.strictEqual(flat(SNBT.merge(tag, from, {copy: true, strategies: {
+		"Tags": "append",
+		"Inventory": {mergeBy: "Slot"},
+		"Inventory[].tag.Lore": "append",
+		"Attr": "keep",
+	}})), "{Health:20f,Tags:[\"a\",\"b\"],Inventory:[{Slot:0b,id:\"stone\",Count:1b},{Slot:1b,id:\"dirt\",Count:6b," +
+		"tag:{Lore:[\"x\",\"y\"]}},{Slot:2b,id:\"gold\",Count:1b}],Attr:{a:1,b:{c:1}},New:1}");
+	assert.strictEqual(flat(SNBT.merge(tag, from, {copy: true, strategies: {
+		"Attr": "replace",
+		"New": function(old, value, path) {
+			assert.strictEqual(old, undefined);
+			assert.strictEqual(path, "New");
+			return new SNBT.TagByte(value.value + 1);
+		},
+	}})), "{Health:20f,Tags:[\"b\"],Inventory:[{Slot:1b,Count:6b,tag:{Lore:[\"y\"]}},{Slot:2b,id:\"gold\",Count:1b}]," +
+		"Attr:{b:{d:2},e:3},New:2b}");
+});
+
+test("merge rejects strategies that don't fit", function() {
+	assert.throws(function() {
+		SNBT.merge(SNBT.parse(target), SNBT.parse(source), {strategies: {Attr: "append"}});
+	}, {error: "invalid_strategy"});
+	assert.throws(function() {
+		SNBT.merge(SNBT.parse("{a:1}"), SNBT.parse("{a:2}"), {strategies: {a: function() {}}});
+	}, {error: "invalid_strategy", message: "Merge strategy didn't return a Tag at a"});
+	assert.throws(function() {
+		SNBT.merge(SNBT.parse("{b:{a:[1]}}"), SNBT.parse("{b:{a:[\"x\"]}}"), {strategies: {"b.a": "append"}});
+	}, {error: "invalid_strategy", message: "Cannot insert TagString into a list of type TagInteger at b.a"});
+});
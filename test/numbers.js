@@ -0,0 +1,39 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+
+test("longs are BigInts and floats are float32", function() {
+	var tag = SNBT.parse("{l:9223372036854775807l,n:-9223372036854775808L,f:0.1f,big:1e39f,b:300b,z:-0.0d}");
+	assert.strictEqual(tag.map.l.value, 9223372036854775807n);
+	assert.strictEqual(tag.map.n.value, -9223372036854775808n);
+	assert.strictEqual(tag.map.f.value, Math.fround(0.1));
+	assert.strictEqual(tag.map.big.value, Infinity);
+	assert.strictEqual(tag.map.b.constructor, SNBT.TagString);
+	var again = SNBT.parse(flat(tag));
+	assert.ok(SNBT.equals(again, tag));
+	assert.ok(Object.is(again.map.z.value, -0));
+});
+
+test("number Tags enforce their ranges", function() {
+	assert.throws(function() { new SNBT.TagByte(1.5); }, {error: "not_an_integer"});
+	assert.strictEqual(new SNBT.TagByte(1.5, true).value, 2);
+	assert.throws(function() { new SNBT.TagLong(2n ** 63n); }, {error: "value_too_high"});
+	assert.throws(function() { new SNBT.TagFloat(1e39, true); }, {error: "value_too_high"});
+	assert.throws(function() { SNBT.parse("{b:300b}", {strictNumbers: true}); }, {code: "number_out_of_range"});
+});
+
+test("NaN is kept for binary NBT, but rejected where SNBT is involved", function() {
+	assert.ok(isNaN(new SNBT.TagFloat(NaN).value));
+	assert.ok(isNaN(SNBT.readBinary(SNBT.writeBinary(new SNBT.TagCompound({d: new SNBT.TagDouble(NaN)}))).map.d.value));
+	assert.strictEqual(flat(new SNBT.TagCompound({f: new SNBT.TagFloat(NaN)})), "{f:NaNf}");
+	assert.throws(function() { new SNBT.TagFloat(NaN, true); }, {error: "not_a_number"});
+	assert.throws(function() { new SNBT.TagDouble(NaN, true); }, {error: "not_a_number"});
+	assert.throws(function() { SNBT.fromJS({a: NaN}); }, {error: "invalid_type"});
+	assert.throws(function() { SNBT.fromJS({a: NaN}, {a: SNBT.TagFloat}); }, {error: "invalid_type"});
+});
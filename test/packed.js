@@ -0,0 +1,71 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+// Pack values with BigInt arithmetic, one bit position at a time
+function reference(values, bits, padded) {
+	var longs = [], perLong = Math.floor(64 / bits), i;
+	for (i = 0; i < SNBT.PackedArray.longsNeeded(values.length, bits, padded); ++i) longs.push(0n);
+	values.forEach(function(value, i) {
+		var bit = padded ? Math.floor(i / perLong) * 64 + i % perLong * bits : i * bits,
+		    index = Math.floor(bit / 64),
+		    offset = BigInt(bit % 64);
+		longs[index] |= BigInt(value) << offset & (1n << 64n) - 1n;
+		if (bit % 64 + bits > 64) longs[index + 1] |= BigInt(value) >> 64n - offset;
+	});
+	return longs.map(function(long) { return BigInt.asIntN(64, long); });
+}
+function values(count, bits, seed) {
+	return Uint32Array.from({length: count}, function(_, i) {
+		return Math.imul(i + seed, 2654435761) >>> 0 >>> 32 - bits;
+	});
+}
+
+test("every width packs like the game, padded and not", function() {
+	for (var bits = 1; bits <= 32; ++bits) [true, false].forEach(function(padded) {
+		var expected = values(100, bits, 1),
+		    packed = SNBT.PackedArray.from(expected, bits, {padded: padded}),
+		    message = bits + " bits, " + (padded ? "padded" : "unpadded"),
+		    i;
+		assert.deepStrictEqual(Array.from(packed.toLongs()), reference(expected, bits, padded), message);
+		assert.deepStrictEqual(packed.toArray(), expected, message);
+		
+		var again = new SNBT.PackedArray(SNBT.parse(SNBT.stringify(packed.tag), {root: "any"}), bits,
+			{length: 100, padded: padded});
+		for (i = 0; i < 100; ++i) assert.strictEqual(again.get(i), expected[i], message);
+		var changed = values(100, bits, 7);
+		for (i = 0; i < 100; i += 3) {
+			expected[i] = changed[i];
+			again.set(i, changed[i]);
+		}
+		assert.deepStrictEqual(Array.from(again.toLongs()), reference(expected, bits, padded), message);
+		if (bits < 32) {
+			again.resize(bits + 1);
+			assert.deepStrictEqual(again.toArray(), expected, message);
+			assert.deepStrictEqual(Array.from(again.toLongs()), reference(expected, bits + 1, padded), message);
+		}
+		assert.strictEqual(SNBT.PackedArray.fromLongs(packed.toLongs(), bits, {length: 100, padded: padded}).get(99),
+			packed.get(99), message);
+	});
+});
+
+test("sizes are worked out like the game", function() {
+	// A heightmap: 256 9-bit values, 7 to a long
+	assert.strictEqual(SNBT.PackedArray.longsNeeded(256, 9), 37);
+	assert.strictEqual(SNBT.PackedArray.longsNeeded(4096, 4, false), 256);
+	assert.strictEqual(SNBT.PackedArray.bitsFor(17, 4), 5);
+	assert.strictEqual(SNBT.PackedArray.bitsFor(1), 1);
+	assert.strictEqual(SNBT.PackedArray.bitsFor(3, 2), 2);
+});
+
+test("bad indices, values and widths are rejected", function() {
+	var packed = SNBT.PackedArray.from([1, 2, 3], 2);
+	assert.throws(function() { packed.set(0, 4); }, {error: "value_too_high"});
+	assert.throws(function() { packed.get(3); }, {error: "index_out_of_range"});
+	assert.throws(function() { packed.resize(1); }, {error: "value_too_high"});
+	assert.deepStrictEqual(Array.from(packed.toArray()), [1, 2, 3]);
+	assert.throws(function() { new SNBT.PackedArray(packed.tag, 0); }, {error: "invalid_option"});
+	assert.throws(function() { new SNBT.PackedArray(packed.tag, 2, {length: 33}); }, {error: "invalid_length"});
+});
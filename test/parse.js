@@ -0,0 +1,100 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+
+test("syntax errors say what and where", function() {
+	assert.throws(function() {
+		SNBT.parse("{a:1");
+	}, function(e) {
+		assert.ok(e instanceof SNBT.SNBTSyntaxError && e instanceof Error);
+		assert.strictEqual(e.error, "parsing_error");
+		assert.deepStrictEqual([e.code, e.start, e.end, e.line, e.column, e.expected], ["unexpected_end", 4, 4, 1, 5, ["}"]]);
+		return true;
+	});
+	assert.throws(function() {
+		SNBT.parse("{\n  a: 1,\n  b: @\n}");
+	}, {code: "expected_token", line: 3, column: 6, reason: "Expected a value but got '@'"});
+	assert.throws(function() {
+		SNBT.parse("{a:1,a:2}");
+	}, {code: "duplicate_key", start: 5});
+});
+
+test("recovering parses report every error and a best guess", function() {
+	var result = SNBT.parse("{a:1 b:2}", {recover: true});
+	assert.strictEqual(flat(result.tag), "{a:1,b:2}");
+	assert.deepStrictEqual(result.errors.map(function(e) { return e.code; }), ["expected_token"]);
+	result = SNBT.parse("{a:1,a:2}", {recover: true});
+	assert.strictEqual(flat(result.tag), "{a:1}");
+	assert.strictEqual(result.errors.length, 1);
+	assert.deepStrictEqual(SNBT.parse("{a:1}", {recover: true}).errors, []);
+});
+
+test("any root value can be parsed, and parsePartial stops after it", function() {
+	assert.throws(function() {
+		SNBT.parse("[1,2,3]");
+	}, SNBT.SNBTSyntaxError);
+	assert.strictEqual(flat(SNBT.parse("[1,2,3]", {root: "any"})), "[1,2,3]");
+	assert.strictEqual(SNBT.parse("5b", {root: "any"}).constructor, SNBT.TagByte);
+	var command = "data modify entity @s Pos set value [1d, 2d, 3d] run say hi",
+	    result = SNBT.parsePartial(command, command.indexOf("value") + 5);
+	assert.strictEqual(flat(result.tag), "[1d,2d,3d]");
+	assert.strictEqual(command.substring(result.end), " run say hi");
+	assert.throws(function() {
+		SNBT.parse("{}", {root: "list"});
+	}, {error: "invalid_option"});
+});
+
+test("parsePartial rejects offsets outside the string", function() {
+	[-1, 10, 1.5, "1"].forEach(function(offset) {
+		assert.throws(function() {
+			SNBT.parsePartial("abc", offset);
+		}, {error: "invalid_option"}, String(offset));
+	});
+	assert.throws(function() {
+		SNBT.parsePartial("abc", 3);
+	}, {code: "unexpected_end"});
+});
+
+test("the modern dialect reads 1.21.5+ syntax", function() {
+	function modern(source) {
+		return SNBT.stringify(SNBT.parse(source, {root: "any", dialect: "modern"}), "", {deflate: true, dialect: "modern"});
+	}
+	assert.strictEqual(modern("0xFFub"), "-1b");
+	assert.strictEqual(modern("1_000_000l"), "1000000l");
+	assert.strictEqual(modern("0b101b"), "5b");
+	assert.strictEqual(modern("bool(5)"), "1b");
+	assert.strictEqual(modern("uuid(f81d4fae-7dec-11d0-a765-00a0c91e6bf6)"), "[I;-132296786,2112623056,-1486552928,-920753162]");
+	assert.strictEqual(SNBT.parse('"a\\nb\\u00e9\\N{SECTION SIGN}"', {root: "any", dialect: "modern"}).value, "a\nbé§");
+	assert.strictEqual(SNBT.parse("{a:0xFF}").map.a.value, "0xFF");
+	["256ub", "128b", "0x1_", '"\\q"', "foo(1)", "uuid(zz)"].forEach(function(source) {
+		assert.throws(function() {
+			SNBT.parse(source, {root: "any", dialect: "modern"});
+		}, SNBT.SNBTSyntaxError, source);
+	});
+	assert.throws(function() {
+		SNBT.parse('{a:"\\n"}');
+	}, SNBT.SNBTSyntaxError);
+	assert.throws(function() {
+		SNBT.parse("{}", {dialect: "future"});
+	}, {error: "invalid_option"});
+});
+
+test("mixed lists hold any types and round-trip through binary", function() {
+	assert.throws(function() {
+		SNBT.parse('{a:[1,"x"]}');
+	}, SNBT.SNBTSyntaxError);
+	var tag = SNBT.parse('{a:[1,"x",{b:1b},[2]]}', {mixedLists: true});
+	assert.strictEqual(flat(tag), '{a:[1,"x",{b:1b},[2]]}');
+	assert.ok(SNBT.equals(SNBT.readBinary(SNBT.writeBinary(tag), {mixedLists: true}), tag));
+	assert.strictEqual(flat(SNBT.readBinary(SNBT.writeBinary(tag))), '{a:[{"":1},{"":"x"},{b:1b},{"":[2]}]}');
+	assert.ok(SNBT.parse('{a:[1,"x"]}', {dialect: "modern"}).map.a.mixed);
+	assert.throws(function() {
+		SNBT.parse("{a:[1]}").map.a.push(new SNBT.TagString("x"));
+	}, {error: "invalid_tag_type"});
+});
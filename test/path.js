@@ -0,0 +1,45 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function flat(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+function get(root, path) {
+	return SNBT.parsePath(path).get(root).map(flat);
+}
+
+test("paths find Tags like the game does", function() {
+	var tag = SNBT.parse('{Inventory:[{Slot:0b,id:"a",tag:{display:{Name:"x"}}},{Slot:1b,id:"b"}],"a b":{c:1},arr:[I;1,2,3]}');
+	assert.deepStrictEqual(get(tag, "Inventory[{Slot:0b}].tag.display.Name"), ['"x"']);
+	assert.deepStrictEqual(get(tag, "Inventory[].id"), ['"a"', '"b"']);
+	assert.deepStrictEqual(get(tag, "Inventory[-1].Slot"), ["1b"]);
+	assert.deepStrictEqual(get(tag, '"a b".c'), ["1"]);
+	assert.deepStrictEqual(get(tag, "arr[]"), ["1", "2", "3"]);
+	assert.deepStrictEqual(get(tag, "Inventory[5]"), []);
+	assert.strictEqual(SNBT.parsePath("Inventory[].id").count(tag), 2);
+	assert.strictEqual(String(SNBT.parsePath('"a b"{c:1}')), '"a b"{c:1}');
+});
+
+test("paths set and remove Tags, creating parents", function() {
+	var tag = SNBT.parse("{}");
+	assert.strictEqual(SNBT.parsePath("a.b[].c").set(tag, new SNBT.TagInteger(1)), 1);
+	assert.strictEqual(flat(tag), "{a:{b:[{c:1}]}}");
+	assert.strictEqual(SNBT.parsePath("a.b[{id:1}].c").set(tag, new SNBT.TagInteger(2)), 1);
+	assert.strictEqual(flat(tag), "{a:{b:[{c:1},{id:1,c:2}]}}");
+	assert.strictEqual(SNBT.parsePath("a.b[{id:1}]").remove(tag), 1);
+	assert.strictEqual(flat(tag), "{a:{b:[{c:1}]}}");
+});
+
+test("bad paths throw SNBTSyntaxErrors", function() {
+	["", "a.", "a..b", "a b", "a[x]", "a[0"].forEach(function(path) {
+		assert.throws(function() {
+			SNBT.parsePath(path);
+		}, SNBT.SNBTSyntaxError, path);
+	});
+	assert.throws(function() {
+		SNBT.parsePath("x.{a:1}");
+	}, {code: "invalid_path_node"});
+});
@@ -0,0 +1,129 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt-region.js");
+
+var chunk = SNBT.parse("{xPos:-32,zPos:64,Status:\"full\",sections:[{Y:0b}]}");
+
+// A chunk that takes up about the given number of bytes, uncompressed
+function sized(bytes) {
+	var array = new SNBT.TagArrayByte();
+	for (var i = 0; i < bytes; ++i) array.push(new SNBT.TagByte(i * 7919 % 251 - 125));
+	return new SNBT.TagCompound({data: array});
+}
+
+test("xxHash32 matches the reference implementation", function() {
+	assert.strictEqual(SNBT._LZ4.xxhash32(new Uint8Array(0), 0), 0x02CC5D05);
+	assert.strictEqual(SNBT._LZ4.xxhash32(Buffer.from("abc"), 0), 0x32D153FF);
+	assert.strictEqual(SNBT._LZ4.xxhash32(Buffer.from("Nobody inspects the spammish repetition"), 0), 0xE2293B2F);
+});
+
+test("LZ4 block streams round-trip", function() {
+	[
+		new Uint8Array(0),
+		Buffer.from("hello"),
+		Buffer.alloc(200000, 7),
+		Buffer.from("abcabcabcabcabcabcabcabcabcabc".repeat(3000)),
+		Uint8Array.from({length: 70000}, function(_, i) { return i * 2654435761 >>> 24; }),
+	].forEach(function(bytes) {
+		var compressed = SNBT._LZ4.compress(bytes);
+		assert.deepStrictEqual(Buffer.from(SNBT._LZ4.decompress(compressed)), Buffer.from(bytes));
+	});
+	assert.ok(SNBT._LZ4.compress(Buffer.alloc(200000, 7)).length < 2000);
+});
+
+test("bad LZ4 data is rejected", function() {
+	var compressed = SNBT._LZ4.compress(Buffer.from("hello hello hello hello"));
+	assert.throws(function() { SNBT._LZ4.decompress(Buffer.from("not LZ4 at all, not at all")); },
+		{error: "compression_error", message: "Not an LZ4 block stream"});
+	assert.throws(function() { SNBT._LZ4.decompress(compressed.subarray(0, 10)); },
+		{error: "compression_error", message: "Truncated LZ4 block header"});
+	var corrupt = Uint8Array.from(compressed);
+	corrupt[corrupt.length - 22] ^= 1;
+	assert.throws(function() { SNBT._LZ4.decompress(corrupt); }, {error: "compression_error"});
+});
+
+test("regions round-trip chunks with every compression", function() {
+	var region = new SNBT.Region(null, {x: -1, z: 2});
+	region.setChunk(-32, 64, chunk, {timestamp: 123});
+	region.setChunk(1, 1, chunk, {compression: "lz4"});
+	region.setChunk(2, 1, chunk, {compression: "gzip"});
+	region.setChunk(3, 1, chunk, {compression: "none"});
+	var bytes = region.toBytes();
+	assert.strictEqual(bytes.length, 6 * 4096);
+	
+	var again = new SNBT.Region(bytes, {x: -1, z: 2});
+	assert.deepStrictEqual(again.getChunkInfo(0, 0), {
+		x: -32, z: 64, offset: 2, sectors: 1, timestamp: 123,
+		length: again.getChunkInfo(0, 0).length, compression: "zlib", external: false,
+	});
+	assert.strictEqual(again.getChunkInfo(1, 1).compression, "lz4");
+	assert.ok(again.hasChunk(-31, 65));
+	assert.ok(!again.hasChunk(4, 4));
+	assert.strictEqual(again.getChunk(4, 4), null);
+	var all = Array.from(again);
+	assert.deepStrictEqual(all.map(function(entry) { return [entry.x, entry.z]; }), [[-32, 64], [-31, 65], [-30, 65], [-29, 65]]);
+	all.forEach(function(entry) { assert.ok(SNBT.equals(entry.tag, chunk)); });
+});
+
+test("sectors are allocated first-fit, growing the file when nothing fits", function() {
+	var region = new SNBT.Region();
+	region.setChunk(0, 0, chunk);
+	region.setChunk(1, 0, chunk);
+	region.setChunk(2, 0, chunk);
+	assert.deepStrictEqual([0, 1, 2].map(function(x) { return region.getChunkInfo(x, 0).offset; }), [2, 3, 4]);
+	
+	assert.ok(region.removeChunk(1, 0));
+	assert.ok(!region.removeChunk(1, 0));
+	region.setChunk(3, 0, sized(5000), {compression: "none"});
+	assert.deepStrictEqual([region.getChunkInfo(3, 0).offset, region.getChunkInfo(3, 0).sectors], [5, 2]);
+	region.setChunk(4, 0, chunk);
+	assert.strictEqual(region.getChunkInfo(4, 0).offset, 3);
+	
+	// Freed sectors at the end aren't saved
+	region.removeChunk(3, 0);
+	assert.strictEqual(region.toBytes().length, 5 * 4096);
+	// A chunk that grows moves to where it fits
+	region.setChunk(0, 0, sized(9000), {compression: "none"});
+	assert.deepStrictEqual([region.getChunkInfo(0, 0).offset, region.getChunkInfo(0, 0).sectors], [5, 3]);
+	region.setChunk(5, 0, chunk);
+	assert.strictEqual(region.getChunkInfo(5, 0).offset, 2);
+});
+
+test("chunks too big for the region go in external files", function() {
+	var region = new SNBT.Region(), big = sized(1100000);
+	region.setChunk(5, 5, big, {compression: "none"});
+	var info = region.getChunkInfo(5, 5);
+	assert.ok(info.external);
+	assert.strictEqual(info.sectors, 1);
+	assert.deepStrictEqual(Object.keys(region.externalFiles), ["c.5.5.mcc"]);
+	assert.ok(SNBT.equals(region.getChunk(5, 5), big));
+	
+	var again = new SNBT.Region(region.toBytes());
+	assert.throws(function() { again.getChunk(5, 5); }, {error: "region_error"});
+	assert.ok(SNBT.equals(again.getChunk(5, 5, {readExternal: function(name, x, z) {
+		assert.deepStrictEqual([name, x, z], ["c.5.5.mcc", 5, 5]);
+		return region.externalFiles[name];
+	}}), big));
+	region.setChunk(5, 5, chunk);
+	assert.strictEqual(region.externalFiles["c.5.5.mcc"], null);
+});
+
+test("bad region files are rejected", function() {
+	assert.throws(function() { new SNBT.Region(new Uint8Array(100)); }, {error: "region_error"});
+	assert.throws(function() { new SNBT.Region().setChunk(0, 0, chunk, {compression: "brotli"}); },
+		{error: "invalid_compression"});
+	var bytes = new Uint8Array(8192);
+	new DataView(bytes.buffer).setUint32(0, 5 << 8 | 1);
+	assert.throws(function() { new SNBT.Region(bytes).getChunk(0, 0); },
+		{error: "region_error", message: "Chunk 0, 0 is outside the region file"});
+	var region = new SNBT.Region();
+	region.setChunk(0, 0, chunk);
+	bytes = region.toBytes();
+	bytes[8192 + 4] = 9;
+	assert.throws(function() { new SNBT.Region(bytes).getChunk(0, 0); }, {error: "region_error"});
+	bytes[8192 + 4] = 2;
+	bytes[8192 + 10] ^= 0xFF;
+	assert.throws(function() { new SNBT.Region(bytes).getChunk(0, 0); }, {error: "compression_error"});
+});
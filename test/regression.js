@@ -0,0 +1,60 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js"),
+    fixtures = require("./fixtures/parser.json");
+
+// Each Tag's type and value, with longs and -0 as strings so they survive JSON
+function tree(tag) {
+	var name = tag.tagName;
+	if (tag.pairs) return [name, tag.pairs.map(function(pair) { return [pair[0].value, tree(pair[1])]; })];
+	if (tag.list) return [name, tag.list.map(tree)];
+	return [name, Object.is(tag.value, -0) ? "-0" : typeof tag.value === "string" ? tag.value : String(tag.value)];
+}
+
+test("parse and stringify output hasn't changed", function() {
+	fixtures.cases.forEach(function(fixture) {
+		var tag = SNBT.parse(fixture.input, fixture.parse);
+		assert.deepStrictEqual(tree(tag), fixture.tree, fixture.input);
+		if (fixture.parse) {
+			assert.strictEqual(SNBT.stringify(tag, "", {deflate: true, dialect: "modern"}), fixture.outputs[0]);
+			return;
+		}
+		fixtures.optionSets.forEach(function(set, i) {
+			var options = Object.assign({}, set.options);
+			if (options.sort) options.sort = SNBT[options.sort];
+			assert.strictEqual(SNBT.stringify(tag, set.space === null ? undefined : set.space, options), fixture.outputs[i],
+				fixture.input + " with " + JSON.stringify(set));
+		});
+	});
+});
+
+test("needQuotes hasn't changed", function() {
+	fixtures.needQuotes.forEach(function(fixture) {
+		assert.strictEqual(new SNBT.TagString(fixture[0]).needQuotes, fixture[1], fixture[0]);
+		assert.strictEqual(new SNBT.TagString(fixture[0], true).needQuotes, /[^a-zA-Z0-9._+\-]/.test(fixture[0]), fixture[0]);
+	});
+});
+
+test("parsing time grows linearly", function() {
+	function input(entries) {
+		var parts = [];
+		for (var i = 0; i < entries; ++i) parts.push("key" + i + ":{name:\"value " + i + "\",n:" + i + "b,l:[1,2,3]}");
+		return "{" + parts.join(", ") + "}";
+	}
+	function time(text) {
+		var best = Infinity;
+		for (var i = 0; i < 3; ++i) {
+			var start = process.hrtime.bigint();
+			SNBT.parse(text);
+			best = Math.min(best, Number(process.hrtime.bigint() - start));
+		}
+		return best;
+	}
+	var small = input(5000), large = input(20000);
+	time(small);
+	// Four times the input would take sixteen times as long if parsing were quadratic
+	var ratio = time(large) / time(small);
+	assert.ok(ratio < 8, "4x the input took " + ratio.toFixed(1) + "x as long");
+});
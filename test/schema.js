@@ -0,0 +1,71 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+function codes(diagnostics) {
+	return diagnostics.map(function(diagnostic) { return diagnostic.path + " " + diagnostic.code; });
+}
+
+var entity = "{Cusomname:\"x\",Pos:[1d,2d],Rotation:[1,2],UUID:[1,2,3,4],Glowing:2b,NoGravity:1,Tags:[\"a\"]," +
+	"Passengers:[{Silent:5b}],Health:20f}";
+
+test("validate reports what's wrong with an entity", function() {
+	var diagnostics = SNBT.validate(SNBT.parse(entity), SNBT.schemas.entity);
+	assert.deepStrictEqual(codes(diagnostics), [
+		"Cusomname unknown_key",
+		"Pos too_short",
+		"Rotation[0] wrong_type",
+		"Rotation[1] wrong_type",
+		"UUID wrong_type",
+		"Glowing out_of_range",
+		"NoGravity wrong_type",
+		"Passengers[0].Silent out_of_range",
+	]);
+	assert.strictEqual(diagnostics[0].severity, "warning");
+	assert.strictEqual(diagnostics[0].suggestion, "Did you mean CustomName?");
+	assert.strictEqual(diagnostics[2].message, "Expected TAG_Float but got TAG_Int");
+	assert.deepStrictEqual(SNBT.validate(SNBT.parse("{id:\"minecraft:stone\",count:2}"), SNBT.schemas.item), []);
+});
+
+test("coerce fixes what it can", function() {
+	var tag = SNBT.parse(entity),
+	    diagnostics = SNBT.validate(tag, SNBT.schemas.entity, {coerce: true});
+	assert.deepStrictEqual(diagnostics.filter(function(diagnostic) { return diagnostic.fixed; }).map(function(diagnostic) {
+		return diagnostic.path + " " + diagnostic.suggestion;
+	}), [
+		"Rotation[0] Changed to 1f",
+		"Rotation[1] Changed to 2f",
+		"UUID Changed to [I;1,2,3,4]",
+		"NoGravity Changed to 1b",
+	]);
+	assert.strictEqual(SNBT.stringify(tag, "", {deflate: true}), "{Cusomname:\"x\",Pos:[1d,2d],Rotation:[1f,2f]," +
+		"UUID:[I;1,2,3,4],Glowing:2b,NoGravity:1b,Tags:[\"a\"],Passengers:[{Silent:5b}],Health:20f}");
+});
+
+test("custom schemas check values, keys and patterns", function() {
+	var schema = {
+		type: SNBT.TagCompound,
+		keys: {
+			id: {type: SNBT.TagString, values: ["a", "b"]},
+			n: {type: SNBT.TagLong, min: 0, max: 10},
+			s: {type: SNBT.TagString, pattern: /^x/},
+			l: [SNBT.TagByte],
+		},
+		required: ["id", "req"],
+		additional: false,
+	};
+	assert.deepStrictEqual(codes(SNBT.validate(SNBT.parse("{id:\"c\",n:11l,s:\"y\",extra:1,l:[1b]}"), schema)), [
+		"req missing_key",
+		"id invalid_value",
+		"n out_of_range",
+		"s invalid_value",
+		"extra unknown_key",
+	]);
+	assert.deepStrictEqual(SNBT.validate(SNBT.parse("{id:\"a\",req:1,n:3l,s:\"xy\",l:[1b]}"), schema), []);
+	assert.deepStrictEqual(codes(SNBT.validate(SNBT.parse("{id:\"a\",req:1,l:[1]}"), schema)), ["l[0] wrong_type"]);
+	assert.deepStrictEqual(codes(SNBT.validate(SNBT.parse("{}"), {type: SNBT.TagCompound, required: ["constructor", "toString"]})),
+		["constructor missing_key", "toString missing_key"]);
+	assert.throws(function() { SNBT.validate(SNBT.parse("{}"), "compound"); }, {error: "invalid_schema"});
+});
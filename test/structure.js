@@ -0,0 +1,82 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt-structure.js");
+
+var volume = new SNBT.BlockVolume(3, 4, 5, {dataVersion: 3700});
+for (var i = 0; i < 40; ++i) volume.setBlock(i % 3, (i >> 2) % 4, i % 5, "minecraft:wool_" + i);
+volume.setBlock(1, 2, 3, {name: "minecraft:oak_log", properties: {axis: "y"}});
+volume.setBlock(2, 3, 4, "minecraft:chest[facing=north,type=single]");
+volume.blockEntities.push({pos: [2, 3, 4], nbt: SNBT.parse("{id:\"minecraft:chest\",Items:[]}")});
+volume.entities.push({pos: [1.5, 0, 2.5], nbt: SNBT.parse("{id:\"minecraft:pig\",Health:10f}")});
+
+// Write the tag as binary NBT and read it back as a volume
+function roundTrip(tag) {
+	return SNBT.BlockVolume.read(SNBT.readBinary(SNBT.writeBinary(tag)));
+}
+// Positions with no block come back as air from formats without structure void
+function assertSame(actual, air) {
+	for (var y = 0; y < 4; ++y) for (var z = 0; z < 5; ++z) for (var x = 0; x < 3; ++x) {
+		var expected = volume.getBlock(x, y, z);
+		if (expected === null && air) expected = {name: "minecraft:air", properties: {}};
+		assert.deepStrictEqual(actual.getBlock(x, y, z), expected, [x, y, z].join());
+	}
+	assert.strictEqual(actual.dataVersion, 3700);
+	assert.ok(SNBT.equals(actual.getBlockEntity(2, 3, 4), volume.blockEntities[0].nbt));
+	assert.deepStrictEqual(actual.entities.map(function(entity) { return entity.pos; }), [[1.5, 0, 2.5]]);
+	assert.ok(SNBT.equals(actual.entities[0].nbt, volume.entities[0].nbt), SNBT.stringify(actual.entities[0].nbt));
+}
+
+test("volumes round-trip through every format", function() {
+	assertSame(roundTrip(volume.toStructure()));
+	assertSame(roundTrip(volume.toSponge()), true);
+	var sponge2 = volume.toSponge({version: 2});
+	assert.ok(sponge2.map.BlockData);
+	assertSame(roundTrip(sponge2), true);
+	assertSame(roundTrip(volume.toLitematic({name: "test"})), true);
+	
+	// Enough palette entries for two-byte varints, and for packed values to span longs
+	var big = new SNBT.BlockVolume(20, 20, 20);
+	for (i = 0; i < big.blocks.length; ++i) big.blocks[i] = big.paletteIndex("b" + i % 300);
+	["toStructure", "toSponge", "toLitematic"].forEach(function(method) {
+		var read = roundTrip(big[method]());
+		for (var j = 0; j < big.blocks.length; j += 7) {
+			assert.strictEqual(read.getBlock(j % 20, j / 400 | 0, (j / 20 | 0) % 20).name, "b" + j % 300, method);
+		}
+	});
+});
+
+test("Sponge sizes are unsigned shorts", function() {
+	var wide = new SNBT.BlockVolume(40000, 1, 1);
+	wide.setBlock(39999, 0, 0, "minecraft:stone");
+	var tag = wide.toSponge().map.Schematic;
+	assert.strictEqual(tag.map.Width.value, 40000 - 65536);
+	var read = roundTrip(wide.toSponge());
+	assert.strictEqual(read.width, 40000);
+	assert.strictEqual(read.getBlock(39999, 0, 0).name, "minecraft:stone");
+	assert.throws(function() { new SNBT.BlockVolume(70000, 1, 1).toSponge(); }, {error: "structure_error"});
+	assert.throws(function() { volume.toSponge({version: 4}); }, {error: "invalid_option"});
+});
+
+test("litematic regions with a negative size go the other way", function() {
+	var read = SNBT.BlockVolume.read(SNBT.parse("{Version:6,Regions:{a:{Position:{x:2,y:0,z:0},Size:{x:-2,y:1,z:1}," +
+		"BlockStatePalette:[{Name:\"minecraft:air\"},{Name:\"x\"}],BlockStates:[L;5L]}}}"));
+	assert.strictEqual(read.width, 2);
+	assert.strictEqual(read.getBlock(0, 0, 0).name, "x");
+	assert.strictEqual(read.getBlock(1, 0, 0).name, "x");
+});
+
+test("bad structures are rejected", function() {
+	assert.throws(function() { SNBT.BlockVolume.read(SNBT.parse("{}")); }, {error: "structure_error"});
+	assert.throws(function() {
+		SNBT.BlockVolume.read(SNBT.parse("{size:[1,1,1],palette:[{Name:\"a\"}],blocks:[{pos:[0,0,0],state:1}]}"));
+	}, {error: "structure_error", message: "Block uses missing palette index 1"});
+	assert.throws(function() {
+		SNBT.BlockVolume.read(SNBT.parse("{Version:2,Width:1s,Height:1s,Length:1s,Palette:{a:0},BlockData:[B;1b]}"));
+	}, {error: "structure_error", message: "Block data uses missing palette index 1"});
+	assert.throws(function() {
+		SNBT.BlockVolume.read(SNBT.parse("{Version:6,Regions:{a:{Position:{x:0,y:0,z:0},Size:{x:2,y:1,z:1}," +
+			"BlockStatePalette:[{Name:\"minecraft:air\"},{Name:\"x\"}],BlockStates:[L;14L]}}}"));
+	}, {error: "structure_error", message: "Block uses missing palette index 2"});
+});
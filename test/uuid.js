@@ -0,0 +1,56 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+var uuid = "f81d4fae-7dec-11d0-a765-00a0c91e6bf6",
+    most = BigInt.asIntN(64, 0xf81d4fae7dec11d0n),
+    least = BigInt.asIntN(64, 0xa76500a0c91e6bf6n);
+
+test("UUIDs convert to and from ints and longs", function() {
+	assert.strictEqual(SNBT.stringify(SNBT.uuidToInts(uuid), ""), "[I; -132296786, 2112623056, -1486552928, -920753162]");
+	assert.strictEqual(SNBT.uuidFromInts(SNBT.uuidToInts(uuid)), uuid);
+	var longs = SNBT.uuidToLongs(uuid);
+	assert.strictEqual(longs.most.value, most);
+	assert.strictEqual(longs.least.value, least);
+	assert.strictEqual(SNBT.uuidFromLongs(longs.most, longs.least), uuid);
+	assert.strictEqual(SNBT.uuidFromLongs(most, least), uuid);
+	assert.strictEqual(SNBT.uuidFromLongs(0n, -1n), "00000000-0000-0000-ffff-ffffffffffff");
+	// Java's UUID.fromString accepts short groups
+	assert.strictEqual(SNBT.uuidFromInts(SNBT.uuidToInts("1-2-3-4-5")), "00000001-0002-0003-0004-000000000005");
+	assert.throws(function() { SNBT.uuidToInts("nope"); }, {error: "invalid_uuid"});
+	assert.throws(function() { SNBT.uuidFromInts(SNBT.parse("[I;1,2]", {root: "any"})); }, {error: "invalid_uuid"});
+});
+
+test("rewriteUUIDs finds every form and rewrites what it's told to", function() {
+	var tag = SNBT.parse("{UUIDMost:" + most + "L,UUIDLeast:" + least + "L,OwnerUUID:\"" + uuid.toUpperCase() + "\"," +
+		"Trusted:[[I;1,2,3,4]],Attributes:[{Modifiers:[{Most:1L,Least:2L,Name:\"x\"}]}],Other:[I;1,2,3],x:1}"),
+	    seen = [];
+	var count = SNBT.rewriteUUIDs(tag, function(found, where) {
+		seen.push([found, where.form, where.key, where.path]);
+		if (where.form === "longs") return {form: "ints", key: where.key || "UUID"};
+		if (where.key === "OwnerUUID") return {form: "ints", key: "Owner"};
+		if (where.form === "ints") return "00000000-0000-0000-0000-000000000009";
+	});
+	assert.deepStrictEqual(seen, [
+		[uuid, "longs", "UUID", ""],
+		[uuid, "string", "OwnerUUID", ""],
+		["00000001-0000-0002-0000-000300000004", "ints", 0, "Trusted"],
+		["00000000-0000-0001-0000-000000000002", "longs", "", "Attributes[0].Modifiers[0]"],
+	]);
+	assert.strictEqual(count, 4);
+	assert.strictEqual(SNBT.stringify(tag, "", {deflate: true}), "{Trusted:[[I;0,0,0,9]]," +
+		"Attributes:[{Modifiers:[{Name:\"x\",UUID:[I;0,1,0,2]}]}],Other:[I;1,2,3],x:1," +
+		"UUID:[I;-132296786,2112623056,-1486552928,-920753162],Owner:[I;-132296786,2112623056,-1486552928,-920753162]}");
+	
+	assert.throws(function() {
+		SNBT.rewriteUUIDs(tag, function(found, where) { if (where.parent instanceof SNBT.TagList) return {form: "string"}; });
+	}, {error: "invalid_option"});
+	assert.strictEqual(SNBT.rewriteUUIDs(tag, function(found, where) {
+		if (where.parent.map) return {form: "longs"};
+	}, {forms: ["ints"]}), 3);
+	assert.strictEqual(SNBT.uuidFromLongs(tag.map.OwnerMost, tag.map.OwnerLeast), uuid);
+	assert.strictEqual(tag.map.Attributes.list[0].map.Modifiers.list[0].map.UUIDLeast.value, 2n);
+	assert.ok(!tag.map.UUID && !tag.map.Owner);
+});
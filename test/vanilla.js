@@ -0,0 +1,26 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js"),
+    fixtures = require("./fixtures/vanilla.json");
+
+test("vanilla printing matches the game", function() {
+	fixtures.cases.forEach(function(fixture) {
+		var tag = SNBT.parse(fixture.snbt, {dialect: fixture.dialect});
+		["legacy", "modern"].forEach(function(dialect) {
+			["compact", "pretty"].forEach(function(mode) {
+				var expected = (fixture[dialect] || {})[mode];
+				if (expected === undefined && dialect === "modern") expected = (fixture.legacy || {})[mode];
+				if (expected === undefined) return;
+				assert.strictEqual(SNBT.stringify(tag, undefined, {vanilla: mode, dialect: dialect}), expected,
+					fixture.name + ", " + dialect + " " + mode);
+			});
+		});
+	});
+});
+
+test("vanilla printing checks its mode", function() {
+	assert.strictEqual(SNBT.stringify(SNBT.parse("{a:[1]}"), "\t", {vanilla: "pretty"}), "{\n\ta: [\n\t\t1\n\t]\n}");
+	assert.throws(function() { SNBT.stringify(SNBT.parse("{}"), undefined, {vanilla: "fancy"}); }, {error: "invalid_option"});
+});
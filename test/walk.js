@@ -0,0 +1,82 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    SNBT = require("../snbt.js");
+
+var item = SNBT.parse("{a:1,display:{Name:\"x\"},list:[{display:{},Count:1b},{Count:2b}],arr:[I;1,2,3],s:\"hi\"}");
+
+function deflate(tag) {
+	return SNBT.stringify(tag, "", {deflate: true});
+}
+
+test("walk visits every Tag depth first", function() {
+	var log = [];
+	SNBT.walk(item, {
+		enter: function(tag, info) { log.push("enter " + info.path + " " + tag.tagName + " " + info.depth); },
+		exit: function(tag, info) { log.push("exit " + info.path); },
+		TAG_Byte: {exit: function(tag, info) { log.push("byte " + info.key + " " + (info.parent === item.map.list.list[1])); }},
+	});
+	assert.deepStrictEqual(log, [
+		"enter  TAG_Compound 0",
+		"enter a TAG_Int 1", "exit a",
+		"enter display TAG_Compound 1", "enter display.Name TAG_String 2", "exit display.Name", "exit display",
+		"enter list TAG_List 1",
+		"enter list[0] TAG_Compound 2",
+		"enter list[0].display TAG_Compound 3", "exit list[0].display",
+		"enter list[0].Count TAG_Byte 3", "byte Count false", "exit list[0].Count",
+		"exit list[0]",
+		"enter list[1] TAG_Compound 2", "enter list[1].Count TAG_Byte 3", "byte Count true", "exit list[1].Count", "exit list[1]",
+		"exit list",
+		"enter arr TAG_Int_Array 1",
+		"enter arr[0] TAG_Int 2", "exit arr[0]", "enter arr[1] TAG_Int 2", "exit arr[1]", "enter arr[2] TAG_Int 2", "exit arr[2]",
+		"exit arr",
+		"enter s TAG_String 1", "exit s",
+		"exit ",
+	]);
+	
+	var count = 0;
+	SNBT.walk(item, {enter: function(tag, info) {
+		++count;
+		if (info.key === "list") return SNBT.walk.skip;
+	}});
+	assert.strictEqual(count, 10);
+});
+
+test("walk replaces Tags and visits their replacements", function() {
+	var seen = [],
+	    tag = SNBT.walk(SNBT.clone(item), {enter: function(tag, info) {
+	    	if (info.key === "s") return SNBT.parse("{inner:5}");
+	    	if (info.path === "s.inner") seen.push(tag.value);
+	    }});
+	assert.deepStrictEqual(seen, [5]);
+	assert.strictEqual(deflate(tag.map.s), "{inner:5}");
+	assert.strictEqual(SNBT.walk(item, {enter: function(tag, info) { if (!info.parent) return SNBT.walk.remove; }}), null);
+	assert.strictEqual(SNBT.walk(item, {exit: function(tag, info) { if (!info.parent) return new SNBT.TagString("r"); }}).value, "r");
+	assert.throws(function() { SNBT.walk(item, {enter: function() { return 5; }}); }, {error: "invalid_type"});
+});
+
+test("walk doesn't use the call stack for depth", function() {
+	var depth = 0;
+	SNBT.walk(SNBT.parse("{a:".repeat(5000) + "1" + "}".repeat(5000), {maxDepth: 10000}), {enter: function(tag, info) {
+		depth = Math.max(depth, info.depth);
+	}});
+	assert.strictEqual(depth, 5000);
+});
+
+test("transform builds a new tree and leaves the old one alone", function() {
+	var before = deflate(item);
+	assert.strictEqual(deflate(SNBT.transform(item, {TAG_Compound: function(tag, info) {
+		if (info.key === "display") return SNBT.walk.remove;
+	}})), "{a:1,list:[{Count:1b},{Count:2b}],arr:[I;1,2,3],s:\"hi\"}");
+	assert.strictEqual(deflate(SNBT.transform(item, {TAG_Compound: {exit: function(compound) {
+		var result = new SNBT.TagCompound();
+		compound.pairs.forEach(function(pair) { result.add(pair[0].value === "Count" ? "count" : pair[0].value, pair[1]); });
+		return result;
+	}}})), "{a:1,display:{Name:\"x\"},list:[{display:{},count:1b},{count:2b}],arr:[I;1,2,3],s:\"hi\"}");
+	// Removing neighbouring elements, and from arrays
+	assert.strictEqual(deflate(SNBT.transform(item, {TAG_Int: function(tag) {
+		if (tag.value < 3) return SNBT.walk.remove;
+	}})), "{display:{Name:\"x\"},list:[{display:{},Count:1b},{Count:2b}],arr:[I;3],s:\"hi\"}");
+	assert.strictEqual(deflate(item), before);
+});